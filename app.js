@@ -1,5 +1,33 @@
 // UAV Flight Planner - Main Application Logic
 
+// Per-cell characteristics by chemistry. `curve` maps state of charge to open-circuit
+// voltage; `resistance` is internal resistance in ohm-Ah (divide by capacity).
+const BATTERY_CHEMISTRY = {
+    'lipo': {
+        nominal: 3.7,
+        resistance: 0.025,
+        curve: [[0, 3.27], [0.05, 3.61], [0.1, 3.69], [0.2, 3.73], [0.3, 3.77], [0.4, 3.79],
+                [0.5, 3.82], [0.6, 3.87], [0.7, 3.92], [0.8, 4.0], [0.9, 4.08], [1, 4.2]]
+    },
+    'li-ion': {
+        nominal: 3.6,
+        resistance: 0.06,
+        curve: [[0, 2.8], [0.05, 3.2], [0.1, 3.35], [0.2, 3.45], [0.3, 3.52], [0.4, 3.58],
+                [0.5, 3.63], [0.6, 3.7], [0.7, 3.8], [0.8, 3.9], [0.9, 4.0], [1, 4.2]]
+    },
+    'lifepo4': {
+        nominal: 3.2,
+        resistance: 0.03,
+        curve: [[0, 2.5], [0.05, 3.0], [0.1, 3.2], [0.2, 3.25], [0.5, 3.28], [0.8, 3.32],
+                [0.9, 3.35], [1, 3.6]]
+    },
+    'nimh': {
+        nominal: 1.2,
+        resistance: 0.05,
+        curve: [[0, 1.0], [0.05, 1.1], [0.1, 1.18], [0.3, 1.22], [0.6, 1.25], [0.9, 1.3], [1, 1.4]]
+    }
+};
+
 class DroneManager {
     constructor() {
         this.drones = [];
@@ -9,21 +37,34 @@ class DroneManager {
     }
 
     init() {
-        this.loadDrones();
         this.setupEventListeners();
         this.updateDroneList();
+
+        // Other views wait on this before reading the drone list
+        this.ready = this.loadDrones();
+
+        // Profiles edited in another tab
+        Database.subscribe('drones', change => {
+            if (change.remote) this.ready = this.loadDrones();
+        });
     }
 
-    // Local Storage Management
-    loadDrones() {
-        const storedDrones = localStorage.getItem('uav_drones');
-        if (storedDrones) {
-            this.drones = JSON.parse(storedDrones);
+    // Storage
+    async loadDrones() {
+        try {
+            this.drones = await DroneStore.list();
+        } catch (error) {
+            Database.reportError('load drone profiles', error);
         }
+        this.updateDroneList();
     }
 
-    saveDrones() {
-        localStorage.setItem('uav_drones', JSON.stringify(this.drones));
+    // The list is updated straight away; a failed write reloads what was actually stored
+    storeDrone(write, action) {
+        write.catch(error => {
+            Database.reportError(action, error);
+            this.loadDrones();
+        });
     }
 
     // Event Listeners
@@ -226,12 +267,13 @@ class DroneManager {
     }
 
     deleteDrone(index) {
-        if (confirm(`Are you sure you want to delete "${this.drones[index].name}"?`)) {
+        const drone = this.drones[index];
+        if (confirm(`Are you sure you want to delete "${drone.name}"?`)) {
             this.drones.splice(index, 1);
-            this.saveDrones();
+            this.storeDrone(DroneStore.remove(drone.id), `delete "${drone.name}"`);
             this.updateDroneList();
             
-            if (this.currentDrone && this.currentDrone === this.drones[index]) {
+            if (this.currentDrone === drone) {
                 this.cancelEdit();
             }
         }
@@ -249,9 +291,10 @@ class DroneManager {
         
         if (this.editMode && this.currentDrone) {
             // Update existing drone
-            const index = this.drones.findIndex(d => d.id === this.currentDrone.id);
+            droneData.id = this.currentDrone.id;
+            const index = this.drones.findIndex(d => d.id === droneData.id);
             if (index !== -1) {
-                this.drones[index] = { ...droneData, id: this.currentDrone.id };
+                this.drones[index] = droneData;
             }
         } else {
             // Create new drone
@@ -259,7 +302,7 @@ class DroneManager {
             this.drones.push(droneData);
         }
 
-        this.saveDrones();
+        this.storeDrone(DroneStore.save(droneData), `save "${droneData.name}"`);
         this.updateDroneList();
         
         // Switch to view mode
@@ -425,14 +468,8 @@ class DroneManager {
         
         if (!cells || !type) return;
 
-        const voltagePerCell = {
-            'lipo': 3.7,
-            'li-ion': 3.6,
-            'lifepo4': 3.2,
-            'nimh': 1.2
-        };
-
-        const voltage = cells * (voltagePerCell[type] || 3.7);
+        const chemistry = BATTERY_CHEMISTRY[type] || BATTERY_CHEMISTRY.lipo;
+        const voltage = cells * chemistry.nominal;
         document.getElementById('battery-voltage').value = voltage.toFixed(1);
     }
 
@@ -0,0 +1,439 @@
+// Guidance for the simulated aircraft: turns targets into simulator demands
+
+class Autopilot {
+    static climbRate(model, altitude) {
+        const error = altitude - model.state.altitude;
+        return Math.max(-model.maxDescentRate, Math.min(model.maxClimbRate, error * 0.5));
+    }
+
+    static isMultirotor(model) {
+        return model instanceof MultirotorModel;
+    }
+
+    // VTOLs fly on the wing between points but hover on their lift motors
+    static canHover(model) {
+        return Autopilot.isMultirotor(model) || model instanceof VtolModel;
+    }
+
+    // Slow, nose-on approach to a point for a VTOL in hover mode
+    static hoverTo(model, lat, lng, altitude) {
+        const s = model.state;
+        const distance = GeoUtils.distance(s.lat, s.lng, lat, lng);
+        return {
+            heading: distance > 2 ? GeoUtils.bearing(s.lat, s.lng, lat, lng) : s.heading,
+            speed: Math.min(model.transitionSpeed * 0.5, distance * 0.4),
+            climbRate: Autopilot.climbRate(model, altitude)
+        };
+    }
+
+    // Lowest speed the autopilot will command a fixed wing to fly
+    static minimumSpeed(model) {
+        return Autopilot.isMultirotor(model) ? 0 : model.stallSpeed * 1.3;
+    }
+
+    // Fly toward a point, correcting for the wind the aircraft is sitting in
+    static navigate(model, lat, lng, altitude, speed) {
+        const s = model.state;
+        const wind = model.wind || { north: 0, east: 0 };
+        const distance = GeoUtils.distance(s.lat, s.lng, lat, lng);
+        const bearing = GeoUtils.bearing(s.lat, s.lng, lat, lng);
+        const climbRate = Autopilot.climbRate(model, altitude);
+
+        if (Autopilot.isMultirotor(model)) {
+            // Brake into the target; the air velocity is the ground track minus the wind
+            const groundSpeed = Math.min(speed, distance * 0.4);
+            const track = GeoUtils.toRadians(bearing);
+            const airNorth = groundSpeed * Math.cos(track) - wind.north;
+            const airEast = groundSpeed * Math.sin(track) - wind.east;
+            const h = GeoUtils.toRadians(s.heading);
+
+            return {
+                heading: distance > 2 ? bearing : s.heading,
+                speed: airNorth * Math.cos(h) + airEast * Math.sin(h),
+                lateral: -airNorth * Math.sin(h) + airEast * Math.cos(h),
+                climbRate: climbRate
+            };
+        }
+
+        // Crab into the crosswind so the track points at the target
+        const airspeed = Math.max(speed, Autopilot.minimumSpeed(model));
+        const track = GeoUtils.toRadians(bearing);
+        const crosswind = -wind.north * Math.sin(track) + wind.east * Math.cos(track);
+        const crab = GeoUtils.toDegrees(Math.asin(Math.max(-0.7, Math.min(0.7, crosswind / airspeed))));
+
+        return {
+            heading: GeoUtils.normalizeHeading(bearing - crab),
+            speed: airspeed,
+            climbRate: climbRate
+        };
+    }
+
+    // Hover over a point, or circle it clockwise if the airframe cannot hover
+    static hold(model, lat, lng, altitude) {
+        if (Autopilot.isMultirotor(model)) {
+            return Autopilot.navigate(model, lat, lng, altitude, model.cruiseSpeed);
+        }
+        if (Autopilot.canHover(model)) {
+            return Autopilot.hoverTo(model, lat, lng, altitude);
+        }
+
+        const s = model.state;
+        const speed = Math.max(model.cruiseSpeed, Autopilot.minimumSpeed(model));
+        const radius = Math.max(30, speed * speed / (GRAVITY * Math.tan(GeoUtils.toRadians(25))));
+        const distance = GeoUtils.distance(lat, lng, s.lat, s.lng);
+        const radial = GeoUtils.bearing(lat, lng, s.lat, s.lng);
+        const correction = Math.max(-60, Math.min(60, (distance - radius) / radius * 60));
+
+        return {
+            heading: GeoUtils.normalizeHeading(radial + 90 + correction),
+            speed: speed,
+            climbRate: Autopilot.climbRate(model, altitude)
+        };
+    }
+
+    // Descend to touchdown: vertically for rotors, on a straight approach for wings
+    static land(model, lat, lng) {
+        const s = model.state;
+        const climbRate = s.altitude > 10 ? -model.maxDescentRate : -1;
+
+        if (Autopilot.isMultirotor(model)) {
+            const demand = Autopilot.navigate(model, lat, lng, s.altitude, model.cruiseSpeed);
+            demand.climbRate = climbRate;
+            return demand;
+        }
+        if (Autopilot.canHover(model)) {
+            const demand = Autopilot.hoverTo(model, lat, lng, s.altitude);
+            demand.climbRate = climbRate;
+            return demand;
+        }
+
+        return {
+            heading: s.heading,
+            speed: s.onGround ? 0 : Autopilot.minimumSpeed(model),
+            climbRate: s.onGround ? 0 : Math.max(climbRate, -2)
+        };
+    }
+}
+
+// Flies a saved mission item by item: takeoff, legs, hovers and loiters, commands, then RTL, land or hold
+class MissionExecutor {
+    constructor(mission, model, home, acceptanceRadius = 5) {
+        this.mission = mission;
+        this.waypoints = mission.waypoints || [];
+        this.model = model;
+        this.home = home;
+        this.acceptanceRadius = acceptanceRadius;
+        this.defaultSpeed = mission.parameters?.defaultSpeed || model.cruiseSpeed;
+        this.currentSpeed = this.defaultSpeed;
+
+        // The home waypoint is where the aircraft launches, so it is reached already
+        this.index = this.waypoints[0]?.type === 'home' ? 1 : 0;
+        this.phase = 'takeoff';
+        this.paused = false;
+        this.holdPoint = null;
+        this.hoverRemaining = 0;
+        this.delayRemaining = 0;
+        this.delayPoint = null;
+        this.resumePhase = null;
+        this.jumpCounts = {};
+        this.legStart = { lat: model.state.lat, lng: model.state.lng };
+
+        this.onProgress = null;
+        this.onComplete = null;
+    }
+
+    get currentWaypoint() {
+        return this.waypoints[this.index] || null;
+    }
+
+    get finished() {
+        return this.phase === 'complete';
+    }
+
+    // Where the aircraft flies for an item, or null for commands that act in place
+    target(waypoint) {
+        if (!WaypointTypes.isPath(waypoint.type)) {
+            return null;
+        }
+        if (waypoint.type === 'rtl') {
+            return { lat: this.home.lat, lng: this.home.lng, altitude: waypoint.altitude };
+        }
+        return { lat: waypoint.latitude, lng: waypoint.longitude, altitude: waypoint.relativeAltitude ?? waypoint.altitude };
+    }
+
+    // Reached waypoints plus the fraction of the current leg flown, 0..1
+    get progress() {
+        if (this.waypoints.length === 0) return 0;
+        if (this.finished) return 1;
+
+        const waypoint = this.currentWaypoint;
+        const target = waypoint && this.target(waypoint);
+        let leg = 0;
+        if (target && this.phase === 'navigate') {
+            const length = GeoUtils.distance(this.legStart.lat, this.legStart.lng, target.lat, target.lng);
+            const remaining = GeoUtils.distance(this.model.state.lat, this.model.state.lng, target.lat, target.lng);
+            leg = length > 0 ? Math.max(0, Math.min(1, 1 - remaining / length)) : 0;
+        } else if (this.phase === 'hover' || this.phase === 'land' || this.phase === 'delay') {
+            leg = 1;
+        }
+
+        return Math.min(1, (this.index + leg) / this.waypoints.length);
+    }
+
+    pause() {
+        if (this.paused || this.finished) return;
+        this.paused = true;
+        this.holdPoint = {
+            lat: this.model.state.lat,
+            lng: this.model.state.lng,
+            altitude: this.model.state.altitude
+        };
+    }
+
+    resume() {
+        this.paused = false;
+        this.holdPoint = null;
+    }
+
+    skip() {
+        if (this.phase === 'navigate' || this.phase === 'hover' || this.phase === 'delay') {
+            this.advance();
+        }
+    }
+
+    advance() {
+        const previous = this.currentWaypoint;
+        const reached = previous && this.target(previous);
+        if (reached) {
+            this.legStart = { lat: reached.lat, lng: reached.lng };
+        }
+
+        this.index++;
+        this.phase = this.index < this.waypoints.length ? this.resumePhase || 'navigate' : 'complete';
+        this.resumePhase = null;
+        if (this.phase === 'complete') {
+            this.holdPoint = { lat: this.model.state.lat, lng: this.model.state.lng, altitude: this.model.state.altitude };
+        }
+
+        if (this.onProgress) this.onProgress(this);
+        if (this.phase === 'complete' && this.onComplete) this.onComplete(this);
+    }
+
+    // Carries out the commands ahead of the next item that is flown to; false while a delay holds it up
+    runCommands() {
+        let waypoint;
+        while ((waypoint = this.currentWaypoint) && !WaypointTypes.isPath(waypoint.type)) {
+            const params = waypoint.params || {};
+
+            switch (waypoint.type) {
+                case 'change-speed':
+                    if (waypoint.speed > 0) this.currentSpeed = waypoint.speed;
+                    break;
+
+                case 'jump': {
+                    const jumps = this.jumpCounts[this.index] || 0;
+                    if (jumps < (params.jumpRepeat || 0)) {
+                        this.jumpCounts[this.index] = jumps + 1;
+                        this.index = Math.max(0, Math.min(this.waypoints.length - 1, (params.jumpTarget || 1) - 1));
+                        if (this.onProgress) this.onProgress(this);
+                        continue;
+                    }
+                    break;
+                }
+
+                case 'delay':
+                    if (params.delay > 0) {
+                        const s = this.model.state;
+                        this.resumePhase = this.phase;
+                        this.phase = 'delay';
+                        this.delayRemaining = params.delay;
+                        this.delayPoint = { lat: s.lat, lng: s.lng, altitude: s.altitude };
+                        if (this.onProgress) this.onProgress(this);
+                        return false;
+                    }
+                    break;
+
+                // The simulator has no camera or gimbal to drive and flies nose-first whatever the ROI
+                default:
+                    break;
+            }
+            this.index++;
+        }
+        return true;
+    }
+
+    acceptance() {
+        if (Autopilot.isMultirotor(this.model)) {
+            return this.acceptanceRadius;
+        }
+        // Wings cannot stop on a point; accept once inside a turn's width
+        const speed = this.model.state.airspeed;
+        return Math.max(this.acceptanceRadius, speed * speed / (GRAVITY * Math.tan(GeoUtils.toRadians(35))));
+    }
+
+    // Seconds to stay over a waypoint: its hover time plus any loiter
+    hoverTime(waypoint, speed) {
+        const params = waypoint.params || {};
+        let seconds = waypoint.hoverTime || 0;
+        if (waypoint.type === 'loiter-time') {
+            seconds += params.loiterTime || 0;
+        } else if (waypoint.type === 'loiter-turns') {
+            seconds += (params.loiterTurns || 0) * 2 * Math.PI * (params.loiterRadius || 0) / Math.max(1, speed);
+        }
+        return seconds;
+    }
+
+    demand(dt) {
+        const model = this.model;
+        const s = model.state;
+
+        if (this.paused || this.phase === 'complete') {
+            if (!this.holdPoint) {
+                return Autopilot.land(model, s.lat, s.lng);
+            }
+            return Autopilot.hold(model, this.holdPoint.lat, this.holdPoint.lng, this.holdPoint.altitude);
+        }
+
+        if (this.phase === 'delay') {
+            this.delayRemaining -= dt;
+            if (this.delayRemaining <= 0) {
+                this.advance();
+            }
+            return Autopilot.hold(model, this.delayPoint.lat, this.delayPoint.lng, this.delayPoint.altitude);
+        }
+
+        if ((this.phase === 'takeoff' || this.phase === 'navigate') && !this.runCommands()) {
+            return this.demand(0);
+        }
+
+        const waypoint = this.currentWaypoint;
+        if (!waypoint) {
+            this.advance();
+            return Autopilot.hold(model, s.lat, s.lng, s.altitude);
+        }
+        const target = this.target(waypoint);
+
+        // A speed set on a waypoint carries on to the ones after it, as it does on the vehicle
+        if (waypoint.speed > 0) this.currentSpeed = waypoint.speed;
+        const speed = this.currentSpeed;
+
+        // Takeoff items climb where the aircraft is, then carry on
+        if (this.phase === 'navigate' && waypoint.type === 'takeoff') {
+            this.phase = 'takeoff';
+            this.legStart = { lat: s.lat, lng: s.lng };
+        }
+
+        switch (this.phase) {
+            case 'takeoff': {
+                // Climb out over the launch point before heading off
+                const altitude = target.altitude || 20;
+                if (s.altitude >= altitude - 2) {
+                    if (waypoint.type === 'takeoff') {
+                        this.advance();
+                    } else {
+                        this.phase = 'navigate';
+                    }
+                    this.legStart = { lat: s.lat, lng: s.lng };
+                }
+                if (Autopilot.isMultirotor(model)) {
+                    return Autopilot.navigate(model, this.legStart.lat, this.legStart.lng, altitude, speed);
+                }
+                return {
+                    heading: s.onGround ? s.heading : GeoUtils.bearing(s.lat, s.lng, target.lat, target.lng),
+                    speed: model.cruiseSpeed,
+                    climbRate: model.maxClimbRate
+                };
+            }
+
+            case 'navigate': {
+                const distance = GeoUtils.distance(s.lat, s.lng, target.lat, target.lng);
+                if (distance <= this.acceptance()) {
+                    const hoverTime = this.hoverTime(waypoint, speed);
+                    if (waypoint.type === 'rtl' || waypoint.type === 'land') {
+                        this.phase = 'land';
+                        this.holdPoint = { lat: target.lat, lng: target.lng, altitude: s.altitude };
+                        if (this.onProgress) this.onProgress(this);
+                    } else if (hoverTime > 0) {
+                        this.phase = 'hover';
+                        this.hoverRemaining = hoverTime;
+                        if (this.onProgress) this.onProgress(this);
+                    } else {
+                        this.advance();
+                    }
+                }
+                return Autopilot.navigate(model, target.lat, target.lng, target.altitude, speed);
+            }
+
+            case 'hover':
+                this.hoverRemaining -= dt;
+                if (this.hoverRemaining <= 0) {
+                    this.advance();
+                }
+                return Autopilot.hold(model, target.lat, target.lng, target.altitude);
+
+            case 'land':
+                if (s.onGround) {
+                    this.index = this.waypoints.length;
+                    this.phase = 'complete';
+                    this.holdPoint = null;
+                    if (this.onProgress) this.onProgress(this);
+                    if (this.onComplete) this.onComplete(this);
+                }
+                return Autopilot.land(model, this.holdPoint?.lat ?? s.lat, this.holdPoint?.lng ?? s.lng);
+        }
+
+        return Autopilot.hold(model, s.lat, s.lng, s.altitude);
+    }
+}
+
+// Return-to-home sequence: climb to a safe altitude, fly home, descend and touch down
+class ReturnToHome {
+    constructor(model, home, altitude) {
+        this.model = model;
+        this.home = home;
+        this.altitude = Math.max(altitude, model.state.altitude);
+        this.start = { lat: model.state.lat, lng: model.state.lng };
+        this.phase = 'climb';
+
+        this.onPhase = null;
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        if (this.onPhase) this.onPhase(phase);
+    }
+
+    demand() {
+        const model = this.model;
+        const s = model.state;
+
+        switch (this.phase) {
+            case 'climb':
+                if (s.altitude >= this.altitude - 1) {
+                    this.setPhase('return');
+                }
+                return Autopilot.hold(model, this.start.lat, this.start.lng, this.altitude);
+
+            case 'return': {
+                const distance = GeoUtils.distance(s.lat, s.lng, this.home.lat, this.home.lng);
+                const acceptance = Autopilot.canHover(model) ? 3 : 60;
+                if (distance <= acceptance) {
+                    this.setPhase('descend');
+                }
+                return Autopilot.navigate(model, this.home.lat, this.home.lng, this.altitude, model.cruiseSpeed);
+            }
+
+            case 'descend':
+                if (s.onGround) {
+                    this.setPhase('landed');
+                }
+                // Wings spiral down over home before the final straight-in
+                if (!Autopilot.canHover(model) && s.altitude > 12) {
+                    return Autopilot.hold(model, this.home.lat, this.home.lng, 10);
+                }
+                return Autopilot.land(model, this.home.lat, this.home.lng);
+        }
+
+        return { heading: s.heading, speed: 0, climbRate: 0 };
+    }
+}
@@ -0,0 +1,44 @@
+// Battery discharge: open-circuit voltage from the chemistry curve, sagging under load
+
+class BatteryModel {
+    constructor(drone) {
+        this.chemistry = BATTERY_CHEMISTRY[drone.batteryType] || BATTERY_CHEMISTRY.lipo;
+        this.cells = drone.batteryCells ||
+            Math.max(1, Math.round((drone.batteryVoltage || 22.2) / this.chemistry.nominal));
+        this.capacityAh = (drone.batteryCapacity || 5000) / 1000;
+        this.resistance = this.cells * this.chemistry.resistance / this.capacityAh;
+        this.consumedAh = 0;
+        this.current = 0;
+    }
+
+    get stateOfCharge() {
+        return Math.max(0, 1 - this.consumedAh / this.capacityAh);
+    }
+
+    get remaining() {
+        return this.stateOfCharge * 100;
+    }
+
+    get openCircuitVoltage() {
+        const curve = this.chemistry.curve;
+        const soc = this.stateOfCharge;
+
+        for (let i = 1; i < curve.length; i++) {
+            if (soc <= curve[i][0]) {
+                const [soc0, v0] = curve[i - 1];
+                const [soc1, v1] = curve[i];
+                return this.cells * (v0 + (v1 - v0) * (soc - soc0) / (soc1 - soc0));
+            }
+        }
+        return this.cells * curve[curve.length - 1][1];
+    }
+
+    get voltage() {
+        return Math.max(0, this.openCircuitVoltage - this.current * this.resistance);
+    }
+
+    discharge(current, dt) {
+        this.current = current;
+        this.consumedAh += current * dt / 3600;
+    }
+}
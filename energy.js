@@ -0,0 +1,166 @@
+// Mission energy: battery drawn segment by segment from the simulator's steady-state power, with wind
+
+const ENERGY_STEP = 10; // seconds per battery integration step
+const ENERGY_MIN_GROUND_SPEED = 0.5; // m/s; below this the aircraft can't make headway
+
+class MissionEnergy {
+    // Airspeed, ground speed and crab angle along `bearing` in a wind of {speed, direction}.
+    // Multirotors hold their ground speed up to max speed; wings hold their airspeed.
+    // The crab is how far the nose points off the track into the wind, positive to the right.
+    static speeds(model, bearing, speed, wind) {
+        const { tailwind, crosswind } = WindModel.components(wind, bearing);
+        let airspeed;
+        let groundSpeed;
+
+        if (Autopilot.isMultirotor(model)) {
+            airspeed = Math.hypot(speed - tailwind, crosswind);
+            groundSpeed = speed;
+            if (airspeed > model.maxSpeed) {
+                airspeed = model.maxSpeed;
+                groundSpeed = Math.sqrt(Math.max(0, airspeed ** 2 - crosswind ** 2)) + tailwind;
+            }
+        } else {
+            airspeed = Math.max(speed, Autopilot.minimumSpeed(model));
+            groundSpeed = Math.sqrt(Math.max(0, airspeed ** 2 - crosswind ** 2)) + tailwind;
+        }
+
+        const crab = Math.asin(Math.max(-1, Math.min(1, -crosswind / Math.max(0.1, airspeed))));
+        return {
+            airspeed: airspeed,
+            groundSpeed: groundSpeed,
+            crab: GeoUtils.toDegrees(crab),
+            tailwind: tailwind,
+            crosswind: crosswind
+        };
+    }
+
+    // Seconds and watts to fly from one {lat, lng, altitude} to another; climbs and descents
+    // stretch the leg when the vertical rate can't keep up with the horizontal distance.
+    // The leg flies in the wind at its mid height.
+    static leg(model, from, to, speed, wind) {
+        const distance = GeoUtils.distance(from.lat, from.lng, to.lat, to.lng);
+        const climb = to.altitude - from.altitude;
+        const verticalSeconds = climb >= 0 ? climb / model.maxClimbRate : -climb / model.maxDescentRate;
+
+        if (distance < 1) {
+            const airspeed = Autopilot.canHover(model) ? 0 : model.cruiseSpeed;
+            const seconds = verticalSeconds;
+            return {
+                distance: distance,
+                seconds: seconds,
+                power: model.steadyPower(airspeed, seconds > 0 ? climb / seconds : 0),
+                blocked: false
+            };
+        }
+
+        const { airspeed, groundSpeed } = MissionEnergy.speeds(model,
+            GeoUtils.bearing(from.lat, from.lng, to.lat, to.lng), speed, wind.at((from.altitude + to.altitude) / 2));
+        if (groundSpeed < ENERGY_MIN_GROUND_SPEED) {
+            return { distance: distance, seconds: Infinity, power: model.maxPower(), blocked: true };
+        }
+
+        const seconds = Math.max(distance / groundSpeed, verticalSeconds);
+        return {
+            distance: distance,
+            seconds: seconds,
+            power: model.steadyPower(airspeed, climb / seconds),
+            blocked: false
+        };
+    }
+
+    // Holding over a point: rotors hover into the wind, wings circle at cruise
+    static holdPower(model, wind, point) {
+        return model.steadyPower(Autopilot.canHover(model) ? wind.at(point.altitude).speed : model.cruiseSpeed, 0);
+    }
+
+    // Battery needed to fly straight home from a curve sample and land, as a percentage of capacity
+    static returnCost(model, point, home, wind) {
+        const overHome = { lat: home.lat, lng: home.lng, altitude: point.altitude };
+        const back = MissionEnergy.leg(model, point, overHome, model.cruiseSpeed, wind);
+        const landing = MissionEnergy.leg(model, overHome, { ...overHome, altitude: 0 }, model.cruiseSpeed, wind);
+        if (back.blocked) return Infinity;
+
+        const joules = back.power * back.seconds + landing.power * landing.seconds;
+        const voltage = Math.max(1, point.voltage);
+        return joules / 3600 / voltage / model.battery.capacityAh * 100;
+    }
+
+    // segments: {type: 'leg', from, to, speed} or {type: 'hold', point, seconds}, with points of
+    // {lat, lng, altitude} in meters above home. wind is a WindModel; reserve is the battery
+    // percentage to land with.
+    // Returns the flight time, a battery-remaining curve over distance, the point of no return and
+    // the legs the wind is too strong to fly.
+    static estimate(drone, segments, wind, home, reserve) {
+        const model = SimulationModel.create(drone, home.lat, home.lng);
+        const battery = model.battery;
+        const samples = [{
+            distance: 0, seconds: 0, remaining: 100, voltage: battery.openCircuitVoltage,
+            lat: home.lat, lng: home.lng, altitude: 0
+        }];
+        const blocked = [];
+        let distance = 0;
+        let seconds = 0;
+
+        // Integrates in short steps so the pack's voltage sag raises the current as it drains
+        const draw = (power, duration, position) => {
+            const steps = Math.max(1, Math.ceil(duration / ENERGY_STEP));
+            for (let i = 1; i <= steps; i++) {
+                battery.discharge(power / Math.max(1, battery.voltage), duration / steps);
+                const point = position(i / steps);
+                samples.push({
+                    distance: distance + point.distance,
+                    seconds: seconds + duration * i / steps,
+                    remaining: battery.remaining,
+                    voltage: battery.openCircuitVoltage,
+                    lat: point.lat,
+                    lng: point.lng,
+                    altitude: point.altitude
+                });
+            }
+        };
+
+        segments.forEach(segment => {
+            if (segment.type === 'hold') {
+                const at = { ...segment.point, distance: 0 };
+                draw(MissionEnergy.holdPower(model, wind, segment.point), segment.seconds, () => at);
+                seconds += segment.seconds;
+                return;
+            }
+
+            const { from, to } = segment;
+            const leg = MissionEnergy.leg(model, from, to, segment.speed, wind);
+            if (leg.blocked) {
+                blocked.push(segment);
+                return;
+            }
+
+            draw(leg.power, leg.seconds, t => ({
+                distance: leg.distance * t,
+                lat: from.lat + (to.lat - from.lat) * t,
+                lng: from.lng + (to.lng - from.lng) * t,
+                altitude: from.altitude + (to.altitude - from.altitude) * t
+            }));
+            distance += leg.distance;
+            seconds += leg.seconds;
+        });
+
+        // The last point from which going straight home still lands with the reserve
+        let pointOfNoReturn = null;
+        for (let i = 0; i < samples.length; i++) {
+            const cost = MissionEnergy.returnCost(model, samples[i], home, wind);
+            if (samples[i].remaining - cost < reserve) {
+                pointOfNoReturn = samples[Math.max(0, i - 1)];
+                break;
+            }
+        }
+
+        return {
+            seconds: seconds,
+            distance: distance,
+            remaining: battery.remaining,
+            samples: samples,
+            pointOfNoReturn: pointOfNoReturn,
+            blocked: blocked
+        };
+    }
+}
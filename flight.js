@@ -4,10 +4,31 @@ class FlightManager {
         this.missionPlanner = missionPlanner;
         this.selectedDrone = null;
         this.selectedMission = null;
+        this.wind = new WindModel();
         this.isConnected = false;
+        this.isArmed = false;
+        this.link = null;
+        this.simulation = null;
+        this.simMode = null;
+        this.takeoffAltitude = 0;
+        this.lastSimTime = null;
+        this.missionExecutor = null;
+        this.returnHome = null;
+        this.homePosition = null;
+        this.batteryFailsafe = 0;
+        this.geofences = [];
+        this.fenceLayers = [];
+        this.fenceBreach = null;
+        this.holdPoint = null;
+        this.recorder = null;
+        this.replay = null;
+        this.replayTrack = null;
+        this.activeLeg = null;
         this.flightLoop = null;
         this.flightStartTime = null;
         this.activeCameraStream = null;
+        this.videoRecorder = null;
+        this.videoSession = null;
         this.manualControlActive = false;
         
         this.telemetry = {
@@ -15,6 +36,7 @@ class FlightManager {
             lng: -122.4194,
             altitude: 0,
             speed: 0,
+            airspeed: 0,
             heading: 0,
             pitch: 0,
             roll: 0,
@@ -38,7 +60,11 @@ class FlightManager {
         this.warnings = {
             lastBankWarning: 0,
             lastSinkWarning: 0,
-            lastTerrainWarning: 0
+            lastTerrainWarning: 0,
+            lastLinkWarning: 0,
+            lastStallWarning: 0,
+            lastBatteryWarning: 0,
+            lastFenceWarning: 0
         };
         
         this.miniMap = null;
@@ -61,12 +87,15 @@ class FlightManager {
         this.setupEventListeners();
         this.setupManualControlUI();
         this.setupInputListeners();
-        this.loadDroneList();
+        this.setupStorageListeners();
+        this.droneManager.ready.then(() => this.loadDroneList());
         this.loadMissionList();
         this.initMiniMap();
         this.initArtificialHorizon();
         this.setupDraggableMap();
         this.startFlightLoop();
+        this.loadFlightLogs();
+        this.loadRecordings();
         this.setupViewObserver();
         this.initCameraSystem();
         this.setupResizablePanels();
@@ -192,6 +221,9 @@ class FlightManager {
             const deviceId = e.target.value;
             if (!deviceId) return;
 
+            if (this.videoRecorder) {
+                await this.stopRecording();
+            }
             if (this.activeCameraStream) {
                 this.activeCameraStream.getTracks().forEach(track => track.stop());
             }
@@ -239,6 +271,54 @@ class FlightManager {
         document.getElementById('toggle-arc-mode')?.addEventListener('click', () => this.toggleArcMode());
         document.getElementById('expand-mini-map')?.addEventListener('click', () => this.expandMiniMap());
         document.getElementById('minimize-mini-map')?.addEventListener('click', () => this.minimizeMiniMap());
+        document.getElementById('link-connect-btn')?.addEventListener('click', () => this.toggleLink());
+        document.getElementById('mission-start-btn')?.addEventListener('click', () => this.startMission());
+        document.getElementById('mission-pause-btn')?.addEventListener('click', () => this.toggleMissionPause());
+        document.getElementById('mission-skip-btn')?.addEventListener('click', () => this.skipWaypoint());
+        document.getElementById('mission-upload-btn')?.addEventListener('click', () => this.uploadMission());
+        document.getElementById('replay-play-btn')?.addEventListener('click', () => this.toggleReplayPlayback());
+        document.getElementById('replay-close-btn')?.addEventListener('click', () => this.closeReplay());
+        document.getElementById('replay-scrubber')?.addEventListener('input', (e) => {
+            this.replay?.seek(parseFloat(e.target.value));
+            this.renderReplayFrame();
+        });
+        document.getElementById('replay-speed')?.addEventListener('change', (e) => {
+            if (this.replay) this.replay.speed = parseFloat(e.target.value);
+        });
+        document.getElementById('mission-download-btn')?.addEventListener('click', () => this.downloadMission());
+
+        this.loadSettings();
+    }
+
+    // The link address and failsafe settings persist between sessions, keyed by input id
+    async loadSettings() {
+        for (const id of STORAGE_SETTING_INPUTS) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+
+            try {
+                input.value = await SettingsStore.get(id, input.value);
+            } catch (error) {
+                console.error(`Failed to load setting ${id}:`, error);
+            }
+            if (id === 'link-url') continue;
+
+            input.addEventListener('change', () => {
+                SettingsStore.set(id, input.value).catch(error => Database.reportError('save the setting', error));
+            });
+        }
+    }
+
+    // Lists follow writes from the other views and from other tabs
+    setupStorageListeners() {
+        Database.subscribe('drones', () => this.droneManager.ready.then(() => this.loadDroneList()));
+        Database.subscribe('missions', () => this.loadMissionList());
+        Database.subscribe('flightSessions', change => {
+            if (change.remote) this.loadFlightLogs();
+        });
+        Database.subscribe('recordings', change => {
+            if (change.remote) this.loadRecordings();
+        });
     }
 
     setupManualControlUI() {
@@ -380,9 +460,137 @@ class FlightManager {
                 this.warnings.lastTerrainWarning = now;
             }
         }
+
+        if (this.simulation?.state.stalled) {
+            if (now - this.warnings.lastStallWarning > 3000) {
+                this.speak("Stall");
+                this.warnings.lastStallWarning = now;
+            }
+        }
+
+        if (this.link && now - this.link.lastHeartbeat > 3000) {
+            if (now - this.warnings.lastLinkWarning > 5000) {
+                this.speak("Telemetry Lost");
+                this.warnings.lastLinkWarning = now;
+            }
+        }
+
+        this.checkBatteryFailsafe(now);
+        this.checkGeofence(now);
+    }
+
+    // Low battery returns home, critical battery lands where it is
+    checkBatteryFailsafe(now) {
+        if (!this.isArmed || !this.flightStartTime || this.simulation?.state.onGround) return;
+
+        const low = parseFloat(document.getElementById('battery-low')?.value) || 0;
+        const critical = parseFloat(document.getElementById('battery-critical')?.value) || 0;
+        const battery = this.telemetry.battery;
+
+        if (battery <= critical && this.batteryFailsafe < 2) {
+            this.batteryFailsafe = 2;
+            this.warnings.lastBatteryWarning = now;
+            this.speak("Battery Critical. Landing");
+            this.land();
+        } else if (battery <= low && this.batteryFailsafe < 1) {
+            this.batteryFailsafe = 1;
+            this.warnings.lastBatteryWarning = now;
+            this.speak("Battery Low. Returning Home");
+            this.forceReturnToHome();
+        } else if (this.batteryFailsafe > 0 && now - this.warnings.lastBatteryWarning > 20000) {
+            this.speak(this.batteryFailsafe === 2 ? "Battery Critical" : "Battery Low");
+            this.warnings.lastBatteryWarning = now;
+        }
+    }
+
+    // Mission fences: a spoken warning on approach, the configured action on a breach
+    checkGeofence(now) {
+        if (this.geofences.length === 0 || !this.isArmed || !this.flightStartTime ||
+            this.simulation?.state.onGround) return;
+
+        const t = this.telemetry;
+        const violation = Geofence.violation(this.geofences, t.lat, t.lng, t.altitude);
+
+        if (violation && !this.fenceBreach) {
+            this.fenceBreach = violation;
+            this.warnings.lastFenceWarning = now;
+            if (this.recorder) {
+                this.recorder.event('fence', `Geofence breach: ${Geofence.describe(violation)}`);
+            }
+            this.applyFenceAction();
+        } else if (!violation && this.fenceBreach) {
+            this.fenceBreach = null;
+            if (this.recorder) {
+                this.recorder.event('fence', 'Back inside geofence');
+            }
+        } else if (violation) {
+            if (now - this.warnings.lastFenceWarning > 10000) {
+                this.speak("Geofence Breach");
+                this.warnings.lastFenceWarning = now;
+            }
+        } else if (Geofence.margin(this.geofences, t.lat, t.lng, t.altitude) < GEOFENCE_WARNING_DISTANCE) {
+            if (now - this.warnings.lastFenceWarning > 5000) {
+                this.speak("Geofence Ahead");
+                this.warnings.lastFenceWarning = now;
+            }
+        }
+    }
+
+    applyFenceAction() {
+        const action = document.getElementById('fence-action')?.value || 'warn';
+
+        if (action === 'hold') {
+            this.speak("Geofence Breach. Holding");
+            this.holdPosition();
+        } else if (action === 'rtl') {
+            this.speak("Geofence Breach. Returning Home");
+            this.forceReturnToHome();
+        } else if (action === 'land') {
+            this.speak("Geofence Breach. Landing");
+            this.land();
+        } else {
+            this.speak("Geofence Breach");
+        }
+    }
+
+    // Stop where the aircraft is; stick input hands control back to the pilot
+    async holdPosition() {
+        if (this.link) {
+            if (await this.sendLinkCommand(MAV_CMD.DO_PAUSE_CONTINUE, [0], 'Hold')) {
+                this.setFlightStatus('Holding');
+            }
+            return;
+        }
+        if (!this.simulation) return;
+
+        if (this.missionExecutor && !this.missionExecutor.finished) {
+            this.missionExecutor.pause();
+            this.setFlightStatus('Mission Paused');
+            this.updateMissionControls();
+            return;
+        }
+
+        const s = this.simulation.state;
+        this.returnHome = null;
+        this.simMode = null;
+        this.holdPoint = { lat: s.lat, lng: s.lng, altitude: s.altitude };
+        this.setFlightStatus('Holding');
+    }
+
+    forceReturnToHome() {
+        if (this.link) {
+            this.sendLinkCommand(MAV_CMD.NAV_RETURN_TO_LAUNCH, [], 'Return to home');
+            this.setFlightStatus('Returning to Home');
+        } else if (this.simulation && !this.simulation.state.onGround && !this.returnHome) {
+            this.startReturnToHome();
+        }
     }
 
     speak(text) {
+        if (this.recorder) {
+            this.recorder.event('speech', text);
+        }
+
         if ('speechSynthesis' in window) {
             const utterance = new SpeechSynthesisUtterance(text);
             utterance.rate = 1.1;
@@ -396,6 +604,7 @@ class FlightManager {
         if (!select) return;
         
         const drones = this.droneManager.getAllDrones();
+        const selected = select.value;
         select.innerHTML = '<option value="">Select drone</option>';
         
         drones.forEach(drone => {
@@ -404,13 +613,21 @@ class FlightManager {
             option.textContent = `${drone.name} (${drone.type})`;
             select.appendChild(option);
         });
+        if (drones.some(drone => drone.id === selected)) select.value = selected;
     }
 
-    loadMissionList() {
+    async loadMissionList() {
         const select = document.getElementById('flight-mission-select');
         if (!select) return;
         
-        const missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
+        let missions;
+        try {
+            missions = await MissionLibrary.list();
+        } catch (error) {
+            console.error('Failed to load saved missions:', error);
+            return;
+        }
+        const selected = select.value;
         select.innerHTML = '<option value="">No mission loaded</option>';
         
         missions.forEach(mission => {
@@ -419,33 +636,52 @@ class FlightManager {
             option.textContent = mission.name;
             select.appendChild(option);
         });
+        if (missions.some(mission => mission.id === selected)) select.value = selected;
     }
 
     selectDrone(droneId) {
         if (!droneId) {
             this.selectedDrone = null;
+            document.getElementById('arm-btn').disabled = true;
             return;
         }
 
         this.selectedDrone = this.droneManager.getDroneById(droneId);
         if (this.selectedDrone) {
-            this.telemetry.voltage = this.selectedDrone.batteryVoltage || 22.2;
+            if (!this.link) {
+                this.telemetry.voltage = this.selectedDrone.batteryVoltage || 22.2;
+            }
+            document.getElementById('arm-btn').disabled = this.isArmed;
             this.updateTelemetryDisplay();
         }
     }
 
-    selectMission(missionId) {
+    async selectMission(missionId) {
+        this.stopMission();
+
         if (!missionId) {
             this.selectedMission = null;
+            this.wind = new WindModel();
+            this.geofences = [];
+            this.drawGeofences();
+            this.updateMissionProgress();
             return;
         }
 
-        const missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
-        this.selectedMission = missions.find(m => m.id === missionId);
+        try {
+            this.selectedMission = await MissionLibrary.get(missionId);
+        } catch (error) {
+            Database.reportError('load the mission', error);
+            this.selectedMission = null;
+        }
+        this.wind = WindModel.fromParameters(this.selectedMission?.parameters);
+        this.geofences = Geofence.normalize(this.selectedMission?.geofences);
+        this.fenceBreach = null;
         
         if (this.selectedMission && this.miniMap) {
             this.loadMissionOnMiniMap();
         }
+        this.updateMissionProgress();
     }
 
     initMiniMap() {
@@ -486,9 +722,10 @@ class FlightManager {
                 this.miniMap.removeLayer(layer);
             }
         });
+        this.activeLeg = null;
 
-        const waypoints = this.selectedMission.waypoints;
-        if (waypoints && waypoints.length > 0) {
+        const waypoints = (this.selectedMission.waypoints || []).filter(wp => WaypointTypes.isPath(wp.type));
+        if (waypoints.length > 0) {
             const pathCoords = waypoints.map(wp => [wp.latitude, wp.longitude]);
             L.polyline(pathCoords, {
                 color: '#10b981',
@@ -498,6 +735,26 @@ class FlightManager {
 
             this.miniMap.fitBounds(pathCoords, { padding: [30, 30] });
         }
+
+        this.drawGeofences();
+    }
+
+    drawGeofences() {
+        if (!this.miniMap) return;
+
+        this.fenceLayers.forEach(layer => this.miniMap.removeLayer(layer));
+        this.fenceLayers = this.geofences.map(fence => {
+            const style = {
+                color: fence.type === 'inclusion' ? '#10b981' : '#ef4444',
+                weight: 1,
+                fillOpacity: fence.type === 'inclusion' ? 0.05 : 0.2,
+                interactive: false
+            };
+            const layer = fence.shape === 'circle' ?
+                L.circle([fence.center.lat, fence.center.lng], { ...style, radius: fence.radius }) :
+                L.polygon(fence.points.map(p => [p.lat, p.lng]), style);
+            return layer.addTo(this.miniMap);
+        });
     }
 
     toggleArcMode() {
@@ -999,52 +1256,119 @@ class FlightManager {
 
     startFlightLoop() {
         this.flightLoop = setInterval(() => {
+            // A replay drives the displays instead of the live aircraft
+            if (this.replay) {
+                this.stepReplay();
+                return;
+            }
+
             this.updateInputs();
             
             if (this.isConnected) {
-                this.telemetry.pitch += this.inputs.pitch * 2;
-                this.telemetry.roll += this.inputs.roll * 2;
-                this.telemetry.heading += this.inputs.yaw * 2;
-                this.telemetry.altitude += this.inputs.throttle * 0.5;
+                // Telemetry comes from the vehicle while a MAVLink link is up
+                if (!this.link) {
+                    this.simulateStep();
+                }
 
-                this.telemetry.pitch *= 0.95;
-                this.telemetry.roll *= 0.95;
+                if (this.homePosition) {
+                    this.telemetry.distanceHome = GeoUtils.distance(
+                        this.homePosition.lat, this.homePosition.lng, this.telemetry.lat, this.telemetry.lng
+                    );
+                }
 
-                this.telemetry.pitch = Math.max(-30, Math.min(30, this.telemetry.pitch));
-                this.telemetry.roll = Math.max(-60, Math.min(60, this.telemetry.roll));
-                this.telemetry.heading = (this.telemetry.heading + 360) % 360;
-                
-                this.telemetry.vspeed = this.inputs.throttle * 5;
-                
-                if (this.inputs.throttle > 0) {
-                     this.telemetry.speed = Math.min(30, this.telemetry.speed + 0.1);
-                } else if (this.inputs.throttle < 0) {
-                     this.telemetry.speed = Math.max(0, this.telemetry.speed - 0.1);
+                if (this.missionExecutor) {
+                    this.updateMissionProgress();
+                }
+
+                if (this.recorder) {
+                    this.recorder.record(this.telemetry, this.inputs);
                 }
 
                 this.checkWarnings();
                 this.updateTelemetryDisplay();
                 this.updateInstruments();
-                
-                if (this.telemetry.speed > 0) {
-                    const rad = (90 - this.telemetry.heading) * Math.PI / 180;
-                    this.telemetry.lat += Math.sin(rad) * 0.00001;
-                    this.telemetry.lng += Math.cos(rad) * 0.00001;
-                    
-                    if (this.droneMarker) {
-                         this.droneMarker.setLatLng([this.telemetry.lat, this.telemetry.lng]);
-                         if (this.miniMap) this.miniMap.panTo([this.telemetry.lat, this.telemetry.lng]);
+
+                if (this.droneMarker) {
+                    this.droneMarker.setLatLng([this.telemetry.lat, this.telemetry.lng]);
+                    if (this.miniMap && this.telemetry.speed > 0) {
+                        this.miniMap.panTo([this.telemetry.lat, this.telemetry.lng]);
                     }
                 }
             }
         }, 50);
     }
 
+    simulateStep() {
+        if (!this.simulation) return;
+
+        const now = performance.now();
+        const dt = this.lastSimTime ? Math.min(0.2, (now - this.lastSimTime) / 1000) : 0.05;
+        this.lastSimTime = now;
+
+        // The mission's wind at the aircraft's height
+        const wind = this.wind.at(this.simulation.state.altitude);
+
+        this.simulation.step(dt, this.simulationDemand(dt), wind);
+
+        const state = this.simulation.state;
+        this.telemetry.lat = state.lat;
+        this.telemetry.lng = state.lng;
+        this.telemetry.altitude = state.altitude;
+        this.telemetry.heading = state.heading;
+        this.telemetry.pitch = state.pitch;
+        this.telemetry.roll = state.roll;
+        this.telemetry.speed = state.groundSpeed;
+        this.telemetry.airspeed = state.airspeed;
+        this.telemetry.vspeed = state.vspeed;
+        this.telemetry.current = state.current;
+        this.telemetry.voltage = this.simulation.battery.voltage;
+        this.telemetry.battery = this.simulation.batteryRemaining;
+    }
+
+    // Manual sticks, overridden vertically while a takeoff or landing is in progress
+    simulationDemand(dt) {
+        const model = this.simulation;
+        if (this.returnHome) {
+            return this.returnHome.demand(dt);
+        }
+        if (this.missionExecutor) {
+            return this.missionExecutor.demand(dt);
+        }
+        if (this.holdPoint) {
+            if (!Object.values(this.inputs).some(value => value !== 0)) {
+                return Autopilot.hold(model, this.holdPoint.lat, this.holdPoint.lng, this.holdPoint.altitude);
+            }
+            this.holdPoint = null;
+            this.setFlightStatus('In Flight');
+        }
+
+        const demand = model.manualDemand(this.inputs, dt);
+
+        if (this.simMode === 'takeoff') {
+            const error = this.takeoffAltitude - model.state.altitude;
+            demand.climbRate = Math.max(demand.climbRate, Math.min(model.maxClimbRate, error * 0.5));
+            if (error < 0.5) {
+                this.simMode = null;
+            }
+        } else if (this.simMode === 'land') {
+            demand.climbRate = model.state.altitude > 10 ? -model.maxDescentRate : -1;
+            if (model.state.onGround) {
+                this.simMode = null;
+                this.setFlightStatus('Landed');
+                document.getElementById('takeoff-btn').disabled = !this.isArmed;
+                document.getElementById('land-btn').disabled = true;
+                this.speak("Touchdown");
+            }
+        }
+
+        return demand;
+    }
+
     updateTelemetryDisplay() {
         document.getElementById('telem-lat').textContent = this.telemetry.lat.toFixed(6);
         document.getElementById('telem-lng').textContent = this.telemetry.lng.toFixed(6);
         document.getElementById('telem-gspeed').textContent = `${this.telemetry.speed.toFixed(1)} m/s`;
-        document.getElementById('telem-aspeed').textContent = `${this.telemetry.speed.toFixed(1)} m/s`;
+        document.getElementById('telem-aspeed').textContent = `${this.telemetry.airspeed.toFixed(1)} m/s`;
         document.getElementById('telem-battery').textContent = `${this.telemetry.battery.toFixed(0)}%`;
         document.getElementById('telem-voltage').textContent = `${this.telemetry.voltage.toFixed(1)} V`;
         document.getElementById('telem-current').textContent = `${this.telemetry.current.toFixed(1)} A`;
@@ -1054,11 +1378,7 @@ class FlightManager {
         document.getElementById('telem-rc').textContent = `${this.telemetry.rcSignal}%`;
         
         if (this.flightStartTime) {
-            const elapsed = Math.floor((Date.now() - this.flightStartTime) / 1000);
-            const minutes = Math.floor(elapsed / 60);
-            const seconds = elapsed % 60;
-            document.getElementById('telem-time').textContent = 
-                `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            document.getElementById('telem-time').textContent = this.formatDuration(Date.now() - this.flightStartTime);
         }
 
         document.getElementById('mini-map-heading').textContent = `${this.telemetry.heading.toFixed(0)}°`;
@@ -1071,78 +1391,887 @@ class FlightManager {
         document.getElementById('flight-vspeed').textContent = `${this.telemetry.vspeed.toFixed(1)} m/s`;
     }
 
-    armDrone() {
+    // MAVLink Telemetry Link
+    async toggleLink() {
+        if (this.link) {
+            this.link.disconnect();
+            return;
+        }
+
+        const url = document.getElementById('link-url').value.trim();
+        if (!url) return;
+
+        const connectBtn = document.getElementById('link-connect-btn');
+        const link = new MavlinkLink(url);
+        this.registerLinkHandlers(link);
+        this.setLinkStatus(`Connecting to ${url}...`, false);
+        connectBtn.disabled = true;
+
+        try {
+            await link.connect();
+        } catch (error) {
+            console.error(error);
+            this.setLinkStatus('Simulation', false);
+            alert('Could not open telemetry link: ' + error.message);
+            return;
+        } finally {
+            connectBtn.disabled = false;
+        }
+
+        this.link = link;
+        this.isConnected = false;
+        SettingsStore.set('link-url', url).catch(error => console.error('Failed to save link address:', error));
+        connectBtn.textContent = 'Disconnect';
+        this.setLinkStatus('Waiting for heartbeat...', false);
+    }
+
+    registerLinkHandlers(link) {
+        link.on('HEARTBEAT', (msg) => {
+            if (msg.type === MAV_TYPE_GCS) return;
+
+            if (!this.isConnected) {
+                this.isConnected = true;
+                this.setLinkStatus(`Vehicle ${link.targetSystem} on ${link.url}`, true);
+                this.speak("Telemetry Connected");
+            }
+
+            const armed = (msg.base_mode & MAV_MODE_FLAG_SAFETY_ARMED) !== 0;
+            if (armed !== this.isArmed) {
+                this.updateArmState(armed);
+            }
+        });
+
+        link.on('ATTITUDE', (msg) => {
+            this.telemetry.roll = msg.roll * 180 / Math.PI;
+            this.telemetry.pitch = msg.pitch * 180 / Math.PI;
+        });
+
+        link.on('GLOBAL_POSITION_INT', (msg) => {
+            this.telemetry.lat = msg.lat / 1e7;
+            this.telemetry.lng = msg.lon / 1e7;
+            this.telemetry.altitude = msg.relative_alt / 1000;
+            this.telemetry.vspeed = -msg.vz / 100;
+            if (msg.hdg !== 65535) {
+                this.telemetry.heading = msg.hdg / 100;
+            }
+        });
+
+        link.on('VFR_HUD', (msg) => {
+            this.telemetry.speed = msg.groundspeed;
+            this.telemetry.airspeed = msg.airspeed;
+        });
+
+        link.on('SYS_STATUS', (msg) => {
+            this.telemetry.voltage = msg.voltage_battery / 1000;
+            if (msg.current_battery !== -1) {
+                this.telemetry.current = msg.current_battery / 100;
+            }
+            if (msg.battery_remaining !== -1) {
+                this.telemetry.battery = msg.battery_remaining;
+            }
+        });
+
+        link.on('GPS_RAW_INT', (msg) => {
+            if (msg.satellites_visible !== 255) {
+                this.telemetry.satellites = msg.satellites_visible;
+            }
+            if (msg.eph !== 65535) {
+                this.telemetry.hdop = msg.eph / 100;
+            }
+        });
+
+        link.on('close', () => {
+            const wasConnected = this.isConnected;
+            this.link = null;
+            this.isConnected = false;
+            this.updateArmState(false);
+            document.getElementById('link-connect-btn').textContent = 'Connect';
+            this.setFlightStatus('Disconnected');
+            this.setLinkStatus('Simulation', false);
+            if (wasConnected) {
+                this.speak("Telemetry Lost");
+            }
+        });
+    }
+
+    setLinkStatus(text, online) {
+        const status = document.getElementById('link-status');
+        if (status) {
+            status.textContent = text;
+            status.classList.toggle('online', online);
+        }
+
+        const indicator = document.getElementById('status-telemetry');
+        if (indicator) {
+            indicator.className = `status-item ${online ? 'ok' : 'warning'}`;
+        }
+    }
+
+    async sendLinkCommand(command, params, label) {
+        try {
+            await this.link.sendCommand(command, params);
+            return true;
+        } catch (error) {
+            console.error(error);
+            this.speak(`${label} rejected`);
+            alert(`${label} failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    updateArmState(armed) {
+        // Home is wherever the aircraft was armed
+        if (armed && !this.isArmed) {
+            this.homePosition = { lat: this.telemetry.lat, lng: this.telemetry.lng };
+            this.batteryFailsafe = 0;
+            this.fenceBreach = null;
+            this.recorder = new FlightRecorder(this.selectedDrone, this.selectedMission);
+        } else if (!armed && this.recorder) {
+            this.recorder.stop().then(() => this.loadFlightLogs());
+            this.recorder = null;
+        }
+        this.isArmed = armed;
+
+        document.getElementById('arm-btn').disabled = armed || !this.selectedDrone;
+        document.getElementById('takeoff-btn').disabled = !armed;
+        document.getElementById('land-btn').disabled = !armed;
+
+        if (this.isConnected) {
+            this.setFlightStatus(armed ? 'Connected - Armed' : 'Connected - Disarmed');
+            document.getElementById('flight-drone-status').className = 'status-indicator connected';
+        }
+
+        if (!armed) {
+            this.flightStartTime = null;
+            this.returnHome = null;
+            this.holdPoint = null;
+            this.stopMission();
+        }
+    }
+
+    setFlightStatus(text) {
+        const status = document.getElementById('flight-drone-status');
+        if (status.textContent === text) return;
+
+        status.textContent = text;
+        if (this.recorder) {
+            this.recorder.event('mode', text);
+        }
+    }
+
+    // Flight Logs
+    async loadFlightLogs() {
+        const list = document.getElementById('flight-log-list');
+        if (!list) return;
+
+        let sessions;
+        try {
+            sessions = await FlightLogStore.list();
+        } catch (error) {
+            console.error('Failed to load flight logs:', error);
+            list.innerHTML = '<div class="link-status">Flight logs unavailable</div>';
+            return;
+        }
+
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="link-status">No recorded flights</div>';
+            return;
+        }
+
+        // Drone and mission names can come from imported files
+        const esc = (text) => this.missionPlanner.escapeHtml(text);
+        list.innerHTML = sessions.map(session => `
+            <div class="saved-mission-item">
+                <div class="saved-mission-header">
+                    <div>
+                        <div class="saved-mission-name">${esc(session.droneName)}${session.missionName ? ' - ' + esc(session.missionName) : ''}</div>
+                        <div class="saved-mission-date">${new Date(session.startedAt).toLocaleString()}</div>
+                    </div>
+                </div>
+                <div class="saved-mission-info">
+                    <span>${this.formatDuration(session.duration)}</span>
+                    <span>Max ${session.maxAltitude.toFixed(0)} m</span>
+                    <span>${(session.distance / 1000).toFixed(2)} km</span>
+                    <span>Battery ${session.batteryUsed.toFixed(0)}%</span>
+                </div>
+                <div class="saved-mission-actions">
+                    <button onclick="flightManager.openReplay('${session.id}')">Replay</button>
+                    <button class="delete" onclick="flightManager.deleteFlightLog('${session.id}')">Delete</button>
+                </div>
+                <div class="saved-mission-actions">
+                    <button onclick="flightManager.exportFlightLog('${session.id}', 'csv')">CSV</button>
+                    <button onclick="flightManager.exportFlightLog('${session.id}', 'gpx')">GPX</button>
+                    <button onclick="flightManager.exportFlightLog('${session.id}', 'kml')">KML</button>
+                    <button onclick="flightManager.exportFlightLog('${session.id}', 'tlog')">tlog</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async deleteFlightLog(sessionId) {
+        if (!confirm('Delete this flight log?')) return;
+
+        try {
+            await FlightLogStore.remove(sessionId);
+        } catch (error) {
+            console.error(error);
+            alert('Failed to delete flight log: ' + error.message);
+        }
+        this.loadFlightLogs();
+    }
+
+    async exportFlightLog(sessionId, format) {
+        const exporters = {
+            csv: FlightLogExporter.toCSV,
+            gpx: FlightLogExporter.toGPX,
+            kml: FlightLogExporter.toKML,
+            tlog: FlightLogExporter.toTlog
+        };
+
+        let log;
+        try {
+            log = await FlightLogStore.load(sessionId);
+        } catch (error) {
+            console.error(error);
+            alert('Failed to load flight log: ' + error.message);
+            return;
+        }
+        if (!log || log.samples.length === 0) {
+            alert('This flight log has no telemetry');
+            return;
+        }
+
+        this.downloadBlob(exporters[format](log), FlightLogExporter.fileName(log, format));
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Flight Log Replay
+    async openReplay(sessionId) {
+        if (this.isArmed) {
+            alert('Disarm before replaying a flight');
+            return;
+        }
+
+        let log;
+        try {
+            log = await FlightLogStore.load(sessionId);
+        } catch (error) {
+            console.error(error);
+            alert('Failed to load flight log: ' + error.message);
+            return;
+        }
+        if (!log || log.samples.length === 0) {
+            alert('This flight log has no telemetry');
+            return;
+        }
+
+        if (this.replay) {
+            this.closeReplay();
+        }
+        this.liveTelemetry = { ...this.telemetry };
+        this.liveStatus = document.getElementById('flight-drone-status').textContent;
+        this.replay = new FlightReplay(log);
+        this.replay.speed = parseFloat(document.getElementById('replay-speed').value);
+        this.lastReplayTime = null;
+
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.max = this.replay.duration;
+        scrubber.value = 0;
+        document.getElementById('replay-markers').innerHTML = log.events.map(event => `
+            <button class="replay-marker ${event.type}" style="left: ${(event.t / (this.replay.duration || 1)) * 100}%"
+                title="${this.formatDuration(event.t)} ${this.missionPlanner.escapeHtml(event.text)}" data-time="${event.t}"></button>
+        `).join('');
+        document.querySelectorAll('.replay-marker').forEach(marker => {
+            marker.addEventListener('click', () => {
+                this.replay?.seek(parseFloat(marker.dataset.time));
+                this.renderReplayFrame();
+            });
+        });
+        document.getElementById('replay-bar').style.display = 'flex';
+        document.getElementById('replay-play-btn').textContent = 'Play';
+
+        if (this.miniMap) {
+            const track = log.samples.map(sample => [sample.telemetry.lat, sample.telemetry.lng]);
+            this.replayTrack = L.polyline(track, {
+                color: '#a855f7',
+                weight: 2,
+                opacity: 0.9
+            }).addTo(this.miniMap);
+            this.miniMap.fitBounds(this.replayTrack.getBounds(), { padding: [30, 30] });
+        }
+
+        this.setFlightStatus(`Replay - ${log.session.droneName}`);
+        this.renderReplayFrame();
+    }
+
+    closeReplay() {
+        if (!this.replay) return;
+
+        this.replay = null;
+        document.getElementById('replay-bar').style.display = 'none';
+        if (this.replayTrack) {
+            this.miniMap.removeLayer(this.replayTrack);
+            this.replayTrack = null;
+        }
+
+        Object.assign(this.telemetry, this.liveTelemetry);
+        this.setFlightStatus(this.liveStatus);
+        this.updateTelemetryDisplay();
+        this.updateInstruments();
+        this.droneMarker?.setLatLng([this.telemetry.lat, this.telemetry.lng]);
+        this.lastSimTime = null;
+    }
+
+    toggleReplayPlayback() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        if (!replay.playing && replay.time >= replay.duration) {
+            replay.seek(0);
+        }
+        replay.playing = !replay.playing;
+        this.lastReplayTime = null;
+        document.getElementById('replay-play-btn').textContent = replay.playing ? 'Pause' : 'Play';
+    }
+
+    stepReplay() {
+        const now = performance.now();
+        const elapsed = this.lastReplayTime ? now - this.lastReplayTime : 0;
+        this.lastReplayTime = now;
+
+        if (!this.replay.playing) return;
+
+        this.replay.advance(elapsed);
+        if (!this.replay.playing) {
+            document.getElementById('replay-play-btn').textContent = 'Play';
+        }
+        this.renderReplayFrame();
+    }
+
+    renderReplayFrame() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        Object.assign(this.telemetry, replay.sample.telemetry);
+        this.updateTelemetryDisplay();
+        this.updateInstruments();
+        this.droneMarker?.setLatLng([this.telemetry.lat, this.telemetry.lng]);
+
+        document.getElementById('telem-time').textContent = this.formatDuration(replay.time);
+        document.getElementById('replay-scrubber').value = replay.time;
+        document.getElementById('replay-time').textContent =
+            `${this.formatDuration(replay.time)} / ${this.formatDuration(replay.duration)}`;
+    }
+
+    formatDuration(ms) {
+        const elapsed = Math.floor(ms / 1000);
+        const minutes = Math.floor(elapsed / 60);
+        const seconds = elapsed % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    // Autonomous Mission
+    startMission() {
+        if (this.link) {
+            alert('Autonomous execution runs in the simulator. Upload the mission and switch the vehicle to AUTO to fly it.');
+            return;
+        }
+        if (!this.selectedMission || !this.selectedMission.waypoints?.length) {
+            alert('Please select a mission first');
+            return;
+        }
+        if (!this.simulation || !this.isArmed) {
+            alert('Please arm the drone first');
+            return;
+        }
+
+        this.returnHome = null;
+        this.holdPoint = null;
+        this.missionExecutor = new MissionExecutor(this.selectedMission, this.simulation, this.homePosition);
+        this.missionExecutor.onProgress = () => {
+            this.updateMissionProgress();
+            this.updateActiveLeg();
+        };
+        this.missionExecutor.onComplete = () => this.completeMission();
+        this.simMode = null;
+
+        if (!this.flightStartTime) {
+            this.flightStartTime = Date.now();
+        }
+        this.setFlightStatus('Auto Mission');
+        document.getElementById('takeoff-btn').disabled = true;
+        document.getElementById('land-btn').disabled = false;
+
+        this.updateMissionControls();
+        this.updateMissionProgress();
+        this.updateActiveLeg();
+        this.speak("Mission started");
+    }
+
+    toggleMissionPause() {
+        const executor = this.missionExecutor;
+        if (!executor) return;
+
+        if (executor.paused) {
+            executor.resume();
+            this.setFlightStatus('Auto Mission');
+            this.speak("Mission resumed");
+        } else {
+            executor.pause();
+            this.setFlightStatus('Mission Paused');
+            this.speak("Mission paused");
+        }
+        this.updateMissionControls();
+    }
+
+    skipWaypoint() {
+        if (this.missionExecutor) {
+            this.missionExecutor.skip();
+        }
+    }
+
+    stopMission() {
+        if (!this.missionExecutor) return;
+
+        this.missionExecutor = null;
+        this.updateMissionControls();
+        this.updateActiveLeg();
+    }
+
+    completeMission() {
+        this.setFlightStatus('Mission Complete');
+        this.speak("Mission complete");
+
+        // Hand control back once landed; otherwise keep holding over the last waypoint
+        if (this.simulation?.state.onGround) {
+            this.missionExecutor = null;
+            document.getElementById('takeoff-btn').disabled = !this.isArmed;
+            document.getElementById('land-btn').disabled = true;
+        }
+        this.updateMissionControls();
+        this.updateActiveLeg();
+    }
+
+    updateMissionControls() {
+        const executor = this.missionExecutor;
+        const running = !!executor && !executor.finished;
+
+        document.getElementById('mission-start-btn').disabled = running;
+        document.getElementById('mission-pause-btn').disabled = !running;
+        document.getElementById('mission-skip-btn').disabled = !running;
+        document.getElementById('mission-pause-btn').textContent = executor?.paused ? 'Resume' : 'Pause';
+    }
+
+    updateMissionProgress() {
+        const total = this.selectedMission?.waypoints?.length || 0;
+        const executor = this.missionExecutor;
+        const current = executor ? Math.min(executor.index + 1, total) : 0;
+
+        document.getElementById('mission-waypoint-progress').textContent = `${current} / ${total}`;
+        document.getElementById('mission-progress-fill').style.width = `${(executor ? executor.progress : 0) * 100}%`;
+    }
+
+    // Highlight the leg being flown on the mini-map
+    updateActiveLeg() {
+        if (!this.miniMap) return;
+
+        const executor = this.missionExecutor;
+        const waypoint = executor?.currentWaypoint;
+        if (!waypoint || executor.finished) {
+            if (this.activeLeg) {
+                this.miniMap.removeLayer(this.activeLeg);
+                this.activeLeg = null;
+            }
+            return;
+        }
+
+        const target = executor.target(waypoint);
+        if (!target) return;
+
+        const path = [[executor.legStart.lat, executor.legStart.lng], [target.lat, target.lng]];
+        if (this.activeLeg) {
+            this.activeLeg.setLatLngs(path);
+        } else {
+            this.activeLeg = L.polyline(path, {
+                color: '#f59e0b',
+                weight: 4,
+                opacity: 0.9
+            }).addTo(this.miniMap);
+        }
+    }
+
+    // Mission Transfer
+    async uploadMission() {
+        if (!this.link || !this.isConnected) {
+            alert('Connect a telemetry link first');
+            return;
+        }
+        if (!this.selectedMission) {
+            alert('Please select a mission first');
+            return;
+        }
+
+        const items = MissionItems.fromWaypoints(this.selectedMission.waypoints);
+        this.setTransferStatus(`Uploading ${items.length} items...`);
+
+        try {
+            await this.link.uploadMission(items, (done, total) => {
+                this.setTransferStatus(`Uploading item ${done} / ${total}`);
+            });
+        } catch (error) {
+            console.error(error);
+            this.setTransferStatus('Upload failed');
+            alert('Mission upload failed: ' + error.message);
+            return;
+        }
+
+        this.setTransferStatus(`Uploaded "${this.selectedMission.name}" (${items.length} items)`);
+        this.speak("Mission uploaded");
+    }
+
+    async downloadMission() {
+        if (!this.link || !this.isConnected) {
+            alert('Connect a telemetry link first');
+            return;
+        }
+
+        this.setTransferStatus('Requesting mission...');
+
+        let items;
+        try {
+            items = await this.link.downloadMission((done, total) => {
+                this.setTransferStatus(`Downloading item ${done} / ${total}`);
+            });
+        } catch (error) {
+            console.error(error);
+            this.setTransferStatus('Download failed');
+            alert('Mission download failed: ' + error.message);
+            return;
+        }
+
+        const { waypoints, skipped } = MissionItems.toWaypoints(items);
+        if (waypoints.length === 0) {
+            this.setTransferStatus('Vehicle has no mission');
+            return;
+        }
+
+        this.setTransferStatus(`Downloaded ${items.length} items`);
+        this.missionPlanner.loadMissionData({
+            name: 'Vehicle mission',
+            drone: this.selectedDrone ? { id: this.selectedDrone.id } : null,
+            waypoints: waypoints
+        });
+        this.droneManager.switchView('mission');
+
+        if (skipped.length > 0) {
+            alert(`${skipped.length} mission item(s) could not be converted:\n${skipped.join('\n')}`);
+        }
+    }
+
+    setTransferStatus(text) {
+        const status = document.getElementById('mission-transfer-status');
+        if (status) status.textContent = text;
+    }
+
+    async armDrone() {
         if (!this.selectedDrone) {
             alert('Please select a drone first');
             return;
         }
+        if (this.replay) {
+            alert('Exit the flight replay first');
+            return;
+        }
 
-        this.isConnected = true;
-        document.getElementById('flight-drone-status').textContent = 'Connected - Armed';
-        document.getElementById('flight-drone-status').className = 'status-indicator connected';
-        
-        document.getElementById('arm-btn').disabled = true;
-        document.getElementById('takeoff-btn').disabled = false;
-        
-        this.telemetry.satellites = 12;
-        this.telemetry.hdop = 0.8;
-        this.telemetry.rcSignal = 98;
+        if (this.link) {
+            document.getElementById('arm-btn').disabled = true;
+            if (!await this.sendLinkCommand(MAV_CMD.COMPONENT_ARM_DISARM, [1], 'Arm')) {
+                document.getElementById('arm-btn').disabled = false;
+                return;
+            }
+        } else {
+            // Launch from the mission's first waypoint, or wherever the aircraft last was
+            const launch = this.selectedMission?.waypoints?.find(wp => WaypointTypes.isPath(wp.type));
+            const lat = launch ? launch.latitude : this.telemetry.lat;
+            const lng = launch ? launch.longitude : this.telemetry.lng;
+            this.simulation = SimulationModel.create(this.selectedDrone, lat, lng);
+            this.simMode = null;
+            this.lastSimTime = null;
+            this.telemetry.lat = lat;
+            this.telemetry.lng = lng;
+            this.telemetry.altitude = 0;
+            this.telemetry.voltage = this.simulation.battery.voltage;
+            this.telemetry.battery = this.simulation.batteryRemaining;
+
+            this.isConnected = true;
+            this.telemetry.satellites = 12;
+            this.telemetry.hdop = 0.8;
+            this.telemetry.rcSignal = 98;
+        }
+
+        this.updateArmState(true);
+        document.getElementById('land-btn').disabled = true;
         this.updateTelemetryDisplay();
         
         this.speak("System Armed");
     }
 
-    takeoff() {
+    async takeoff() {
+        if (this.link) {
+            const altitude = this.selectedMission?.parameters?.defaultAltitude || 20;
+            if (!await this.sendLinkCommand(MAV_CMD.NAV_TAKEOFF, [0, 0, 0, NaN, 0, 0, altitude], 'Takeoff')) {
+                return;
+            }
+        }
+
         this.flightStartTime = Date.now();
-        document.getElementById('flight-drone-status').textContent = 'In Flight';
+        this.setFlightStatus('In Flight');
         
         document.getElementById('takeoff-btn').disabled = true;
         document.getElementById('land-btn').disabled = false;
         
-        this.inputs.throttle = 1; 
-        setTimeout(() => this.inputs.throttle = 0, 3000); 
+        if (!this.link) {
+            this.takeoffAltitude = this.selectedMission?.parameters?.defaultAltitude || 20;
+            this.simMode = 'takeoff';
+        }
         
         this.speak("Takeoff initiated");
     }
 
-    land() {
-        document.getElementById('flight-drone-status').textContent = 'Landing';
-        this.inputs.throttle = -0.5;
+    async land() {
+        if (this.link && !await this.sendLinkCommand(MAV_CMD.NAV_LAND, [], 'Land')) {
+            return;
+        }
+
+        this.setFlightStatus('Landing');
+        if (!this.link) {
+            this.stopMission();
+            this.returnHome = null;
+            this.holdPoint = null;
+            this.simMode = 'land';
+        }
         this.speak("Landing sequence initiated");
     }
 
-    returnToHome() {
+    async returnToHome() {
+        if (!this.link && (!this.simulation || !this.isArmed || this.simulation.state.onGround)) {
+            alert('The drone is not in flight');
+            return;
+        }
+
         if (confirm('Return to home position?')) {
-            document.getElementById('flight-drone-status').textContent = 'Returning to Home';
+            if (this.link) {
+                if (!await this.sendLinkCommand(MAV_CMD.NAV_RETURN_TO_LAUNCH, [], 'Return to home')) {
+                    return;
+                }
+                this.setFlightStatus('Returning to Home');
+            } else {
+                this.startReturnToHome();
+            }
+
             this.speak("Return to home");
         }
     }
 
-    emergencyAbort() {
+    startReturnToHome() {
+        this.stopMission();
+        this.simMode = null;
+        this.holdPoint = null;
+
+        const altitude = parseFloat(document.getElementById('rtl-altitude')?.value) || 30;
+        this.returnHome = new ReturnToHome(this.simulation, this.homePosition, altitude);
+        this.returnHome.onPhase = (phase) => this.updateReturnPhase(phase);
+        this.updateReturnPhase(this.returnHome.phase);
+
+        document.getElementById('takeoff-btn').disabled = true;
+        document.getElementById('land-btn').disabled = false;
+    }
+
+    updateReturnPhase(phase) {
+        const labels = {
+            climb: 'RTH - Climbing',
+            return: 'RTH - Returning',
+            descend: 'RTH - Descending'
+        };
+
+        if (phase === 'landed') {
+            this.returnHome = null;
+            this.updateArmState(false);
+            this.setFlightStatus('Landed - Disarmed');
+            this.speak("Landed. Disarmed");
+            return;
+        }
+
+        this.setFlightStatus(labels[phase]);
+    }
+
+    async emergencyAbort() {
         if (confirm('EMERGENCY ABORT: This will immediately stop all motors. Confirm?')) {
-            this.telemetry.altitude = 0;
-            this.telemetry.speed = 0;
-            this.isConnected = false;
-            document.getElementById('flight-drone-status').textContent = 'Emergency Stop';
+            this.recorder?.event('mode', 'Emergency Stop');
+
+            if (this.link) {
+                if (!await this.sendLinkCommand(MAV_CMD.COMPONENT_ARM_DISARM, [0, MAV_FORCE_DISARM], 'Emergency stop')) {
+                    return;
+                }
+                this.updateArmState(false);
+            } else {
+                this.telemetry.altitude = 0;
+                this.telemetry.speed = 0;
+                this.stopMission();
+                this.returnHome = null;
+                this.simulation = null;
+                this.simMode = null;
+                this.isConnected = false;
+                this.updateArmState(false);
+            }
+
+            this.setFlightStatus('Emergency Stop');
             document.getElementById('flight-drone-status').className = 'status-indicator disconnected';
             
-            document.getElementById('arm-btn').disabled = false;
-            document.getElementById('takeoff-btn').disabled = true;
-            document.getElementById('land-btn').disabled = true;
-            
             this.speak("Emergency Stop");
         }
     }
 
-    toggleRecording() {
+    async toggleRecording() {
+        if (this.videoRecorder) {
+            await this.stopRecording();
+            return;
+        }
+        if (!this.activeCameraStream) {
+            alert('Please select a camera source first');
+            return;
+        }
+
+        const overlay = document.getElementById('camera-osd-toggle')?.checked ? () => this.osdLines() : null;
+        const recorder = new VideoRecorder(this.activeCameraStream, overlay);
+        try {
+            await recorder.start();
+        } catch (error) {
+            console.error(error);
+            alert('Recording failed: ' + error.message);
+            return;
+        }
+
+        this.videoRecorder = recorder;
+        this.videoSession = this.recorder?.session || null;
+
+        const btn = document.getElementById('camera-record-btn');
+        btn.textContent = 'Stop';
+        btn.style.backgroundColor = '#ef4444';
+    }
+
+    async stopRecording() {
+        const recorder = this.videoRecorder;
+        this.videoRecorder = null;
+
         const btn = document.getElementById('camera-record-btn');
-        if (btn.textContent === 'Record') {
-            btn.textContent = 'Stop';
-            btn.style.backgroundColor = '#ef4444';
-        } else {
-            btn.textContent = 'Record';
-            btn.style.backgroundColor = '';
+        btn.textContent = 'Record';
+        btn.style.backgroundColor = '';
+
+        const blob = await recorder.stop();
+        // Link to the flight that was armed when recording started, or armed since
+        const session = this.videoSession || this.recorder?.session || null;
+        this.videoSession = null;
+
+        try {
+            await RecordingStore.save({
+                id: recorder.startedAt.toString(),
+                sessionId: session?.id || null,
+                sessionStartedAt: session?.startedAt || null,
+                createdAt: new Date(recorder.startedAt).toISOString(),
+                duration: Date.now() - recorder.startedAt,
+                mimeType: blob.type,
+                size: blob.size,
+                overlay: !!recorder.overlay,
+                blob: blob
+            });
+        } catch (error) {
+            console.error(error);
+            alert('Failed to save recording: ' + error.message);
+        }
+        this.loadRecordings();
+    }
+
+    // On-screen display burned into recordings
+    osdLines() {
+        const t = this.telemetry;
+        return [
+            `ALT ${t.altitude.toFixed(1)} m  GS ${t.speed.toFixed(1)} m/s`,
+            `HDG ${t.heading.toFixed(0).padStart(3, '0')}  BAT ${t.battery.toFixed(0)}%`,
+            `${t.lat.toFixed(6)}, ${t.lng.toFixed(6)}`,
+            new Date().toISOString().replace('T', ' ').slice(0, 19) + ' UTC'
+        ];
+    }
+
+    async loadRecordings() {
+        const list = document.getElementById('recording-list');
+        if (!list) return;
+
+        let recordings;
+        try {
+            recordings = await RecordingStore.list();
+        } catch (error) {
+            console.error('Failed to load recordings:', error);
+            list.innerHTML = '<div class="link-status">Recordings unavailable</div>';
+            return;
+        }
+
+        if (recordings.length === 0) {
+            list.innerHTML = '<div class="link-status">No recordings</div>';
+            return;
+        }
+
+        list.innerHTML = recordings.map(recording => `
+            <div class="saved-mission-item">
+                <div class="saved-mission-header">
+                    <div>
+                        <div class="saved-mission-name">${new Date(recording.createdAt).toLocaleString()}</div>
+                        <div class="saved-mission-date">${recording.sessionStartedAt ? 'Flight of ' + new Date(recording.sessionStartedAt).toLocaleString() : 'Not linked to a flight'}</div>
+                    </div>
+                </div>
+                <div class="saved-mission-info">
+                    <span>${this.formatDuration(recording.duration)}</span>
+                    <span>${(recording.size / 1048576).toFixed(1)} MB</span>
+                    <span>${recording.overlay ? 'OSD' : 'Clean'}</span>
+                </div>
+                <div class="saved-mission-actions">
+                    <button onclick="flightManager.downloadRecording('${recording.id}')">Download</button>
+                    <button class="delete" onclick="flightManager.deleteRecording('${recording.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async downloadRecording(id) {
+        try {
+            const recording = await RecordingStore.get(id);
+            this.downloadBlob(recording.blob, `recording_${recording.createdAt.replace(/[:.]/g, '-')}.webm`);
+        } catch (error) {
+            console.error(error);
+            alert('Failed to load recording: ' + error.message);
+        }
+    }
+
+    async deleteRecording(id) {
+        if (!confirm('Delete this recording?')) return;
+
+        try {
+            await RecordingStore.remove(id);
+        } catch (error) {
+            console.error(error);
+            alert('Failed to delete recording: ' + error.message);
         }
+        this.loadRecordings();
     }
 }
 
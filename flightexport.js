@@ -0,0 +1,190 @@
+// Flight log exports for external analysis tools
+
+// Columns follow the telemetry panel
+const FLIGHT_LOG_CSV_COLUMNS = [
+    ['time_s', (sample) => (sample.t / 1000).toFixed(2)],
+    ['timestamp', (sample, start) => new Date(start + sample.t).toISOString()],
+    ['latitude', (sample) => sample.telemetry.lat.toFixed(7)],
+    ['longitude', (sample) => sample.telemetry.lng.toFixed(7)],
+    ['altitude_m', (sample) => sample.telemetry.altitude.toFixed(2)],
+    ['ground_speed_ms', (sample) => sample.telemetry.speed.toFixed(2)],
+    ['air_speed_ms', (sample) => sample.telemetry.airspeed.toFixed(2)],
+    ['heading_deg', (sample) => sample.telemetry.heading.toFixed(1)],
+    ['pitch_deg', (sample) => sample.telemetry.pitch.toFixed(1)],
+    ['roll_deg', (sample) => sample.telemetry.roll.toFixed(1)],
+    ['vertical_speed_ms', (sample) => sample.telemetry.vspeed.toFixed(2)],
+    ['battery_pct', (sample) => sample.telemetry.battery.toFixed(1)],
+    ['voltage_v', (sample) => sample.telemetry.voltage.toFixed(2)],
+    ['current_a', (sample) => sample.telemetry.current.toFixed(2)],
+    ['distance_home_m', (sample) => sample.telemetry.distanceHome.toFixed(1)],
+    ['satellites', (sample) => sample.telemetry.satellites],
+    ['hdop', (sample) => sample.telemetry.hdop.toFixed(1)],
+    ['rc_signal_pct', (sample) => sample.telemetry.rcSignal]
+];
+
+class FlightLogExporter {
+    static fileName(log, extension) {
+        const name = log.session.droneName.replace(/\s+/g, '_');
+        return `flight_${name}_${log.session.startedAt.replace(/[:.]/g, '-')}.${extension}`;
+    }
+
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static toCSV(log) {
+        const start = Date.parse(log.session.startedAt);
+        const header = FLIGHT_LOG_CSV_COLUMNS.map(([name]) => name).join(',');
+        const rows = log.samples.map(sample =>
+            FLIGHT_LOG_CSV_COLUMNS.map(([, value]) => value(sample, start)).join(',')
+        );
+        return new Blob([[header, ...rows].join('\n') + '\n'], { type: 'text/csv' });
+    }
+
+    static toGPX(log) {
+        const start = Date.parse(log.session.startedAt);
+        const name = FlightLogExporter.escapeXml(`${log.session.droneName} ${log.session.startedAt}`);
+        const points = log.samples.map(sample => `
+      <trkpt lat="${sample.telemetry.lat.toFixed(7)}" lon="${sample.telemetry.lng.toFixed(7)}">
+        <ele>${sample.telemetry.altitude.toFixed(2)}</ele>
+        <time>${new Date(start + sample.t).toISOString()}</time>
+      </trkpt>`).join('');
+
+        const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Darkstar" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${name}</name>
+    <time>${log.session.startedAt}</time>
+  </metadata>
+  <trk>
+    <name>${name}</name>
+    <trkseg>${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+        return new Blob([gpx], { type: 'application/gpx+xml' });
+    }
+
+    // Path drawn at flight altitude and extruded down to the ground
+    static toKML(log) {
+        const name = FlightLogExporter.escapeXml(`${log.session.droneName} ${log.session.startedAt}`);
+        const coordinates = log.samples.map(sample =>
+            `${sample.telemetry.lng.toFixed(7)},${sample.telemetry.lat.toFixed(7)},${sample.telemetry.altitude.toFixed(2)}`
+        ).join('\n          ');
+
+        const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${name}</name>
+    <Style id="flightPath">
+      <LineStyle>
+        <color>ff0080ff</color>
+        <width>3</width>
+      </LineStyle>
+      <PolyStyle>
+        <color>4d0080ff</color>
+      </PolyStyle>
+    </Style>
+    <Placemark>
+      <name>${name}</name>
+      <styleUrl>#flightPath</styleUrl>
+      <LineString>
+        <extrude>1</extrude>
+        <tessellate>1</tessellate>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>
+          ${coordinates}
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+        return new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' });
+    }
+
+    // Telemetry log as written by MAVProxy/Mission Planner: each packet is preceded by
+    // its receive time as a big-endian uint64 of microseconds since the Unix epoch
+    static toTlog(log) {
+        const codec = new MavlinkCodec(1, 1);
+        const start = Date.parse(log.session.startedAt);
+        const vehicleType = MAV_TYPE_BY_DRONE[log.session.droneType] || 0;
+        const chunks = [];
+        let lastHeartbeat = -Infinity;
+
+        const write = (time, name, fields) => {
+            const packet = codec.encode(name, fields);
+            const record = new Uint8Array(8 + packet.length);
+            new DataView(record.buffer).setBigUint64(0, BigInt(Math.round((start + time) * 1000)));
+            record.set(packet, 8);
+            chunks.push(record);
+        };
+
+        log.samples.forEach(sample => {
+            const t = sample.t;
+            const telemetry = sample.telemetry;
+            const heading = Math.round(((telemetry.heading % 360) + 360) % 360 * 100) % 36000;
+            const course = GeoUtils.toRadians(heading / 100);
+
+            if (t - lastHeartbeat >= 1000) {
+                lastHeartbeat = t;
+                write(t, 'HEARTBEAT', {
+                    type: vehicleType,
+                    autopilot: MAV_AUTOPILOT_ARDUPILOTMEGA,
+                    base_mode: MAV_MODE_FLAG_SAFETY_ARMED,
+                    system_status: MAV_STATE_ACTIVE,
+                    mavlink_version: 3
+                });
+                write(t, 'SYS_STATUS', {
+                    voltage_battery: Math.round(telemetry.voltage * 1000),
+                    current_battery: Math.round(telemetry.current * 100),
+                    battery_remaining: Math.round(telemetry.battery)
+                });
+                write(t, 'GPS_RAW_INT', {
+                    time_usec: (start + t) * 1000,
+                    lat: Math.round(telemetry.lat * 1e7),
+                    lon: Math.round(telemetry.lng * 1e7),
+                    alt: Math.round(telemetry.altitude * 1000),
+                    eph: Math.round(telemetry.hdop * 100),
+                    epv: 65535,
+                    vel: Math.round(telemetry.speed * 100),
+                    cog: heading,
+                    fix_type: 3,
+                    satellites_visible: telemetry.satellites
+                });
+            }
+
+            write(t, 'ATTITUDE', {
+                time_boot_ms: t,
+                roll: GeoUtils.toRadians(telemetry.roll),
+                pitch: GeoUtils.toRadians(telemetry.pitch),
+                yaw: GeoUtils.toRadians(telemetry.heading > 180 ? telemetry.heading - 360 : telemetry.heading)
+            });
+            write(t, 'GLOBAL_POSITION_INT', {
+                time_boot_ms: t,
+                lat: Math.round(telemetry.lat * 1e7),
+                lon: Math.round(telemetry.lng * 1e7),
+                alt: Math.round(telemetry.altitude * 1000),
+                relative_alt: Math.round(telemetry.altitude * 1000),
+                vx: Math.round(telemetry.speed * Math.cos(course) * 100),
+                vy: Math.round(telemetry.speed * Math.sin(course) * 100),
+                vz: Math.round(-telemetry.vspeed * 100),
+                hdg: heading
+            });
+            write(t, 'VFR_HUD', {
+                airspeed: telemetry.airspeed,
+                groundspeed: telemetry.speed,
+                alt: telemetry.altitude,
+                climb: telemetry.vspeed,
+                heading: Math.round(heading / 100) % 360
+            });
+        });
+
+        return new Blob(chunks, { type: 'application/octet-stream' });
+    }
+}
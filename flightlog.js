@@ -0,0 +1,180 @@
+// Per-flight telemetry recording, from arm to disarm
+
+const FLIGHT_LOG_CHUNK_SIZE = 200; // samples per stored chunk, 10 s at the loop rate
+
+class FlightRecorder {
+    constructor(drone, mission) {
+        this.startTime = Date.now();
+        this.session = {
+            id: this.startTime.toString(),
+            droneId: drone?.id || null,
+            droneName: drone?.name || 'Unknown drone',
+            droneType: drone?.type || null,
+            missionId: mission?.id || null,
+            missionName: mission?.name || null,
+            startedAt: new Date(this.startTime).toISOString(),
+            endedAt: null,
+            duration: 0,
+            maxAltitude: 0,
+            distance: 0,
+            batteryStart: null,
+            batteryEnd: null,
+            batteryUsed: 0,
+            sampleCount: 0,
+            eventCount: 0
+        };
+
+        this.samples = [];
+        this.events = [];
+        this.chunkIndex = 0;
+        this.lastPosition = null;
+        this.pending = Promise.resolve();
+        this.failed = false;
+    }
+
+    record(telemetry, inputs) {
+        if (this.failed) return;
+
+        const t = Date.now() - this.startTime;
+        this.samples.push({ t: t, telemetry: { ...telemetry }, inputs: { ...inputs } });
+
+        const session = this.session;
+        session.duration = t;
+        session.sampleCount++;
+        session.maxAltitude = Math.max(session.maxAltitude, telemetry.altitude);
+        if (this.lastPosition) {
+            session.distance += GeoUtils.distance(this.lastPosition.lat, this.lastPosition.lng, telemetry.lat, telemetry.lng);
+        }
+        this.lastPosition = { lat: telemetry.lat, lng: telemetry.lng };
+
+        if (session.batteryStart === null) {
+            session.batteryStart = telemetry.battery;
+        }
+        session.batteryEnd = telemetry.battery;
+        session.batteryUsed = Math.max(0, session.batteryStart - telemetry.battery);
+
+        if (this.samples.length >= FLIGHT_LOG_CHUNK_SIZE) {
+            this.flush();
+        }
+    }
+
+    // type is 'mode' for status changes or 'speech' for spoken callouts
+    event(type, text) {
+        if (this.failed) return;
+        this.events.push({ t: Date.now() - this.startTime, type: type, text: text });
+        this.session.eventCount++;
+    }
+
+    // Writes are chained so chunks land in order even if one is slow. The first failed write
+    // (usually a full disk) is reported once and ends the recording; what was stored is kept.
+    flush() {
+        if (this.failed) return this.pending;
+
+        const chunk = {
+            sessionId: this.session.id,
+            index: this.chunkIndex++,
+            samples: this.samples,
+            events: this.events
+        };
+        const session = { ...this.session };
+        this.samples = [];
+        this.events = [];
+
+        this.pending = this.pending
+            .then(() => this.failed ? null : FlightLogStore.saveChunk(session, chunk))
+            .catch(error => {
+                if (this.failed) return;
+                this.failed = true;
+                this.samples = [];
+                this.events = [];
+                Database.reportError('save the flight log, so recording has stopped', error);
+            });
+        return this.pending;
+    }
+
+    stop() {
+        this.session.endedAt = new Date().toISOString();
+        return this.flush();
+    }
+}
+
+class FlightLogStore {
+    static saveChunk(session, chunk) {
+        return Database.run(['flightSessions', 'flightChunks'], 'readwrite', tx => {
+            tx.objectStore('flightSessions').put(session);
+            tx.objectStore('flightChunks').put(chunk);
+        });
+    }
+
+    static chunkRange(sessionId) {
+        return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    }
+
+    // Newest first
+    static async list() {
+        const sessions = await Database.getAll('flightSessions');
+        return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    static async load(sessionId) {
+        const session = await Database.get('flightSessions', sessionId);
+        if (!session) return null;
+
+        const chunks = await Database.getAll('flightChunks', FlightLogStore.chunkRange(sessionId));
+        chunks.sort((a, b) => a.index - b.index);
+
+        return {
+            session: session,
+            samples: chunks.flatMap(chunk => chunk.samples),
+            events: chunks.flatMap(chunk => chunk.events)
+        };
+    }
+
+    static remove(sessionId) {
+        return Database.run(['flightSessions', 'flightChunks'], 'readwrite', tx => {
+            tx.objectStore('flightSessions').delete(sessionId);
+            tx.objectStore('flightChunks').delete(FlightLogStore.chunkRange(sessionId));
+        });
+    }
+}
+
+// Playback cursor over a loaded flight log; times are milliseconds from arming
+class FlightReplay {
+    constructor(log) {
+        this.session = log.session;
+        this.samples = log.samples;
+        this.events = log.events;
+        this.duration = this.samples.length ? this.samples[this.samples.length - 1].t : 0;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+    }
+
+    advance(elapsed) {
+        if (!this.playing) return;
+
+        this.time = Math.min(this.duration, this.time + elapsed * this.speed);
+        if (this.time >= this.duration) {
+            this.playing = false;
+        }
+    }
+
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+
+    // Latest sample at or before the cursor
+    get sample() {
+        let low = 0;
+        let high = this.samples.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.samples[mid].t <= this.time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return this.samples[low];
+    }
+}
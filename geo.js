@@ -0,0 +1,80 @@
+// Geodesy helpers shared by the planner, simulator and flight view
+
+const EARTH_RADIUS = 6371e3; // meters
+
+class GeoUtils {
+    static toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    static toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    static normalizeHeading(heading) {
+        return ((heading % 360) + 360) % 360;
+    }
+
+    // Signed shortest turn from one heading to another, in -180..180
+    static headingDifference(from, to) {
+        return ((to - from + 540) % 360) - 180;
+    }
+
+    // Great-circle distance in meters (haversine)
+    static distance(lat1, lng1, lat2, lng2) {
+        const φ1 = GeoUtils.toRadians(lat1);
+        const φ2 = GeoUtils.toRadians(lat2);
+        const Δφ = GeoUtils.toRadians(lat2 - lat1);
+        const Δλ = GeoUtils.toRadians(lng2 - lng1);
+
+        const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+                  Math.cos(φ1) * Math.cos(φ2) *
+                  Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+        return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Initial bearing in degrees from north
+    static bearing(lat1, lng1, lat2, lng2) {
+        const φ1 = GeoUtils.toRadians(lat1);
+        const φ2 = GeoUtils.toRadians(lat2);
+        const Δλ = GeoUtils.toRadians(lng2 - lng1);
+
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return GeoUtils.normalizeHeading(GeoUtils.toDegrees(Math.atan2(y, x)));
+    }
+
+    // Point reached travelling `distance` meters along `bearing`
+    static destination(lat, lng, bearing, distance) {
+        const δ = distance / EARTH_RADIUS;
+        const θ = GeoUtils.toRadians(bearing);
+        const φ1 = GeoUtils.toRadians(lat);
+        const λ1 = GeoUtils.toRadians(lng);
+
+        const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+        const λ2 = λ1 + Math.atan2(
+            Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+            Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+        );
+
+        return { lat: GeoUtils.toDegrees(φ2), lng: GeoUtils.toDegrees(λ2) };
+    }
+
+    // Local east/north meters relative to an origin (equirectangular, fine for a few km)
+    static toLocal(originLat, originLng, lat, lng) {
+        const x = GeoUtils.toRadians(lng - originLng) * EARTH_RADIUS * Math.cos(GeoUtils.toRadians(originLat));
+        const y = GeoUtils.toRadians(lat - originLat) * EARTH_RADIUS;
+        return { x: x, y: y };
+    }
+
+    static fromLocal(originLat, originLng, x, y) {
+        return {
+            lat: originLat + GeoUtils.toDegrees(y / EARTH_RADIUS),
+            lng: originLng + GeoUtils.toDegrees(x / (EARTH_RADIUS * Math.cos(GeoUtils.toRadians(originLat))))
+        };
+    }
+
+    static offset(lat, lng, north, east) {
+        return GeoUtils.fromLocal(lat, lng, east, north);
+    }
+}
@@ -0,0 +1,171 @@
+// Geofences: inclusion/exclusion polygons and circles with an altitude band
+
+const GEOFENCE_SAMPLE_SPACING = 5; // meters between checks along a path
+const GEOFENCE_MAX_SAMPLES = 2000; // per segment
+const GEOFENCE_WARNING_DISTANCE = 25; // meters from a fence before the approach warning
+
+class Geofence {
+    static create(type, shape, floor, ceiling) {
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: '',
+            type: type === 'exclusion' ? 'exclusion' : 'inclusion',
+            shape: shape === 'circle' ? 'circle' : 'polygon',
+            points: [],
+            center: null,
+            radius: 0,
+            floor: floor,
+            ceiling: ceiling
+        };
+    }
+
+    // Accepts saved/imported fences, dropping anything without usable geometry
+    static normalize(fences) {
+        if (!Array.isArray(fences)) return [];
+
+        return fences.map((fence, i) => {
+            const normalized = Geofence.create(fence.type, fence.shape,
+                parseFloat(fence.floor) || 0, parseFloat(fence.ceiling));
+            normalized.id = fence.id || normalized.id + i;
+            normalized.name = fence.name || `Fence ${i + 1}`;
+            if (!isFinite(normalized.ceiling)) normalized.ceiling = Infinity;
+
+            if (normalized.shape === 'circle' && fence.center) {
+                normalized.center = { lat: parseFloat(fence.center.lat), lng: parseFloat(fence.center.lng) };
+                normalized.radius = parseFloat(fence.radius) || 0;
+            } else if (Array.isArray(fence.points)) {
+                normalized.points = fence.points.map(p => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) }));
+            }
+            return normalized;
+        }).filter(fence => fence.shape === 'circle'
+            ? fence.center && isFinite(fence.center.lat) && isFinite(fence.center.lng) && fence.radius > 0
+            : fence.points.length >= 3 && fence.points.every(p => isFinite(p.lat) && isFinite(p.lng)));
+    }
+
+    // JSON has no Infinity, so an open ceiling is stored as null
+    static serialize(fences) {
+        return fences.map(fence => ({
+            id: fence.id,
+            name: fence.name,
+            type: fence.type,
+            shape: fence.shape,
+            points: fence.shape === 'polygon' ? fence.points.map(p => ({ lat: p.lat, lng: p.lng })) : [],
+            center: fence.center ? { lat: fence.center.lat, lng: fence.center.lng } : null,
+            radius: fence.radius,
+            floor: fence.floor,
+            ceiling: isFinite(fence.ceiling) ? fence.ceiling : null
+        }));
+    }
+
+    // Horizontal test only
+    static containsPosition(fence, lat, lng) {
+        if (fence.shape === 'circle') {
+            return GeoUtils.distance(fence.center.lat, fence.center.lng, lat, lng) <= fence.radius;
+        }
+
+        // Ray casting in local meters around the test point
+        const vertices = fence.points.map(p => GeoUtils.toLocal(lat, lng, p.lat, p.lng));
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const a = vertices[i];
+            const b = vertices[j];
+            if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    static contains(fence, lat, lng, altitude) {
+        return altitude >= fence.floor && altitude <= fence.ceiling &&
+               Geofence.containsPosition(fence, lat, lng);
+    }
+
+    // First rule broken at a point: outside every inclusion zone, or inside an exclusion zone
+    static violation(fences, lat, lng, altitude) {
+        const inclusions = fences.filter(fence => fence.type === 'inclusion');
+        if (inclusions.length > 0 && !inclusions.some(fence => Geofence.contains(fence, lat, lng, altitude))) {
+            const around = inclusions.find(fence => Geofence.containsPosition(fence, lat, lng));
+            if (!around) return { fence: inclusions[0], reason: 'outside' };
+            return { fence: around, reason: altitude < around.floor ? 'below' : 'above' };
+        }
+
+        const exclusion = fences.find(fence =>
+            fence.type === 'exclusion' && Geofence.contains(fence, lat, lng, altitude));
+        return exclusion ? { fence: exclusion, reason: 'inside' } : null;
+    }
+
+    // Horizontal distance to the fence edge, from either side
+    static edgeDistance(fence, lat, lng) {
+        if (fence.shape === 'circle') {
+            return Math.abs(GeoUtils.distance(fence.center.lat, fence.center.lng, lat, lng) - fence.radius);
+        }
+
+        const vertices = fence.points.map(p => GeoUtils.toLocal(lat, lng, p.lat, p.lng));
+        let nearest = Infinity;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const a = vertices[j];
+            const b = vertices[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const t = Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / (dx * dx + dy * dy || 1)));
+            nearest = Math.min(nearest, Math.hypot(a.x + dx * t, a.y + dy * t));
+        }
+        return nearest;
+    }
+
+    // Meters left before a rule is broken: 0 when already in violation, Infinity without fences
+    static margin(fences, lat, lng, altitude) {
+        if (Geofence.violation(fences, lat, lng, altitude)) return 0;
+
+        let margin = Infinity;
+        const inclusions = fences.filter(fence => fence.type === 'inclusion' &&
+            Geofence.contains(fence, lat, lng, altitude));
+        if (inclusions.length > 0) {
+            // Any one inclusion zone is enough, so the roomiest one counts; a floor at ground level never nears
+            margin = Math.max(...inclusions.map(fence => Math.min(
+                Geofence.edgeDistance(fence, lat, lng),
+                fence.floor > 0 ? altitude - fence.floor : Infinity,
+                fence.ceiling - altitude
+            )));
+        }
+
+        fences.filter(fence => fence.type === 'exclusion').forEach(fence => {
+            const horizontal = Geofence.containsPosition(fence, lat, lng) ? 0 : Geofence.edgeDistance(fence, lat, lng);
+            const vertical = altitude < fence.floor ? fence.floor - altitude :
+                             altitude > fence.ceiling ? altitude - fence.ceiling : 0;
+            margin = Math.min(margin, Math.hypot(horizontal, vertical));
+        });
+        return margin;
+    }
+
+    // Samples a straight leg between two {lat, lng, altitude} points
+    static segmentViolation(fences, from, to) {
+        const length = GeoUtils.distance(from.lat, from.lng, to.lat, to.lng);
+        const steps = Math.min(GEOFENCE_MAX_SAMPLES, Math.max(1, Math.ceil(length / GEOFENCE_SAMPLE_SPACING)));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const violation = Geofence.violation(fences,
+                from.lat + (to.lat - from.lat) * t,
+                from.lng + (to.lng - from.lng) * t,
+                from.altitude + (to.altitude - from.altitude) * t);
+            if (violation) return violation;
+        }
+        return null;
+    }
+
+    static describe(violation) {
+        const name = violation.fence.name;
+        switch (violation.reason) {
+            case 'outside': return `leaves inclusion zone "${name}"`;
+            case 'below': return `is below the floor of "${name}" (${violation.fence.floor}m)`;
+            case 'above': return `is above the ceiling of "${name}" (${violation.fence.ceiling}m)`;
+            default: return `enters exclusion zone "${name}"`;
+        }
+    }
+
+    static altitudeBand(fence) {
+        return `${fence.floor}–${isFinite(fence.ceiling) ? fence.ceiling + 'm' : '∞'}`;
+    }
+}
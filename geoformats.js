@@ -0,0 +1,418 @@
+// Routes and areas from GIS tools: KML, KMZ and GPX in, the mission path and its areas out
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GPX_TRACK_SPACING = 10; // meters; recorded tracks are thinned to one point this far apart
+const GEO_CIRCLE_SEGMENTS = 36; // sides of the polygon a circular fence is written as
+const GEO_EXCLUSION_NAME = /exclu|no[\s-]?fly|keep[\s-]?out/i;
+
+// KML altitude modes as planner frames; clamped geometry has no usable altitude
+const ALTITUDE_FRAME_BY_KML_MODE = {
+    absolute: 'amsl',
+    relativeToGround: 'terrain',
+    relativeToSeaFloor: 'terrain'
+};
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_RECORD = 0x06054b50;
+
+let zipCrcTable = null;
+
+class GeoFormats {
+    // Which format a file is in, from its name and then its first bytes; null if none of these
+    static detect(fileName, text = '') {
+        if (/\.kmz$/i.test(fileName)) return 'kmz';
+        if (/\.kml$/i.test(fileName)) return 'kml';
+        if (/\.gpx$/i.test(fileName)) return 'gpx';
+        if (/<kml[\s>]/.test(text)) return 'kml';
+        if (/<gpx[\s>]/.test(text)) return 'gpx';
+        return null;
+    }
+
+    static parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML');
+        }
+        return doc;
+    }
+
+    // Descendants by local name, whatever namespace or prefix the file uses
+    static elements(node, name) {
+        return Array.from(node.getElementsByTagNameNS('*', name));
+    }
+
+    static childText(node, name) {
+        const child = Array.from(node.children).find(element => element.localName === name);
+        return child ? child.textContent.trim() : null;
+    }
+
+    // Points of one KML geometry, with altitudes only where the altitude mode gives them meaning
+    static kmlCoordinates(geometry) {
+        const frame = ALTITUDE_FRAME_BY_KML_MODE[GeoFormats.childText(geometry, 'altitudeMode')] || null;
+        const coordinates = GeoFormats.elements(geometry, 'coordinates')[0];
+        if (!coordinates) return [];
+
+        return coordinates.textContent.trim().split(/\s+/).map(tuple => {
+            const [lng, lat, altitude] = tuple.split(',').map(Number);
+            return {
+                lat: lat,
+                lng: lng,
+                altitude: frame && isFinite(altitude) ? altitude : null,
+                altitudeFrame: frame
+            };
+        }).filter(point => isFinite(point.lat) && isFinite(point.lng));
+    }
+
+    // Rings repeat their first point at the end
+    static openRing(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        return points.length > 1 && first.lat === last.lat && first.lng === last.lng ? points.slice(0, -1) : points;
+    }
+
+    // {paths, areas, points, report}: paths are lines and routes in order, areas are polygons,
+    // points are the placemarks or waypoints that stand alone
+    static fromKml(text) {
+        const doc = GeoFormats.parseXml(text);
+        if (doc.documentElement.localName !== 'kml') {
+            throw new Error('Not a KML file');
+        }
+
+        const features = { paths: [], areas: [], points: [], report: [] };
+        GeoFormats.elements(doc, 'Placemark').forEach((placemark, i) => {
+            const name = GeoFormats.childText(placemark, 'name') || `Placemark ${i + 1}`;
+
+            GeoFormats.elements(placemark, 'LineString').forEach(line => {
+                features.paths.push({ name: name, points: GeoFormats.kmlCoordinates(line) });
+            });
+            GeoFormats.elements(placemark, 'Polygon').forEach(polygon => {
+                const outer = GeoFormats.elements(polygon, 'outerBoundaryIs')[0];
+                const points = outer ? GeoFormats.openRing(GeoFormats.kmlCoordinates(outer)) : [];
+                if (points.length < 3) {
+                    features.report.push(`${name}: polygon has fewer than three points`);
+                    return;
+                }
+                if (GeoFormats.elements(polygon, 'innerBoundaryIs').length > 0) {
+                    features.report.push(`${name}: holes in the polygon were left out`);
+                }
+                features.areas.push({ name: name, points: points.map(p => ({ lat: p.lat, lng: p.lng })) });
+            });
+            GeoFormats.elements(placemark, 'Point').forEach(point => {
+                const [position] = GeoFormats.kmlCoordinates(point);
+                if (position) features.points.push({ name: name, ...position });
+            });
+            if (GeoFormats.elements(placemark, 'Track').length > 0 || GeoFormats.elements(placemark, 'Model').length > 0) {
+                features.report.push(`${name}: tracks and models are not supported`);
+            }
+        });
+
+        return features;
+    }
+
+    // GPX elevations are above sea level; points without one take the default altitude later
+    static gpxPoint(element) {
+        const elevation = parseFloat(GeoFormats.childText(element, 'ele'));
+        return {
+            name: GeoFormats.childText(element, 'name'),
+            lat: parseFloat(element.getAttribute('lat')),
+            lng: parseFloat(element.getAttribute('lon')),
+            altitude: isFinite(elevation) ? elevation : null,
+            altitudeFrame: isFinite(elevation) ? 'amsl' : null
+        };
+    }
+
+    // Recorded tracks log a point every second or so: far more waypoints than anyone would fly
+    static thinTrack(points) {
+        let last = null;
+        return points.filter((point, i) => {
+            const keep = i === 0 || i === points.length - 1 ||
+                GeoUtils.distance(last.lat, last.lng, point.lat, point.lng) >= GPX_TRACK_SPACING;
+            if (keep) last = point;
+            return keep;
+        });
+    }
+
+    static fromGpx(text) {
+        const doc = GeoFormats.parseXml(text);
+        if (doc.documentElement.localName !== 'gpx') {
+            throw new Error('Not a GPX file');
+        }
+
+        const features = { paths: [], areas: [], points: [], report: [] };
+        const located = (points) => points.filter(point => isFinite(point.lat) && isFinite(point.lng));
+
+        GeoFormats.elements(doc, 'rte').forEach((route, i) => {
+            features.paths.push({
+                name: GeoFormats.childText(route, 'name') || `Route ${i + 1}`,
+                points: located(GeoFormats.elements(route, 'rtept').map(GeoFormats.gpxPoint))
+            });
+        });
+        GeoFormats.elements(doc, 'trk').forEach((track, i) => {
+            const name = GeoFormats.childText(track, 'name') || `Track ${i + 1}`;
+            GeoFormats.elements(track, 'trkseg').forEach(segment => {
+                const recorded = located(GeoFormats.elements(segment, 'trkpt').map(GeoFormats.gpxPoint));
+                const points = GeoFormats.thinTrack(recorded);
+                if (points.length < recorded.length) {
+                    features.report.push(`${name}: thinned from ${recorded.length} to ${points.length} points`);
+                }
+                features.paths.push({ name: name, points: points });
+            });
+        });
+        features.points = located(GeoFormats.elements(doc, 'wpt').map(GeoFormats.gpxPoint));
+
+        return features;
+    }
+
+    // A saved-format mission from parsed features. The first path (or the standalone points when
+    // there is none) becomes the waypoints, with home at its start. With areaAsSurvey the first
+    // polygon becomes the survey area; the others become fences, exclusions when named like one.
+    static toMission(features, defaultAltitude, areaAsSurvey) {
+        const report = [...features.report];
+        const route = features.paths.find(path => path.points.length > 0);
+        const points = route ? route.points : features.points;
+
+        features.paths.filter(path => path !== route && path.points.length > 0).forEach(path => {
+            report.push(`${path.name}: only the first route becomes waypoints`);
+        });
+        // Placemarks marking the route's own vertices, as exported paths have, aren't lost
+        const unused = route ? features.points.filter(point => !route.points.some(vertex =>
+            GeoUtils.distance(vertex.lat, vertex.lng, point.lat, point.lng) < 1)) : [];
+        if (unused.length > 0) {
+            report.push(`${unused.length} standalone points were not used`);
+        }
+
+        const waypoints = points.length === 0 ? [] : [
+            { type: 'home', latitude: points[0].lat, longitude: points[0].lng, altitude: 0, altitudeFrame: 'relative' },
+            ...points.map(point => ({
+                type: 'waypoint',
+                latitude: point.lat,
+                longitude: point.lng,
+                altitude: point.altitude ?? defaultAltitude,
+                altitudeFrame: point.altitude === null ? 'relative' : point.altitudeFrame
+            }))
+        ];
+
+        const areas = [...features.areas];
+        const surveyArea = areaAsSurvey && areas.length > 0 ? areas.shift().points : null;
+        const geofences = areas.map(area => ({
+            name: area.name,
+            type: GEO_EXCLUSION_NAME.test(area.name) ? 'exclusion' : 'inclusion',
+            shape: 'polygon',
+            points: area.points,
+            floor: 0,
+            ceiling: null
+        }));
+
+        return {
+            mission: {
+                waypoints: waypoints.map((wp, index) => ({ index: index, ...wp })),
+                geofences: geofences,
+                rallyPoints: [],
+                surveyArea: surveyArea
+            },
+            report: report
+        };
+    }
+
+    static escapeXml(value) {
+        return String(value).replace(/[<>&'"]/g, c => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+        })[c]);
+    }
+
+    // Circular fences as polygons, for formats that only have those
+    static circlePoints(center, radius) {
+        return Array.from({ length: GEO_CIRCLE_SEGMENTS }, (_, i) =>
+            GeoUtils.destination(center.lat, center.lng, i * 360 / GEO_CIRCLE_SEGMENTS, radius));
+    }
+
+    // path is [{name, lat, lng, altitude}] with altitudes above sea level when altitudeMode is
+    // 'absolute', or above the ground for 'relativeToGround'. areas are [{name, points, style}]
+    // with style one of 'survey', 'inclusion' or 'exclusion'.
+    static toKml(name, path, altitudeMode, areas = []) {
+        const esc = GeoFormats.escapeXml;
+        const coordinate = (p, altitude) => `${p.lng.toFixed(8)},${p.lat.toFixed(8)},${altitude.toFixed(1)}`;
+        const style = (id, line, fill) =>
+            `    <Style id="${id}"><LineStyle><color>${line}</color><width>2</width></LineStyle>` +
+            `<PolyStyle><color>${fill}</color></PolyStyle></Style>`;
+
+        const waypoints = path.map(p => [
+            '      <Placemark>',
+            `        <name>${esc(p.name)}</name>`,
+            '        <styleUrl>#waypoint</styleUrl>',
+            `        <Point><altitudeMode>${altitudeMode}</altitudeMode><coordinates>${coordinate(p, p.altitude)}</coordinates></Point>`,
+            '      </Placemark>'
+        ].join('\n'));
+
+        const polygons = areas.map(area => [
+            '      <Placemark>',
+            `        <name>${esc(area.name)}</name>`,
+            `        <styleUrl>#${area.style}</styleUrl>`,
+            '        <Polygon><outerBoundaryIs><LinearRing><coordinates>',
+            `          ${area.points.concat([area.points[0]]).map(p => coordinate(p, 0)).join(' ')}`,
+            '        </coordinates></LinearRing></outerBoundaryIs></Polygon>',
+            '      </Placemark>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<kml xmlns="${KML_NAMESPACE}">`,
+            '  <Document>',
+            `    <name>${esc(name)}</name>`,
+            // KML colors are aabbggrr
+            style('path', 'fff6823b', '40f6823b'),
+            style('waypoint', 'fff6823b', '00000000'),
+            style('survey', 'fff755a8', '14f755a8'),
+            style('inclusion', 'ff5ec522', '1a5ec522'),
+            style('exclusion', 'ff4444ef', '334444ef'),
+            '    <Placemark>',
+            '      <name>Mission path</name>',
+            '      <styleUrl>#path</styleUrl>',
+            '      <LineString>',
+            '        <extrude>1</extrude>',
+            `        <altitudeMode>${altitudeMode}</altitudeMode>`,
+            `        <coordinates>${path.map(p => coordinate(p, p.altitude)).join(' ')}</coordinates>`,
+            '      </LineString>',
+            '    </Placemark>',
+            '    <Folder>',
+            '      <name>Waypoints</name>',
+            ...waypoints,
+            '    </Folder>',
+            ...(polygons.length > 0 ? ['    <Folder>', '      <name>Areas</name>', ...polygons, '    </Folder>'] : []),
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    // path is [{name, lat, lng, elevation}] with elevations above sea level, or null where unknown
+    static toGpx(name, path) {
+        const esc = GeoFormats.escapeXml;
+        const points = path.map(p => [
+            `    <rtept lat="${p.lat.toFixed(8)}" lon="${p.lng.toFixed(8)}">`,
+            ...(p.elevation === null ? [] : [`      <ele>${p.elevation.toFixed(1)}</ele>`]),
+            `      <name>${esc(p.name)}</name>`,
+            '    </rtept>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="UAV Flight Planner" xmlns="${GPX_NAMESPACE}">`,
+            '  <rte>',
+            `    <name>${esc(name)}</name>`,
+            ...points,
+            '  </rte>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    static crc32(bytes) {
+        if (!zipCrcTable) {
+            zipCrcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                zipCrcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = zipCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // A KMZ is a zip whose first entry is the KML. It's written uncompressed (stored), which
+    // every reader accepts and needs nothing beyond a CRC.
+    static toKmz(kml) {
+        const name = new TextEncoder().encode('doc.kml');
+        const data = new TextEncoder().encode(kml);
+        const crc = GeoFormats.crc32(data);
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const local = 30 + name.length;
+        const central = 46 + name.length;
+        const bytes = new Uint8Array(local + data.length + central + 22);
+        const view = new DataView(bytes.buffer);
+
+        // Fields shared by the local and central headers, from the version needed onwards
+        const entry = (offset) => {
+            view.setUint16(offset, 20, true);
+            view.setUint16(offset + 2, 0, true);
+            view.setUint16(offset + 4, 0, true);
+            view.setUint16(offset + 6, time, true);
+            view.setUint16(offset + 8, date, true);
+            view.setUint32(offset + 10, crc, true);
+            view.setUint32(offset + 14, data.length, true);
+            view.setUint32(offset + 18, data.length, true);
+            view.setUint16(offset + 22, name.length, true);
+        };
+
+        view.setUint32(0, ZIP_LOCAL_HEADER, true);
+        entry(4);
+        bytes.set(name, 30);
+        bytes.set(data, local);
+
+        const cd = local + data.length;
+        view.setUint32(cd, ZIP_CENTRAL_HEADER, true);
+        view.setUint16(cd + 4, 20, true);
+        entry(cd + 6);
+        view.setUint32(cd + 42, 0, true);
+        bytes.set(name, cd + 46);
+
+        const end = cd + central;
+        view.setUint32(end, ZIP_END_RECORD, true);
+        view.setUint16(end + 8, 1, true);
+        view.setUint16(end + 10, 1, true);
+        view.setUint32(end + 12, central, true);
+        view.setUint32(end + 16, cd, true);
+
+        return bytes;
+    }
+
+    // The KML text inside a KMZ: the entry at the root when there is one, else the first found.
+    // Deflated entries are inflated with the browser's DecompressionStream.
+    static async fromKmz(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        let end = -1;
+        for (let i = bytes.length - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === ZIP_END_RECORD) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a KMZ (zip) file');
+
+        const entries = [];
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+            if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) break;
+            const nameLength = view.getUint16(offset + 28, true);
+            entries.push({
+                name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                method: view.getUint16(offset + 10, true),
+                size: view.getUint32(offset + 20, true),
+                header: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+
+        const kmls = entries.filter(e => /\.kml$/i.test(e.name));
+        const kml = kmls.find(e => !e.name.includes('/')) || kmls[0];
+        if (!kml) throw new Error('The KMZ has no KML document');
+
+        const start = kml.header + 30 + view.getUint16(kml.header + 26, true) + view.getUint16(kml.header + 28, true);
+        const data = bytes.subarray(start, start + kml.size);
+        if (kml.method === 0) return new TextDecoder().decode(data);
+        if (kml.method !== 8) throw new Error('The KMZ uses an unsupported compression method');
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+}
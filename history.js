@@ -0,0 +1,91 @@
+// Undo/redo for mission editing: every entry holds the whole plan as it stood after an edit
+
+const HISTORY_LIMIT = 100;
+const HISTORY_DRAFT_ID = 'current';
+
+class MissionHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.position = -1;
+        this.onChange = null;
+    }
+
+    static fromRecord(record) {
+        const history = new MissionHistory();
+        history.entries = record.entries || [];
+        history.position = Math.min(record.position ?? history.entries.length - 1, history.entries.length - 1);
+        return history;
+    }
+
+    toRecord() {
+        return { entries: this.entries, position: this.position };
+    }
+
+    get current() {
+        return this.entries[this.position] || null;
+    }
+
+    get canUndo() {
+        return this.position > 0;
+    }
+
+    get canRedo() {
+        return this.position < this.entries.length - 1;
+    }
+
+    // Adds the plan after an edit, dropping anything that could have been redone.
+    // Edits that leave the plan as it was aren't recorded.
+    record(label, state) {
+        const serialized = JSON.stringify(state);
+        if (this.current && this.current.state === serialized) return false;
+
+        this.entries = this.entries.slice(0, this.position + 1);
+        this.entries.push({ label: label, state: serialized, time: Date.now() });
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.position = this.entries.length - 1;
+        this.changed();
+        return true;
+    }
+
+    // Starts over with `state` as the only entry
+    reset(label, state) {
+        this.entries = [];
+        this.position = -1;
+        this.record(label, state);
+    }
+
+    undo() {
+        return this.canUndo ? this.goTo(this.position - 1) : null;
+    }
+
+    redo() {
+        return this.canRedo ? this.goTo(this.position + 1) : null;
+    }
+
+    // The plan as it was at entry `index`
+    goTo(index) {
+        if (index < 0 || index >= this.entries.length || index === this.position) return null;
+
+        this.position = index;
+        this.changed();
+        return JSON.parse(this.current.state);
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+}
+
+// The working draft's history, kept so a reload picks up where editing left off
+class MissionDraftStore {
+    static save(history) {
+        return Database.put('missionDrafts', { id: HISTORY_DRAFT_ID, ...history.toRecord(), savedAt: new Date().toISOString() });
+    }
+
+    static load() {
+        return Database.get('missionDrafts', HISTORY_DRAFT_ID);
+    }
+}
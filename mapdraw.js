@@ -0,0 +1,136 @@
+// Click-to-draw shapes on the planner map: polygons, polylines, circles and single points
+
+class MapDrawTool {
+    constructor(map) {
+        this.map = map;
+        this.draft = null;
+        this.layer = null;
+        this.onChange = null;
+    }
+
+    get active() {
+        return this.draft !== null;
+    }
+
+    // Enough has been drawn for the shape to be used
+    get complete() {
+        const draft = this.draft;
+        if (!draft) return false;
+
+        switch (draft.shape) {
+            case 'polygon': return draft.points.length >= 3;
+            case 'polyline': return draft.points.length >= 2;
+            case 'circle': return draft.radius > 0;
+            default: return draft.center !== null;
+        }
+    }
+
+    // The owner tells panels apart when several of them draw on the same map
+    start(owner, shape, color, onFinish) {
+        this.cancel();
+        this.draft = {
+            owner: owner,
+            shape: shape,
+            color: color,
+            points: [],
+            center: null,
+            radius: 0,
+            onFinish: onFinish
+        };
+        this.changed();
+    }
+
+    isDrawing(owner) {
+        return this.draft !== null && this.draft.owner === owner;
+    }
+
+    click(lat, lng) {
+        const draft = this.draft;
+
+        if (draft.shape === 'point') {
+            draft.center = { lat: lat, lng: lng };
+            this.finish();
+            return;
+        }
+
+        if (draft.shape !== 'circle') {
+            draft.points.push({ lat: lat, lng: lng });
+        } else if (!draft.center) {
+            draft.center = { lat: lat, lng: lng };
+        } else {
+            // Second click on a circle sets its edge
+            draft.radius = GeoUtils.distance(draft.center.lat, draft.center.lng, lat, lng);
+            if (this.finish()) return;
+        }
+
+        this.preview();
+        this.changed();
+    }
+
+    // Redraws the draft, rubber-banding to the cursor when one is given
+    preview(cursor = null) {
+        if (this.layer) {
+            this.map.removeLayer(this.layer);
+            this.layer = null;
+        }
+
+        const draft = this.draft;
+        const style = {
+            color: draft.color,
+            weight: 2,
+            dashArray: '4, 6',
+            interactive: false
+        };
+
+        if (draft.shape === 'circle' && draft.center) {
+            const radius = cursor ?
+                GeoUtils.distance(draft.center.lat, draft.center.lng, cursor.lat, cursor.lng) : 1;
+            this.layer = L.circle([draft.center.lat, draft.center.lng], { ...style, radius: radius })
+                .addTo(this.map);
+        } else if (draft.points.length > 0) {
+            const coords = draft.points.map(p => [p.lat, p.lng]);
+            if (cursor) coords.push([cursor.lat, cursor.lng]);
+            this.layer = L.polyline(coords, style).addTo(this.map);
+        }
+    }
+
+    finish() {
+        if (!this.complete) return false;
+
+        const { shape, points, center, radius, onFinish } = this.draft;
+        this.cancel();
+        onFinish({ shape: shape, points: points, center: center, radius: radius });
+        return true;
+    }
+
+    cancel() {
+        if (this.layer) {
+            this.map.removeLayer(this.layer);
+            this.layer = null;
+        }
+        this.draft = null;
+        this.changed();
+    }
+
+    hint() {
+        const draft = this.draft;
+        if (!draft) return '';
+
+        switch (draft.shape) {
+            case 'polygon':
+                return `Click the map to add corners (${draft.points.length} so far), then Finish`;
+            case 'polyline':
+                return `Click the map to add points (${draft.points.length} so far), then Finish`;
+            case 'circle':
+                return draft.center ? 'Click the map to set the radius' : 'Click the map to set the center';
+            default:
+                return 'Click the map to place the point';
+        }
+    }
+
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,943 @@
+// MAVLink v2 codec and WebSocket link to an autopilot bridge
+
+const MAVLINK_STX_V2 = 0xFD;
+const MAVLINK_STX_V1 = 0xFE;
+const MAVLINK_HEADER_LENGTH = 10;
+const MAVLINK_SIGNATURE_LENGTH = 13;
+const MAVLINK_IFLAG_SIGNED = 0x01;
+
+// Field layouts in wire order (largest type first), extension fields omitted
+const MAVLINK_MESSAGES = {
+    0: {
+        name: 'HEARTBEAT',
+        crcExtra: 50,
+        fields: [
+            ['custom_mode', 'uint32'], ['type', 'uint8'], ['autopilot', 'uint8'],
+            ['base_mode', 'uint8'], ['system_status', 'uint8'], ['mavlink_version', 'uint8']
+        ]
+    },
+    1: {
+        name: 'SYS_STATUS',
+        crcExtra: 124,
+        fields: [
+            ['onboard_control_sensors_present', 'uint32'], ['onboard_control_sensors_enabled', 'uint32'],
+            ['onboard_control_sensors_health', 'uint32'], ['load', 'uint16'], ['voltage_battery', 'uint16'],
+            ['current_battery', 'int16'], ['drop_rate_comm', 'uint16'], ['errors_comm', 'uint16'],
+            ['errors_count1', 'uint16'], ['errors_count2', 'uint16'], ['errors_count3', 'uint16'],
+            ['errors_count4', 'uint16'], ['battery_remaining', 'int8']
+        ]
+    },
+    24: {
+        name: 'GPS_RAW_INT',
+        crcExtra: 24,
+        fields: [
+            ['time_usec', 'uint64'], ['lat', 'int32'], ['lon', 'int32'], ['alt', 'int32'],
+            ['eph', 'uint16'], ['epv', 'uint16'], ['vel', 'uint16'], ['cog', 'uint16'],
+            ['fix_type', 'uint8'], ['satellites_visible', 'uint8']
+        ]
+    },
+    30: {
+        name: 'ATTITUDE',
+        crcExtra: 39,
+        fields: [
+            ['time_boot_ms', 'uint32'], ['roll', 'float'], ['pitch', 'float'], ['yaw', 'float'],
+            ['rollspeed', 'float'], ['pitchspeed', 'float'], ['yawspeed', 'float']
+        ]
+    },
+    33: {
+        name: 'GLOBAL_POSITION_INT',
+        crcExtra: 104,
+        fields: [
+            ['time_boot_ms', 'uint32'], ['lat', 'int32'], ['lon', 'int32'], ['alt', 'int32'],
+            ['relative_alt', 'int32'], ['vx', 'int16'], ['vy', 'int16'], ['vz', 'int16'], ['hdg', 'uint16']
+        ]
+    },
+    40: {
+        name: 'MISSION_REQUEST',
+        crcExtra: 230,
+        fields: [['seq', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8']]
+    },
+    42: {
+        name: 'MISSION_CURRENT',
+        crcExtra: 28,
+        fields: [['seq', 'uint16']]
+    },
+    43: {
+        name: 'MISSION_REQUEST_LIST',
+        crcExtra: 132,
+        fields: [['target_system', 'uint8'], ['target_component', 'uint8']]
+    },
+    44: {
+        name: 'MISSION_COUNT',
+        crcExtra: 221,
+        fields: [['count', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8']]
+    },
+    46: {
+        name: 'MISSION_ITEM_REACHED',
+        crcExtra: 11,
+        fields: [['seq', 'uint16']]
+    },
+    47: {
+        name: 'MISSION_ACK',
+        crcExtra: 153,
+        fields: [['target_system', 'uint8'], ['target_component', 'uint8'], ['type', 'uint8']]
+    },
+    51: {
+        name: 'MISSION_REQUEST_INT',
+        crcExtra: 196,
+        fields: [['seq', 'uint16'], ['target_system', 'uint8'], ['target_component', 'uint8']]
+    },
+    73: {
+        name: 'MISSION_ITEM_INT',
+        crcExtra: 38,
+        fields: [
+            ['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+            ['x', 'int32'], ['y', 'int32'], ['z', 'float'], ['seq', 'uint16'], ['command', 'uint16'],
+            ['target_system', 'uint8'], ['target_component', 'uint8'], ['frame', 'uint8'],
+            ['current', 'uint8'], ['autocontinue', 'uint8']
+        ]
+    },
+    74: {
+        name: 'VFR_HUD',
+        crcExtra: 20,
+        fields: [
+            ['airspeed', 'float'], ['groundspeed', 'float'], ['alt', 'float'], ['climb', 'float'],
+            ['heading', 'int16'], ['throttle', 'uint16']
+        ]
+    },
+    76: {
+        name: 'COMMAND_LONG',
+        crcExtra: 152,
+        fields: [
+            ['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+            ['param5', 'float'], ['param6', 'float'], ['param7', 'float'], ['command', 'uint16'],
+            ['target_system', 'uint8'], ['target_component', 'uint8'], ['confirmation', 'uint8']
+        ]
+    },
+    77: {
+        name: 'COMMAND_ACK',
+        crcExtra: 143,
+        fields: [['command', 'uint16'], ['result', 'uint8']]
+    }
+};
+
+const MAVLINK_TYPE_SIZES = {
+    uint8: 1, int8: 1, uint16: 2, int16: 2, uint32: 4, int32: 4, float: 4, uint64: 8
+};
+
+const MAV_CMD = {
+    NAV_WAYPOINT: 16,
+    NAV_LOITER_TURNS: 18,
+    NAV_LOITER_TIME: 19,
+    NAV_RETURN_TO_LAUNCH: 20,
+    NAV_LAND: 21,
+    NAV_TAKEOFF: 22,
+    NAV_DELAY: 93,
+    DO_JUMP: 177,
+    DO_CHANGE_SPEED: 178,
+    DO_PAUSE_CONTINUE: 193,
+    DO_SET_ROI_LOCATION: 195,
+    DO_SET_ROI_NONE: 197,
+    DO_DIGICAM_CONTROL: 203,
+    DO_MOUNT_CONTROL: 205,
+    DO_SET_CAM_TRIGG_DIST: 206,
+    IMAGE_START_CAPTURE: 2000,
+    IMAGE_STOP_CAPTURE: 2001,
+    COMPONENT_ARM_DISARM: 400
+};
+
+const MAV_FRAME = {
+    GLOBAL: 0,
+    MISSION: 2,
+    GLOBAL_RELATIVE_ALT: 3,
+    GLOBAL_INT: 5,
+    GLOBAL_RELATIVE_ALT_INT: 6,
+    GLOBAL_TERRAIN_ALT: 10,
+    GLOBAL_TERRAIN_ALT_INT: 11
+};
+
+// Planner altitude frame for each MAVLink frame, and back
+const ALTITUDE_FRAME_BY_MAV_FRAME = {
+    [MAV_FRAME.GLOBAL]: 'amsl',
+    [MAV_FRAME.GLOBAL_INT]: 'amsl',
+    [MAV_FRAME.GLOBAL_TERRAIN_ALT]: 'terrain',
+    [MAV_FRAME.GLOBAL_TERRAIN_ALT_INT]: 'terrain'
+};
+
+const MAV_FRAME_BY_ALTITUDE_FRAME = {
+    relative: MAV_FRAME.GLOBAL_RELATIVE_ALT_INT,
+    amsl: MAV_FRAME.GLOBAL_INT,
+    terrain: MAV_FRAME.GLOBAL_TERRAIN_ALT_INT
+};
+
+const MAV_MISSION_RESULT = {
+    0: 'accepted',
+    1: 'generic error',
+    2: 'unsupported frame',
+    3: 'unsupported command',
+    4: 'no space',
+    5: 'invalid item',
+    13: 'invalid sequence',
+    14: 'denied',
+    15: 'cancelled'
+};
+
+const MAV_RESULT = {
+    ACCEPTED: 0,
+    TEMPORARILY_REJECTED: 1,
+    DENIED: 2,
+    UNSUPPORTED: 3,
+    FAILED: 4,
+    IN_PROGRESS: 5,
+    CANCELLED: 6
+};
+
+const MAV_TYPE_GCS = 6;
+const MAV_MODE_FLAG_SAFETY_ARMED = 128;
+const MAV_AUTOPILOT_ARDUPILOTMEGA = 3;
+const MAV_STATE_ACTIVE = 4;
+
+// Airframe MAV_TYPE by drone profile type
+const MAV_TYPE_BY_DRONE = {
+    'fixed-wing': 1,
+    'quadcopter': 2,
+    'hexacopter': 13,
+    'octocopter': 14,
+    'vtol': 22,
+    'hybrid': 22
+};
+
+// Magic value for param2 of COMPONENT_ARM_DISARM that disarms even in flight
+const MAV_FORCE_DISARM = 21196;
+
+// DO_MOUNT_CONTROL param7: the gimbal follows the angles in the command
+const MAV_MOUNT_MODE_MAVLINK_TARGETING = 2;
+
+class MavlinkCodec {
+    constructor(systemId = 255, componentId = 190) {
+        this.systemId = systemId;
+        this.componentId = componentId;
+        this.sequence = 0;
+        this.buffer = new Uint8Array(0);
+        this.messageIds = {};
+
+        Object.keys(MAVLINK_MESSAGES).forEach(id => {
+            this.messageIds[MAVLINK_MESSAGES[id].name] = parseInt(id);
+        });
+    }
+
+    // CRC-16/MCRF4XX (X.25) as used by MAVLink
+    static crc16(bytes, crc = 0xFFFF) {
+        for (let i = 0; i < bytes.length; i++) {
+            let tmp = bytes[i] ^ (crc & 0xFF);
+            tmp = (tmp ^ (tmp << 4)) & 0xFF;
+            crc = ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xFFFF;
+        }
+        return crc;
+    }
+
+    static payloadLength(definition) {
+        return definition.fields.reduce((sum, [, type]) => sum + MAVLINK_TYPE_SIZES[type], 0);
+    }
+
+    encode(name, values = {}) {
+        const msgId = this.messageIds[name];
+        const definition = MAVLINK_MESSAGES[msgId];
+        if (!definition) {
+            throw new Error(`Unknown MAVLink message: ${name}`);
+        }
+
+        const payload = new Uint8Array(MavlinkCodec.payloadLength(definition));
+        const view = new DataView(payload.buffer);
+        let offset = 0;
+
+        definition.fields.forEach(([field, type]) => {
+            const value = values[field] ?? 0;
+            switch (type) {
+                case 'uint8': view.setUint8(offset, value); break;
+                case 'int8': view.setInt8(offset, value); break;
+                case 'uint16': view.setUint16(offset, value, true); break;
+                case 'int16': view.setInt16(offset, value, true); break;
+                case 'uint32': view.setUint32(offset, value, true); break;
+                case 'int32': view.setInt32(offset, value, true); break;
+                case 'float': view.setFloat32(offset, value, true); break;
+                case 'uint64': view.setBigUint64(offset, BigInt(Math.floor(value)), true); break;
+            }
+            offset += MAVLINK_TYPE_SIZES[type];
+        });
+
+        // MAVLink v2 drops trailing zero bytes from the payload
+        let length = payload.length;
+        while (length > 1 && payload[length - 1] === 0) {
+            length--;
+        }
+
+        const frame = new Uint8Array(MAVLINK_HEADER_LENGTH + length + 2);
+        frame[0] = MAVLINK_STX_V2;
+        frame[1] = length;
+        frame[2] = 0;
+        frame[3] = 0;
+        frame[4] = this.sequence;
+        frame[5] = this.systemId;
+        frame[6] = this.componentId;
+        frame[7] = msgId & 0xFF;
+        frame[8] = (msgId >> 8) & 0xFF;
+        frame[9] = (msgId >> 16) & 0xFF;
+        frame.set(payload.subarray(0, length), MAVLINK_HEADER_LENGTH);
+
+        let crc = MavlinkCodec.crc16(frame.subarray(1, MAVLINK_HEADER_LENGTH + length));
+        crc = MavlinkCodec.crc16([definition.crcExtra], crc);
+        frame[MAVLINK_HEADER_LENGTH + length] = crc & 0xFF;
+        frame[MAVLINK_HEADER_LENGTH + length + 1] = crc >> 8;
+
+        this.sequence = (this.sequence + 1) & 0xFF;
+        return frame;
+    }
+
+    // Feed raw bytes from the link; returns every complete, valid message
+    decode(chunk) {
+        const merged = new Uint8Array(this.buffer.length + chunk.length);
+        merged.set(this.buffer);
+        merged.set(chunk, this.buffer.length);
+
+        const messages = [];
+        let start = 0;
+
+        while (start < merged.length) {
+            const stx = merged[start];
+
+            if (stx === MAVLINK_STX_V1) {
+                // MAVLink v1 frames are skipped whole; the bridge is expected to speak v2
+                if (start + 1 >= merged.length) break;
+                const frameLength = merged[start + 1] + 8;
+                if (start + frameLength > merged.length) break;
+                start += frameLength;
+                continue;
+            }
+
+            if (stx !== MAVLINK_STX_V2) {
+                start++;
+                continue;
+            }
+
+            if (start + MAVLINK_HEADER_LENGTH > merged.length) break;
+
+            const length = merged[start + 1];
+            const signed = (merged[start + 2] & MAVLINK_IFLAG_SIGNED) !== 0;
+            const frameLength = MAVLINK_HEADER_LENGTH + length + 2 + (signed ? MAVLINK_SIGNATURE_LENGTH : 0);
+            if (start + frameLength > merged.length) break;
+
+            const frame = merged.subarray(start, start + frameLength);
+            const message = this.parseFrame(frame, length);
+
+            if (message === null) {
+                // Bad checksum: resynchronise on the next start byte
+                start++;
+                continue;
+            }
+
+            if (message) {
+                messages.push(message);
+            }
+            start += frameLength;
+        }
+
+        this.buffer = merged.slice(start);
+        return messages;
+    }
+
+    // Returns the decoded message, undefined for unknown ids, or null on a CRC mismatch
+    parseFrame(frame, length) {
+        const msgId = frame[7] | (frame[8] << 8) | (frame[9] << 16);
+        const definition = MAVLINK_MESSAGES[msgId];
+        if (!definition) return undefined;
+
+        let crc = MavlinkCodec.crc16(frame.subarray(1, MAVLINK_HEADER_LENGTH + length));
+        crc = MavlinkCodec.crc16([definition.crcExtra], crc);
+        const received = frame[MAVLINK_HEADER_LENGTH + length] | (frame[MAVLINK_HEADER_LENGTH + length + 1] << 8);
+        if (crc !== received) return null;
+
+        // Restore the zero bytes truncated by the sender
+        const payload = new Uint8Array(Math.max(MavlinkCodec.payloadLength(definition), length));
+        payload.set(frame.subarray(MAVLINK_HEADER_LENGTH, MAVLINK_HEADER_LENGTH + length));
+        const view = new DataView(payload.buffer);
+
+        const fields = {};
+        let offset = 0;
+        definition.fields.forEach(([field, type]) => {
+            switch (type) {
+                case 'uint8': fields[field] = view.getUint8(offset); break;
+                case 'int8': fields[field] = view.getInt8(offset); break;
+                case 'uint16': fields[field] = view.getUint16(offset, true); break;
+                case 'int16': fields[field] = view.getInt16(offset, true); break;
+                case 'uint32': fields[field] = view.getUint32(offset, true); break;
+                case 'int32': fields[field] = view.getInt32(offset, true); break;
+                case 'float': fields[field] = view.getFloat32(offset, true); break;
+                case 'uint64': fields[field] = Number(view.getBigUint64(offset, true)); break;
+            }
+            offset += MAVLINK_TYPE_SIZES[type];
+        });
+
+        return {
+            id: msgId,
+            name: definition.name,
+            sequence: frame[4],
+            systemId: frame[5],
+            componentId: frame[6],
+            fields: fields,
+            raw: frame.slice()
+        };
+    }
+}
+
+class MavlinkLink {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.codec = new MavlinkCodec();
+        this.listeners = {};
+        this.pendingCommands = new Map();
+        this.targetSystem = 1;
+        this.targetComponent = 1;
+        this.lastHeartbeat = 0;
+        this.heartbeatTimer = null;
+
+        // Command and mission transfer retransmission
+        this.commandTimeout = 1500;
+        this.commandRetries = 3;
+        this.missionTimeout = 2500;
+        this.missionRetries = 5;
+        this.missionTransfer = false;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            let opened = false;
+
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.addEventListener('open', () => {
+                opened = true;
+                this.startHeartbeat();
+                this.emit('open');
+                resolve();
+            });
+
+            this.socket.addEventListener('message', (e) => {
+                if (!(e.data instanceof ArrayBuffer)) return;
+                this.codec.decode(new Uint8Array(e.data)).forEach(msg => this.handleMessage(msg));
+            });
+
+            this.socket.addEventListener('error', () => {
+                if (!opened) {
+                    reject(new Error(`Could not connect to ${this.url}`));
+                }
+            });
+
+            this.socket.addEventListener('close', () => {
+                this.stopHeartbeat();
+                this.rejectPendingCommands(new Error('Link closed'));
+                this.socket = null;
+                if (opened) {
+                    this.emit('close');
+                }
+            });
+        });
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+
+    send(name, fields = {}) {
+        if (!this.isOpen()) {
+            throw new Error('Link is not connected');
+        }
+        const frame = this.codec.encode(name, fields);
+        this.socket.send(frame);
+        this.emit('sent', { name, fields, raw: frame });
+    }
+
+    // The GCS heartbeat keeps the autopilot's link-loss failsafe quiet
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.isOpen()) return;
+            this.send('HEARTBEAT', {
+                type: MAV_TYPE_GCS,
+                autopilot: 8, // MAV_AUTOPILOT_INVALID
+                mavlink_version: 3
+            });
+        }, 1000);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    handleMessage(msg) {
+        if (msg.name === 'HEARTBEAT') {
+            if (msg.fields.type === MAV_TYPE_GCS) return;
+            this.targetSystem = msg.systemId;
+            this.targetComponent = msg.componentId;
+            this.lastHeartbeat = Date.now();
+        }
+
+        if (msg.name === 'COMMAND_ACK') {
+            this.resolveCommand(msg.fields);
+        }
+
+        this.emit('message', msg);
+        this.emit(msg.name, msg.fields);
+    }
+
+    // Send a COMMAND_LONG and resolve with the COMMAND_ACK result.
+    // Unacknowledged commands are resent with an increasing confirmation count.
+    sendCommand(command, params = []) {
+        if (this.pendingCommands.has(command)) {
+            return Promise.reject(new Error('Command already in progress'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = { resolve, reject, attempt: 0, timer: null };
+
+            const transmit = () => {
+                if (pending.attempt > this.commandRetries) {
+                    this.pendingCommands.delete(command);
+                    reject(new Error('No acknowledgement from vehicle'));
+                    return;
+                }
+
+                try {
+                    this.send('COMMAND_LONG', {
+                        command: command,
+                        target_system: this.targetSystem,
+                        target_component: this.targetComponent,
+                        confirmation: pending.attempt,
+                        param1: params[0] ?? 0,
+                        param2: params[1] ?? 0,
+                        param3: params[2] ?? 0,
+                        param4: params[3] ?? 0,
+                        param5: params[4] ?? 0,
+                        param6: params[5] ?? 0,
+                        param7: params[6] ?? 0
+                    });
+                } catch (error) {
+                    this.pendingCommands.delete(command);
+                    reject(error);
+                    return;
+                }
+
+                pending.attempt++;
+                pending.timer = setTimeout(transmit, this.commandTimeout);
+            };
+
+            this.pendingCommands.set(command, pending);
+            transmit();
+        });
+    }
+
+    resolveCommand(ack) {
+        const pending = this.pendingCommands.get(ack.command);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+
+        // IN_PROGRESS means a final ACK will follow; wait for it
+        if (ack.result === MAV_RESULT.IN_PROGRESS) {
+            pending.timer = setTimeout(() => {
+                this.pendingCommands.delete(ack.command);
+                pending.reject(new Error('Command did not complete'));
+            }, this.commandTimeout * 10);
+            return;
+        }
+
+        this.pendingCommands.delete(ack.command);
+
+        if (ack.result === MAV_RESULT.ACCEPTED) {
+            pending.resolve(ack.result);
+        } else {
+            const reason = Object.keys(MAV_RESULT).find(key => MAV_RESULT[key] === ack.result) || ack.result;
+            pending.reject(new Error(`Command ${reason.toString().toLowerCase().replace(/_/g, ' ')}`));
+        }
+    }
+
+    rejectPendingCommands(error) {
+        this.pendingCommands.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        });
+        this.pendingCommands.clear();
+    }
+
+    // Mission Protocol
+    // Resolves with the next matching message from the vehicle, or null on timeout
+    waitForMessage(names, predicate = () => true, timeout = this.missionTimeout) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.off('message', handler);
+                this.off('close', onClose);
+                resolve(null);
+            }, timeout);
+
+            const handler = (msg) => {
+                if (msg.systemId !== this.targetSystem) return;
+                if (!names.includes(msg.name) || !predicate(msg.fields)) return;
+                clearTimeout(timer);
+                this.off('message', handler);
+                this.off('close', onClose);
+                resolve(msg);
+            };
+
+            const onClose = () => {
+                clearTimeout(timer);
+                this.off('message', handler);
+                resolve(null);
+            };
+
+            this.on('message', handler);
+            this.on('close', onClose);
+        });
+    }
+
+    async requestWithRetry(transmit, names, predicate) {
+        for (let attempt = 0; attempt <= this.missionRetries; attempt++) {
+            transmit();
+            const msg = await this.waitForMessage(names, predicate);
+            if (msg) return msg;
+            if (!this.isOpen()) break;
+        }
+        throw new Error(`Timed out waiting for ${names[0]}`);
+    }
+
+    async uploadMission(items, onProgress = () => {}) {
+        if (this.missionTransfer) {
+            throw new Error('A mission transfer is already in progress');
+        }
+
+        this.missionTransfer = true;
+        const target = { target_system: this.targetSystem, target_component: this.targetComponent };
+
+        try {
+            // The vehicle drives the upload: it requests each item, then ACKs the whole mission
+            let transmit = () => this.send('MISSION_COUNT', { count: items.length, ...target });
+            let retries = 0;
+            transmit();
+
+            while (true) {
+                const msg = await this.waitForMessage(['MISSION_REQUEST_INT', 'MISSION_REQUEST', 'MISSION_ACK']);
+
+                if (!msg) {
+                    if (!this.isOpen() || ++retries > this.missionRetries) {
+                        throw new Error('Mission upload timed out');
+                    }
+                    transmit();
+                    continue;
+                }
+                retries = 0;
+
+                if (msg.name === 'MISSION_ACK') {
+                    if (msg.fields.type === 0) return;
+                    throw new Error(`Vehicle rejected mission (${MAV_MISSION_RESULT[msg.fields.type] || msg.fields.type})`);
+                }
+
+                const seq = msg.fields.seq;
+                if (seq >= items.length) {
+                    throw new Error(`Vehicle requested unknown item ${seq}`);
+                }
+
+                transmit = () => this.send('MISSION_ITEM_INT', { ...items[seq], seq: seq, ...target });
+                transmit();
+                onProgress(seq + 1, items.length);
+            }
+        } finally {
+            this.missionTransfer = false;
+        }
+    }
+
+    async downloadMission(onProgress = () => {}) {
+        if (this.missionTransfer) {
+            throw new Error('A mission transfer is already in progress');
+        }
+
+        this.missionTransfer = true;
+        const target = { target_system: this.targetSystem, target_component: this.targetComponent };
+
+        try {
+            const countMsg = await this.requestWithRetry(
+                () => this.send('MISSION_REQUEST_LIST', target),
+                ['MISSION_COUNT']
+            );
+
+            const count = countMsg.fields.count;
+            const items = [];
+
+            for (let seq = 0; seq < count; seq++) {
+                const itemMsg = await this.requestWithRetry(
+                    () => this.send('MISSION_REQUEST_INT', { seq: seq, ...target }),
+                    ['MISSION_ITEM_INT'],
+                    (fields) => fields.seq === seq
+                );
+                items.push(itemMsg.fields);
+                onProgress(seq + 1, count);
+            }
+
+            this.send('MISSION_ACK', { type: 0, ...target });
+            return items;
+        } finally {
+            this.missionTransfer = false;
+        }
+    }
+}
+
+// Conversion between saved-mission waypoints and MISSION_ITEM_INT fields.
+// Item 0 is the home position, as ArduPilot and QGroundControl expect.
+class MissionItems {
+    static fromWaypoints(waypoints) {
+        if (!waypoints || waypoints.length === 0) return [];
+
+        const home = waypoints.find(wp => wp.type === 'home') || waypoints[0];
+        const items = [MissionItems.createItem(MAV_CMD.NAV_WAYPOINT, home, MAV_FRAME.GLOBAL_INT)];
+        const firstItem = []; // first item sequence number emitted for each waypoint, for jumps
+        const jumps = [];
+        let currentSpeed = null;
+        let currentPoi = null;
+
+        waypoints.forEach((wp, index) => {
+            firstItem[index] = items.length;
+            if (wp.type === 'home') return;
+
+            const params = wp.params || {};
+            const add = (command, position, values) => {
+                const frame = (position && MAV_FRAME_BY_ALTITUDE_FRAME[position.altitudeFrame]) || MAV_FRAME.GLOBAL_RELATIVE_ALT_INT;
+                const item = MissionItems.createItem(command, position, frame, values);
+                items.push(item);
+                return item;
+            };
+
+            if (WaypointTypes.isPath(wp.type)) {
+                if (wp.speed && wp.speed !== currentSpeed) {
+                    // param1 = 1 selects ground speed, param3 = -1 leaves throttle unchanged
+                    add(MAV_CMD.DO_CHANGE_SPEED, null, [1, wp.speed, -1, 0]);
+                    currentSpeed = wp.speed;
+                }
+
+                // Point the camera before flying to a waypoint that looks at something else
+                const poi = wp.type === 'rtl' ? null : wp.poi || null;
+                if (poi && (!currentPoi || poi.lat !== currentPoi.lat || poi.lng !== currentPoi.lng ||
+                            poi.altitude !== currentPoi.altitude)) {
+                    add(MAV_CMD.DO_SET_ROI_LOCATION, { latitude: poi.lat, longitude: poi.lng, altitude: poi.altitude || 0 });
+                } else if (!poi && currentPoi) {
+                    add(MAV_CMD.DO_SET_ROI_NONE, null);
+                }
+                currentPoi = poi;
+            }
+
+            switch (wp.type) {
+                case 'rtl':
+                    add(MAV_CMD.NAV_RETURN_TO_LAUNCH, null);
+                    break;
+                case 'takeoff':
+                    add(MAV_CMD.NAV_TAKEOFF, wp, [0, 0, 0, NaN]);
+                    break;
+                case 'land':
+                    add(MAV_CMD.NAV_LAND, wp, [0, 0, 0, NaN]);
+                    break;
+                case 'loiter-time':
+                    add(MAV_CMD.NAV_LOITER_TIME, wp, [params.loiterTime || 0, 0, params.loiterRadius || 0, 0]);
+                    break;
+                case 'loiter-turns':
+                    add(MAV_CMD.NAV_LOITER_TURNS, wp, [params.loiterTurns || 0, 0, params.loiterRadius || 0, 0]);
+                    break;
+                case 'change-speed':
+                    if (wp.speed) {
+                        add(MAV_CMD.DO_CHANGE_SPEED, null, [1, wp.speed, -1, 0]);
+                        currentSpeed = wp.speed;
+                    }
+                    break;
+                case 'set-roi':
+                    add(MAV_CMD.DO_SET_ROI_LOCATION, wp);
+                    currentPoi = { lat: wp.latitude, lng: wp.longitude, altitude: wp.altitude };
+                    break;
+                case 'camera-trigger':
+                    if (params.triggerMode === 'distance') {
+                        add(MAV_CMD.DO_SET_CAM_TRIGG_DIST, null, [params.triggerDistance || 0, 0, 1, 0]);
+                    } else if (params.triggerMode === 'time') {
+                        add(MAV_CMD.IMAGE_START_CAPTURE, null, [0, params.triggerInterval || 1, 0, 0]);
+                    } else if (params.triggerMode === 'stop') {
+                        add(MAV_CMD.IMAGE_STOP_CAPTURE, null);
+                        add(MAV_CMD.DO_SET_CAM_TRIGG_DIST, null, [0, 0, 0, 0]);
+                    } else {
+                        // param5 = 1 takes one shot
+                        add(MAV_CMD.DO_DIGICAM_CONTROL, null, [0, 0, 0, 0, 1]);
+                    }
+                    break;
+                case 'gimbal-pitch':
+                    // param7 selects MAVLink targeting
+                    add(MAV_CMD.DO_MOUNT_CONTROL, null, [params.gimbalPitch || 0, 0, 0, 0, 0, 0, MAV_MOUNT_MODE_MAVLINK_TARGETING]);
+                    break;
+                case 'jump':
+                    jumps.push({ item: add(MAV_CMD.DO_JUMP, null, [0, params.jumpRepeat || 0, 0, 0]), target: params.jumpTarget });
+                    break;
+                case 'delay':
+                    add(MAV_CMD.NAV_DELAY, null, [params.delay || 0, -1, -1, -1]);
+                    break;
+                default:
+                    add(MAV_CMD.NAV_WAYPOINT, wp, [wp.hoverTime || 0, 0, 0, NaN]);
+            }
+        });
+
+        // Jump targets are planner item numbers (1-based); the vehicle wants sequence numbers
+        jumps.forEach(jump => {
+            jump.item.param1 = firstItem[Math.max(0, Math.min(waypoints.length - 1, (jump.target || 1) - 1))];
+        });
+
+        return items;
+    }
+
+    // params holds param1..param7; without a position, params 5-7 fill x, y and z
+    static createItem(command, wp, frame, params = [0, 0, 0, 0]) {
+        return {
+            command: command,
+            frame: frame,
+            current: 0,
+            autocontinue: 1,
+            param1: params[0],
+            param2: params[1],
+            param3: params[2],
+            param4: params[3],
+            x: wp ? Math.round(wp.latitude * 1e7) : params[4] || 0,
+            y: wp ? Math.round(wp.longitude * 1e7) : params[5] || 0,
+            z: wp ? wp.altitude : params[6] || 0
+        };
+    }
+
+    // Returns the waypoints plus a description of every item that had no equivalent
+    static toWaypoints(items, defaultAltitude = 50) {
+        const waypoints = [];
+        const skipped = [];
+        const firstWaypoint = []; // waypoint index produced at or after each sequence number
+        const jumps = [];
+        let speed = null;
+        let poi = null;
+        let home = null;
+
+        items.forEach((item, seq) => {
+            const latitude = item.x / 1e7;
+            const longitude = item.y / 1e7;
+            const altitudeFrame = ALTITUDE_FRAME_BY_MAV_FRAME[item.frame] || 'relative';
+            const located = (type, extra = {}) => waypoints.push({
+                latitude, longitude, altitude: item.z, altitudeFrame, speed: speed, hoverTime: 0, type: type, ...extra
+            });
+            const command = (type, params, extra = {}) => waypoints.push({
+                latitude: null, longitude: null, altitude: 0, speed: null, hoverTime: 0, type: type, params: params, ...extra
+            });
+            firstWaypoint[seq] = waypoints.length;
+
+            if (seq === 0 && item.command === MAV_CMD.NAV_WAYPOINT) {
+                home = { latitude, longitude };
+                located('home');
+                return;
+            }
+
+            switch (item.command) {
+                case MAV_CMD.DO_CHANGE_SPEED:
+                    if (item.param2 > 0) speed = item.param2;
+                    break;
+                case MAV_CMD.DO_SET_ROI_LOCATION:
+                    poi = { lat: latitude, lng: longitude, altitude: item.z };
+                    break;
+                case MAV_CMD.DO_SET_ROI_NONE:
+                    poi = null;
+                    break;
+                case MAV_CMD.NAV_WAYPOINT:
+                    located('waypoint', { hoverTime: item.param1 || 0, poi: poi || undefined });
+                    break;
+                case MAV_CMD.NAV_TAKEOFF:
+                    located('takeoff');
+                    break;
+                case MAV_CMD.NAV_LAND:
+                    located('land', { poi: poi || undefined });
+                    break;
+                case MAV_CMD.NAV_LOITER_TIME:
+                    located('loiter-time', { params: { loiterTime: item.param1, loiterRadius: Math.abs(item.param3) }, poi: poi || undefined });
+                    break;
+                case MAV_CMD.NAV_LOITER_TURNS:
+                    located('loiter-turns', { params: { loiterTurns: item.param1, loiterRadius: Math.abs(item.param3) }, poi: poi || undefined });
+                    break;
+                case MAV_CMD.NAV_RETURN_TO_LAUNCH:
+                    if (home) {
+                        waypoints.push({ ...home, altitude: defaultAltitude, speed: speed, hoverTime: 0, type: 'rtl' });
+                    } else {
+                        skipped.push(`Item ${seq}: return to launch without a home position`);
+                    }
+                    break;
+                case MAV_CMD.DO_DIGICAM_CONTROL:
+                    command('camera-trigger', { triggerMode: 'single' });
+                    break;
+                case MAV_CMD.DO_SET_CAM_TRIGG_DIST:
+                    if (item.param1 > 0) {
+                        command('camera-trigger', { triggerMode: 'distance', triggerDistance: item.param1 });
+                    } else if (waypoints[waypoints.length - 1]?.params?.triggerMode !== 'stop') {
+                        command('camera-trigger', { triggerMode: 'stop' });
+                    }
+                    break;
+                case MAV_CMD.IMAGE_START_CAPTURE:
+                    command('camera-trigger', { triggerMode: 'time', triggerInterval: item.param2 });
+                    break;
+                case MAV_CMD.IMAGE_STOP_CAPTURE:
+                    command('camera-trigger', { triggerMode: 'stop' });
+                    break;
+                case MAV_CMD.DO_MOUNT_CONTROL:
+                    command('gimbal-pitch', { gimbalPitch: item.param1 });
+                    break;
+                case MAV_CMD.DO_JUMP:
+                    command('jump', { jumpTarget: 1, jumpRepeat: item.param2 });
+                    jumps.push({ waypoint: waypoints[waypoints.length - 1], seq: item.param1 });
+                    break;
+                case MAV_CMD.NAV_DELAY:
+                    command('delay', { delay: item.param1 });
+                    break;
+                default:
+                    skipped.push(`Item ${seq}: unsupported command ${item.command}`);
+            }
+        });
+
+        jumps.forEach(jump => {
+            jump.waypoint.params.jumpTarget = (firstWaypoint[jump.seq] ?? 0) + 1;
+        });
+
+        return { waypoints: waypoints, skipped: skipped };
+    }
+}
@@ -1,5 +1,21 @@
 // Mission Planner - Professional UAV Flight Planning System
 
+const LIBRARY_PLACE_DISTANCE = 1000; // meters home can move before a saved mission's place is looked up again
+const IMPORT_MAX_ERRORS = 12; // validation errors listed for a rejected file
+
+// Mission settings by parameter key, each with an input whose id is the key in kebab case.
+// The labels name them in the import preview and in the edit history.
+const MISSION_PARAMETERS = [
+    ['defaultAltitude', 'Default altitude'],
+    ['defaultSpeed', 'Default speed'],
+    ['safetyReserve', 'Safety reserve'],
+    ['windSpeed', 'Wind speed'],
+    ['windDirection', 'Wind direction'],
+    ['windGust', 'Gusts'],
+    ['altitudeFrame', 'Altitude frame'],
+    ['terrainClearance', 'Terrain clearance']
+];
+
 class MissionPlanner {
     constructor(droneManager) {
         this.droneManager = droneManager;
@@ -11,12 +27,54 @@ class MissionPlanner {
         this.selectedDrone = null;
         this.homePoint = null;
         this.isAddingWaypoint = true;
+
+        // Waypoints picked for bulk edits, and the shift-drag box that picks them
+        this.selection = new Set();
+        this.selectionBox = null;
+
+        // Geofences
+        this.geofences = [];
+        this.fenceLayers = [];
+        this.drawTool = null;
+
+        // Rally points come in from other ground stations and go back out with exports
+        this.rallyPoints = [];
+        this.rallyLayers = [];
+
+        // The library mission being edited, which Save writes a new version of
+        this.libraryMissionId = null;
+
+        // A validated import waiting for the user to confirm it, and its outline on the map
+        this.pendingImport = null;
+        this.importPreviewLayer = null;
+
+        // Survey grid
+        this.surveyArea = null;
+        this.surveyLayer = null;
+        this.survey = null;
+
+        // Terrain
+        this.terrain = new TerrainModel();
+
+        // Energy estimate and its point of no return
+        this.energy = null;
+        this.pnrMarker = null;
+
+        // Undo/redo, kept with the working draft across reloads
+        this.history = new MissionHistory();
+        this.history.onChange = () => this.historyChanged();
+        this.historyPaused = false;
         
         // Mission parameters
         this.defaultAltitude = 50;
         this.defaultSpeed = 0;
         this.safetyReserve = 20;
         this.windSpeed = 0;
+        this.windDirection = 0;
+        this.windGust = null;
+        this.windLayers = [];
+        this.altitudeFrame = 'relative';
+        this.terrainClearance = 30;
         
         this.init();
     }
@@ -33,12 +91,22 @@ class MissionPlanner {
     setup() {
         this.initMap();
         this.setupEventListeners();
-        this.loadDroneList();
+        this.setupStorageListeners();
+        this.droneManager.ready.then(() => this.loadDroneList());
+        this.loadSurveyCameras();
+        this.loadTerrain();
+        this.restoreDraft();
         
         // Handle view visibility changes for map resize
         this.setupViewObserver();
     }
     
+    // Keeps the drone list and the open library in step with writes from any view or tab
+    setupStorageListeners() {
+        Database.subscribe('drones', () => this.droneManager.ready.then(() => this.loadDroneList()));
+        Database.subscribe('missions', () => this.updateLibrary());
+    }
+
     setupViewObserver() {
         // Listen for view changes
         const missionView = document.getElementById('mission-view');
@@ -76,16 +144,27 @@ class MissionPlanner {
             maxZoom: 19
         }).addTo(this.map);
 
-        // Map click event for adding waypoints
+        // Shapes drawn on the map take clicks ahead of waypoints
+        this.drawTool = new MapDrawTool(this.map);
+        this.drawTool.onChange = () => this.updateDrawControls();
+
+        // Map click event for adding waypoints, or shape points while drawing
         this.map.on('click', (e) => {
-            if (this.isAddingWaypoint) {
+            if (this.drawTool.active) {
+                this.drawTool.click(e.latlng.lat, e.latlng.lng);
+            } else if (this.isAddingWaypoint && !e.originalEvent.shiftKey) {
                 this.addWaypoint(e.latlng.lat, e.latlng.lng);
             }
         });
 
+        this.setupBoxSelect();
+
         // Mouse move event for coordinate display
         this.map.on('mousemove', (e) => {
             this.updateCoordinatesDisplay(e.latlng);
+            if (this.drawTool.active) {
+                this.drawTool.preview(e.latlng);
+            }
         });
 
         // Try to get user's location
@@ -104,7 +183,9 @@ class MissionPlanner {
 
     updateCoordinatesDisplay(latlng) {
         const display = document.getElementById('coordinates-display');
-        display.textContent = `Lat: ${latlng.lat.toFixed(6)}, Lon: ${latlng.lng.toFixed(6)}`;
+        const ground = this.terrain.elevation(latlng.lat, latlng.lng);
+        display.textContent = `Lat: ${latlng.lat.toFixed(6)}, Lon: ${latlng.lng.toFixed(6)}` +
+            (ground === null ? '' : `, Ground: ${ground.toFixed(0)} m`);
     }
 
     // Event Listeners
@@ -112,6 +193,7 @@ class MissionPlanner {
         // Drone selection
         document.getElementById('mission-drone-select').addEventListener('change', (e) => {
             this.selectDrone(e.target.value);
+            this.recordHistory(this.selectedDrone ? `Select ${this.selectedDrone.name}` : 'Clear drone');
         });
 
         // Mission parameters
@@ -135,6 +217,157 @@ class MissionPlanner {
             this.updateMissionSummary();
         });
 
+        document.getElementById('wind-direction').addEventListener('input', (e) => {
+            this.windDirection = parseFloat(e.target.value) || 0;
+            this.updateMissionSummary();
+        });
+
+        // A blank gust falls back to a share of the wind speed
+        document.getElementById('wind-gust').addEventListener('input', (e) => {
+            const gust = parseFloat(e.target.value);
+            this.windGust = isNaN(gust) ? null : gust;
+            this.updateMissionSummary();
+        });
+
+        document.getElementById('add-wind-layer-btn').addEventListener('click', () => {
+            this.addWindLayer();
+        });
+
+        document.getElementById('altitude-frame').addEventListener('change', (e) => {
+            this.altitudeFrame = e.target.value;
+        });
+
+        document.getElementById('terrain-clearance').addEventListener('input', (e) => {
+            this.terrainClearance = parseFloat(e.target.value) || 0;
+            this.updateMissionSummary();
+            this.drawElevationProfile();
+        });
+
+        // One history entry per finished edit rather than per keystroke
+        MISSION_PARAMETERS.forEach(([key, label]) => {
+            const id = key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+            document.getElementById(id).addEventListener('change', () => {
+                this.recordHistory(`Set ${label.toLowerCase()}`);
+            });
+        });
+
+        // Terrain
+        document.getElementById('import-terrain-btn').addEventListener('click', () => {
+            document.getElementById('terrain-file').click();
+        });
+
+        document.getElementById('terrain-file').addEventListener('change', (e) => {
+            this.importTerrain(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        // Geofences
+        document.getElementById('draw-fence-btn').addEventListener('click', () => {
+            if (this.drawTool.isDrawing('fence')) {
+                this.drawTool.cancel();
+            } else {
+                this.startFence();
+            }
+        });
+
+        document.getElementById('finish-fence-btn').addEventListener('click', () => {
+            this.drawTool.finish();
+        });
+
+        // Survey grid
+        document.getElementById('survey-camera').addEventListener('change', (e) => {
+            document.getElementById('survey-custom-camera').style.display = e.target.value === 'custom' ? 'block' : 'none';
+            this.updateSurveyResolution('altitude');
+        });
+
+        document.getElementById('survey-altitude').addEventListener('input', () => {
+            this.updateSurveyResolution('altitude');
+        });
+
+        document.getElementById('survey-gsd').addEventListener('input', () => {
+            this.updateSurveyResolution('gsd');
+        });
+
+        document.getElementById('draw-survey-btn').addEventListener('click', () => {
+            if (this.drawTool.isDrawing('survey')) {
+                this.drawTool.cancel();
+            } else {
+                this.startSurveyArea();
+            }
+        });
+
+        document.getElementById('finish-survey-btn').addEventListener('click', () => {
+            this.drawTool.finish();
+        });
+
+        document.getElementById('generate-survey-btn').addEventListener('click', () => {
+            this.generateSurvey();
+        });
+
+        // Inspection patterns
+        document.getElementById('pattern-type').addEventListener('change', (e) => {
+            document.getElementById('orbit-settings').style.display = e.target.value === 'orbit' ? 'block' : 'none';
+            document.getElementById('corridor-settings').style.display = e.target.value === 'corridor' ? 'block' : 'none';
+            if (this.drawTool.isDrawing('pattern')) {
+                this.drawTool.cancel();
+            } else {
+                this.updateDrawControls();
+            }
+        });
+
+        document.getElementById('draw-pattern-btn').addEventListener('click', () => {
+            if (this.drawTool.isDrawing('pattern')) {
+                this.drawTool.cancel();
+            } else {
+                this.startPattern();
+            }
+        });
+
+        document.getElementById('finish-pattern-btn').addEventListener('click', () => {
+            this.drawTool.finish();
+        });
+
+        document.getElementById('add-command-btn').addEventListener('click', () => {
+            this.addCommand(document.getElementById('command-type').value);
+        });
+
+        // Selected waypoints
+        document.getElementById('apply-bulk-btn').addEventListener('click', () => {
+            this.applyBulkEdit();
+        });
+
+        document.getElementById('delete-selected-btn').addEventListener('click', () => {
+            this.deleteSelected();
+        });
+
+        document.getElementById('clear-selection-btn').addEventListener('click', () => {
+            this.clearSelection();
+        });
+
+        // History
+        document.getElementById('undo-btn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redo-btn').addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z while planning; text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || !document.getElementById('mission-view').classList.contains('active')) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // Mission actions
         document.getElementById('clear-mission-btn').addEventListener('click', () => {
             this.clearMission();
@@ -158,6 +391,15 @@ class MissionPlanner {
 
         document.getElementById('import-mission-input').addEventListener('change', (e) => {
             this.importMission(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('confirm-import-btn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        document.getElementById('cancel-import-btn').addEventListener('click', () => {
+            this.cancelImport();
         });
 
         // Save/Load missions
@@ -165,6 +407,10 @@ class MissionPlanner {
             this.saveMission();
         });
 
+        document.getElementById('save-mission-as-btn').addEventListener('click', () => {
+            this.saveMissionAs();
+        });
+
         document.getElementById('load-missions-btn').addEventListener('click', () => {
             this.showSavedMissions();
         });
@@ -173,6 +419,16 @@ class MissionPlanner {
             this.hideSavedMissions();
         });
 
+        document.getElementById('library-search').addEventListener('input', () => {
+            this.renderLibrary();
+        });
+
+        ['library-folder', 'library-sort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderLibrary();
+            });
+        });
+
         // Map controls
         document.getElementById('locate-btn').addEventListener('click', () => {
             this.locateUser();
@@ -189,6 +445,7 @@ class MissionPlanner {
     loadDroneList() {
         const select = document.getElementById('mission-drone-select');
         const drones = this.droneManager.getAllDrones();
+        const selected = select.value;
         
         select.innerHTML = '<option value="">Select a drone profile</option>';
         
@@ -198,6 +455,11 @@ class MissionPlanner {
             option.textContent = `${drone.name} (${drone.type})`;
             select.appendChild(option);
         });
+
+        // Redrawn after profile edits; the chosen drone stays chosen
+        if (drones.some(drone => drone.id === selected)) {
+            select.value = selected;
+        }
     }
 
     selectDrone(droneId) {
@@ -236,85 +498,332 @@ class MissionPlanner {
 
     // Waypoint Management
     addWaypoint(lat, lng, type = 'waypoint', altitude = null, speed = null, hoverTime = 0) {
-        const waypoint = {
+        const waypoint = this.createWaypoint(lat, lng, type, altitude, speed, hoverTime);
+
+        this.waypoints.push(waypoint);
+        this.addMarker(waypoint);
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.updateActionButtons();
+        this.recordHistory(`Add ${WaypointTypes.get(type).label}`);
+    }
+
+    createWaypoint(lat, lng, type = 'waypoint', altitude = null, speed = null, hoverTime = 0) {
+        return {
             id: Date.now() + Math.random(),
             lat: lat,
             lng: lng,
             altitude: altitude || this.defaultAltitude,
             speed: speed || this.defaultSpeed || this.selectedDrone?.cruiseSpeed || 15,
             hoverTime: hoverTime,
-            type: type
+            type: type,
+            altitudeFrame: this.altitudeFrame
         };
+    }
 
-        this.waypoints.push(waypoint);
-        this.addMarker(waypoint);
+    // Adds loaded or generated waypoints in one go; fields beyond the basics (pattern etc.) are kept
+    insertWaypoints(entries, index = this.waypoints.length) {
+        const waypoints = entries.map(entry => {
+            const { lat, lng, type, altitude, speed, hoverTime, ...extra } = entry;
+            const waypoint = Object.assign(this.createWaypoint(lat, lng, type || 'waypoint', altitude, speed, hoverTime || 0), extra);
+
+            // An explicit null speed inherits the previous one instead of taking the default
+            if (speed === null) waypoint.speed = null;
+            waypoint.params = WaypointTypes.params(waypoint.type, extra.params || {});
+            return waypoint;
+        });
+
+        this.waypoints.splice(index, 0, ...waypoints);
+        this.rebuildMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.updateActionButtons();
+    }
+
+    // Removes every waypoint a pattern generator produced
+    removePatternWaypoints(pattern) {
+        const remaining = this.waypoints.filter(wp => wp.pattern !== pattern);
+        if (remaining.length === this.waypoints.length) return;
+
+        this.waypoints = remaining;
+        this.rebuildMarkers();
         this.updatePath();
         this.updateWaypointList();
         this.updateMissionSummary();
         this.updateActionButtons();
     }
 
+    // Position ahead of a trailing RTL, where generated patterns go
+    patternInsertIndex() {
+        const last = this.waypoints[this.waypoints.length - 1];
+        return last && last.type === 'rtl' ? this.waypoints.length - 1 : this.waypoints.length;
+    }
+
+    // Waypoints the aircraft actually flies to, in order
+    pathWaypoints() {
+        return this.waypoints.filter(wp => WaypointTypes.isPath(wp.type));
+    }
+
+    rebuildMarkers() {
+        this.markers.forEach(m => this.map.removeLayer(m.marker));
+        this.markers = [];
+        this.waypoints.forEach(wp => this.addMarker(wp));
+    }
+
     addMarker(waypoint) {
-        const iconColor = waypoint.type === 'home' ? '#10b981' : 
-                         waypoint.type === 'rtl' ? '#f59e0b' : '#3b82f6';
-        
-        const icon = L.divIcon({
-            className: 'custom-waypoint-marker',
-            html: `<div style="background-color: ${iconColor}; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px;">
-                    ${waypoint.type === 'home' ? 'H' : waypoint.type === 'rtl' ? 'R' : this.waypoints.indexOf(waypoint) + 1}
-                   </div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        });
+        if (!WaypointTypes.isLocated(waypoint.type)) return;
 
-        const marker = L.marker([waypoint.lat, waypoint.lng], { icon: icon, draggable: true })
+        const marker = L.marker([waypoint.lat, waypoint.lng], { icon: this.waypointIcon(waypoint), draggable: true })
             .addTo(this.map)
             .bindPopup(this.createWaypointPopup(waypoint));
 
+        // The path follows the marker while it's dragged; the rest catches up on drop
+        marker.on('drag', (e) => {
+            waypoint.lat = e.target.getLatLng().lat;
+            waypoint.lng = e.target.getLatLng().lng;
+            this.updatePath();
+        });
+
         marker.on('dragend', (e) => {
             waypoint.lat = e.target.getLatLng().lat;
             waypoint.lng = e.target.getLatLng().lng;
+            marker.setPopupContent(this.createWaypointPopup(waypoint));
             this.updatePath();
+            this.updateWaypointList();
             this.updateMissionSummary();
+            this.recordHistory(`Move ${this.waypointTitle(waypoint)}`);
         });
 
-        marker.on('click', () => {
-            this.selectWaypoint(waypoint);
+        marker.on('click', (e) => {
+            this.selectWaypoint(waypoint, e.originalEvent.shiftKey);
         });
 
         this.markers.push({ waypoint: waypoint, marker: marker });
     }
 
-    createWaypointPopup(waypoint) {
+    // Round markers are flown to; square ones (ROI) only mark a spot
+    waypointIcon(waypoint) {
+        const spec = WaypointTypes.get(waypoint.type);
+        const label = spec.marker || this.waypoints.indexOf(waypoint) + 1;
+        const shape = spec.path ? 'border-radius: 50%;' : 'border-radius: 4px;';
+        const width = String(label).length > 2 ? 30 : 24;
+        const border = this.selection.has(waypoint) ? 'border: 2px solid #facc15; box-shadow: 0 0 0 3px rgba(250, 204, 21, 0.4);' : 'border: 2px solid white;';
+
+        return L.divIcon({
+            className: 'custom-waypoint-marker',
+            html: `<div style="background-color: ${spec.color}; width: ${width}px; height: 24px; ${shape} ${border} display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: ${width > 24 ? 10 : 12}px;">
+                    ${label}
+                   </div>`,
+            iconSize: [width, 24],
+            iconAnchor: [width / 2, 12]
+        });
+    }
+
+    waypointTitle(waypoint) {
         const index = this.waypoints.indexOf(waypoint);
+        if (waypoint.type === 'waypoint') return `Waypoint ${index + 1}`;
+        if (waypoint.type === 'home' || waypoint.type === 'rtl') return WaypointTypes.get(waypoint.type).label;
+        return `${index + 1}. ${WaypointTypes.get(waypoint.type).label}`;
+    }
+
+    createWaypointPopup(waypoint) {
         return `
             <div style="min-width: 150px;">
-                <h4 style="margin: 0 0 8px 0;">${waypoint.type === 'home' ? 'Home Point' : 
-                    waypoint.type === 'rtl' ? 'Return to Launch' : `Waypoint ${index + 1}`}</h4>
+                <h4 style="margin: 0 0 8px 0;">${this.waypointTitle(waypoint)}</h4>
                 <div style="font-size: 12px;">
                     <div><strong>Lat:</strong> ${waypoint.lat.toFixed(6)}</div>
                     <div><strong>Lon:</strong> ${waypoint.lng.toFixed(6)}</div>
                     <div><strong>Alt:</strong> ${waypoint.altitude} m</div>
-                    <div><strong>Speed:</strong> ${waypoint.speed} m/s</div>
+                    ${waypoint.speed ? `<div><strong>Speed:</strong> ${waypoint.speed} m/s</div>` : ''}
+                    ${waypoint.poi ? `<div><strong>Look at:</strong> ${waypoint.poi.lat.toFixed(6)}, ${waypoint.poi.lng.toFixed(6)}</div>` : ''}
                 </div>
             </div>
         `;
     }
 
-    selectWaypoint(waypoint) {
-        // Highlight in waypoint list
-        const waypointElements = document.querySelectorAll('.waypoint-item');
-        waypointElements.forEach(el => el.classList.remove('selected'));
-        
-        const index = this.waypoints.indexOf(waypoint);
-        if (waypointElements[index]) {
-            waypointElements[index].classList.add('selected');
+    // Selects just this waypoint, or with shift adds it to the selection (or takes it out again)
+    selectWaypoint(waypoint, additive = false) {
+        if (!additive) {
+            this.selection.clear();
+            this.selection.add(waypoint);
+        } else if (this.selection.has(waypoint)) {
+            this.selection.delete(waypoint);
+        } else {
+            this.selection.add(waypoint);
+        }
+        this.updateSelection();
+    }
+
+    clearSelection() {
+        if (this.selection.size === 0) return;
+
+        this.selection.clear();
+        this.updateSelection();
+    }
+
+    // Shift-drag on the map draws a box that adds the waypoints inside it to the selection
+    setupBoxSelect() {
+        this.map.boxZoom.disable();
+
+        this.map.on('mousedown', (e) => {
+            if (!e.originalEvent.shiftKey || this.drawTool.active) return;
+
+            this.map.dragging.disable();
+            this.selectionBox = {
+                start: e.latlng,
+                layer: L.rectangle(L.latLngBounds(e.latlng, e.latlng), {
+                    color: '#facc15',
+                    weight: 1,
+                    dashArray: '4, 4',
+                    fillOpacity: 0.1,
+                    interactive: false
+                }).addTo(this.map)
+            };
+        });
+
+        this.map.on('mousemove', (e) => {
+            if (this.selectionBox) {
+                this.selectionBox.layer.setBounds(L.latLngBounds(this.selectionBox.start, e.latlng));
+            }
+        });
+
+        this.map.on('mouseup', () => {
+            if (!this.selectionBox) return;
+
+            const bounds = this.selectionBox.layer.getBounds();
+            this.map.removeLayer(this.selectionBox.layer);
+            this.map.dragging.enable();
+            this.selectionBox = null;
+
+            this.waypoints
+                .filter(wp => WaypointTypes.isLocated(wp.type) && bounds.contains([wp.lat, wp.lng]))
+                .forEach(wp => this.selection.add(wp));
+            this.updateSelection();
+        });
+    }
+
+    // Highlights the selection in the list and on the map, and shows the bulk editor for it
+    updateSelection() {
+        this.selection.forEach(wp => {
+            if (!this.waypoints.includes(wp)) this.selection.delete(wp);
+        });
+
+        document.querySelectorAll('#waypoint-list .waypoint-item').forEach(el => {
+            el.classList.toggle('selected', this.selection.has(this.waypoints[parseInt(el.dataset.index, 10)]));
+        });
+        this.markers.forEach(m => m.marker.setIcon(this.waypointIcon(m.waypoint)));
+
+        const count = this.selection.size;
+        document.getElementById('selection-panel').style.display = count > 1 ? 'block' : 'none';
+        document.getElementById('selection-count').textContent = `${count} selected`;
+    }
+
+    // Sets altitude, speed and hover time on every selected waypoint that has them; blank fields
+    // are left as they are
+    applyBulkEdit() {
+        const read = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? null : value;
+        };
+        const values = {
+            altitude: read('bulk-altitude'),
+            speed: read('bulk-speed'),
+            hoverTime: read('bulk-hover-time')
+        };
+
+        let edited = 0;
+        this.selection.forEach(wp => {
+            const fields = WaypointTypes.get(wp.type).fields;
+            let changed = false;
+            Object.entries(values).forEach(([field, value]) => {
+                if (value !== null && fields.includes(field)) {
+                    wp[field] = value;
+                    changed = true;
+                }
+            });
+            if (changed) edited++;
+        });
+        if (edited === 0) return;
+
+        ['bulk-altitude', 'bulk-speed', 'bulk-hover-time'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.updateMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.recordHistory(`Edit ${edited} waypoints`);
+    }
+
+    deleteSelected() {
+        const count = this.selection.size;
+        if (count === 0) return;
+
+        this.waypoints = this.waypoints.filter(wp => !this.selection.has(wp));
+        this.selection.clear();
+        this.rebuildMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.updateActionButtons();
+        this.recordHistory(`Delete ${count} waypoints`);
+    }
+
+    // Moves a list entry to another position. Home stays first and a closing RTL stays last.
+    moveWaypoint(from, to) {
+        const wp = this.waypoints[from];
+        if (!wp || wp.type === 'home' || wp.type === 'rtl') return;
+
+        const first = this.waypoints[0].type === 'home' ? 1 : 0;
+        const last = this.waypoints.length - (this.waypoints[this.waypoints.length - 1].type === 'rtl' ? 2 : 1);
+        const target = Math.max(first, Math.min(last, to));
+        if (target === from) return;
+
+        const title = this.waypointTitle(wp);
+        this.waypoints.splice(from, 1);
+        this.waypoints.splice(target, 0, wp);
+        this.updateMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.recordHistory(`Move ${title} to position ${target + 1}`);
+    }
+
+    // Clicking the route adds a waypoint on the nearest leg, between the two it joins
+    insertOnPath(latlng) {
+        const path = this.pathWaypoints();
+        const point = this.map.latLngToLayerPoint(latlng);
+
+        let leg = 0;
+        let nearest = Infinity;
+        for (let i = 0; i < path.length - 1; i++) {
+            const distance = L.LineUtil.pointToSegmentDistance(point,
+                this.map.latLngToLayerPoint([path[i].lat, path[i].lng]),
+                this.map.latLngToLayerPoint([path[i + 1].lat, path[i + 1].lng]));
+            if (distance < nearest) {
+                nearest = distance;
+                leg = i;
+            }
         }
+
+        const from = path[leg];
+        const to = path[leg + 1];
+        const sameFrame = from.altitudeFrame === to.altitudeFrame && to.type !== 'land';
+        this.insertWaypoints([{
+            lat: latlng.lat,
+            lng: latlng.lng,
+            altitude: sameFrame ? (from.altitude + to.altitude) / 2 : null,
+            altitudeFrame: sameFrame ? from.altitudeFrame : this.altitudeFrame
+        }], this.waypoints.indexOf(to));
+        this.recordHistory(`Insert waypoint before ${this.waypointTitle(to)}`);
     }
 
     deleteWaypoint(waypoint) {
         const index = this.waypoints.indexOf(waypoint);
         if (index > -1) {
+            const title = this.waypointTitle(waypoint);
             this.waypoints.splice(index, 1);
             
             // Remove marker
@@ -330,26 +839,14 @@ class MissionPlanner {
             this.updateWaypointList();
             this.updateMissionSummary();
             this.updateActionButtons();
+            this.recordHistory(`Delete ${title}`);
         }
     }
 
     updateMarkers() {
-        this.markers.forEach((markerObj, index) => {
-            const waypoint = markerObj.waypoint;
-            const iconColor = waypoint.type === 'home' ? '#10b981' : 
-                             waypoint.type === 'rtl' ? '#f59e0b' : '#3b82f6';
-            
-            const icon = L.divIcon({
-                className: 'custom-waypoint-marker',
-                html: `<div style="background-color: ${iconColor}; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px;">
-                        ${waypoint.type === 'home' ? 'H' : waypoint.type === 'rtl' ? 'R' : index + 1}
-                       </div>`,
-                iconSize: [24, 24],
-                iconAnchor: [12, 12]
-            });
-            
-            markerObj.marker.setIcon(icon);
-            markerObj.marker.setPopupContent(this.createWaypointPopup(waypoint));
+        this.markers.forEach(markerObj => {
+            markerObj.marker.setIcon(this.waypointIcon(markerObj.waypoint));
+            markerObj.marker.setPopupContent(this.createWaypointPopup(markerObj.waypoint));
         });
     }
 
@@ -358,35 +855,34 @@ class MissionPlanner {
         
         if (this.waypoints.length === 0) {
             list.innerHTML = '<div class="empty-waypoints"><p>Click on the map to add waypoints</p></div>';
+            this.updateSelection();
             return;
         }
 
+        // Home and RTL are set from Mission Actions; everything else can change type in place
+        const selectable = Object.keys(WAYPOINT_TYPES).filter(type => type !== 'home' && type !== 'rtl');
+
         list.innerHTML = this.waypoints.map((wp, index) => `
-            <div class="waypoint-item ${wp.type === 'home' ? 'home-point' : wp.type === 'rtl' ? 'rtl-point' : ''}" data-index="${index}">
+            <div class="waypoint-item ${wp.type === 'home' ? 'home-point' : wp.type === 'rtl' ? 'rtl-point' : ''} ${WaypointTypes.isPath(wp.type) ? '' : 'command-item'}" data-index="${index}">
                 <div class="waypoint-header">
                     <div>
+                        ${wp.type === 'home' || wp.type === 'rtl' ? '' : '<span class="drag-handle" draggable="true" title="Drag to reorder">⋮⋮</span>'}
                         <span class="waypoint-number">
-                            ${wp.type === 'home' ? 'Home Point' : wp.type === 'rtl' ? 'RTL' : `Waypoint ${index + 1}`}
+                            ${wp.type === 'home' ? 'Home Point' : wp.type === 'rtl' ? 'RTL' : `${index + 1}.`}
                         </span>
-                        ${wp.type === 'waypoint' ? `<span class="waypoint-type">${wp.type}</span>` : ''}
+                        ${selectable.includes(wp.type) ? `
+                            <select class="waypoint-type-select" onchange="missionPlanner.changeWaypointType(${index}, this.value)">
+                                ${selectable.map(type => `<option value="${type}" ${type === wp.type ? 'selected' : ''}>${WAYPOINT_TYPES[type].label}</option>`).join('')}
+                            </select>` : ''}
+                        ${wp.pattern ? `<span class="waypoint-type">${wp.pattern}</span>` : ''}
                     </div>
                     <div class="waypoint-actions">
                         <button onclick="missionPlanner.deleteWaypoint(missionPlanner.waypoints[${index}])" class="delete">Delete</button>
                     </div>
                 </div>
                 <div class="waypoint-details">
-                    <div class="waypoint-detail">
-                        <span class="detail-label">Altitude (m)</span>
-                        <input type="number" value="${wp.altitude}" 
-                            onchange="missionPlanner.updateWaypointProperty(${index}, 'altitude', this.value)" 
-                            step="1" min="0">
-                    </div>
-                    <div class="waypoint-detail">
-                        <span class="detail-label">Speed (m/s)</span>
-                        <input type="number" value="${wp.speed}" 
-                            onchange="missionPlanner.updateWaypointProperty(${index}, 'speed', this.value)" 
-                            step="0.1" min="0">
-                    </div>
+                    ${WaypointTypes.get(wp.type).fields.map(name => this.waypointField(wp, index, name)).join('')}
+                    ${WaypointTypes.isLocated(wp.type) ? `
                     <div class="waypoint-detail">
                         <span class="detail-label">Lat</span>
                         <span class="detail-value">${wp.lat.toFixed(6)}</span>
@@ -394,18 +890,150 @@ class MissionPlanner {
                     <div class="waypoint-detail">
                         <span class="detail-label">Lon</span>
                         <span class="detail-value">${wp.lng.toFixed(6)}</span>
-                    </div>
+                    </div>` : ''}
                 </div>
+                <div class="waypoint-wind" id="waypoint-wind-${index}"></div>
             </div>
         `).join('');
+
+        list.querySelectorAll('.waypoint-item').forEach(item => this.setupWaypointItem(item));
+        this.updateWaypointWind();
+        this.updateSelection();
+    }
+
+    // Click (shift-click to add) selects a list entry; its handle drags it to a new position
+    setupWaypointItem(item) {
+        const index = parseInt(item.dataset.index, 10);
+
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('input, select, button')) return;
+            this.selectWaypoint(this.waypoints[index], e.shiftKey);
+        });
+
+        const handle = item.querySelector('.drag-handle');
+        if (handle) {
+            handle.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', String(index));
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setDragImage(item, 20, 20);
+                item.classList.add('dragging');
+            });
+            handle.addEventListener('dragend', () => item.classList.remove('dragging'));
+        }
+
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-target');
+            const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            if (!isNaN(from)) this.moveWaypoint(from, index);
+        });
+    }
+
+    // Ground speed and crab angle on the leg into each waypoint
+    updateWaypointWind() {
+        const legs = this.windLegs();
+
+        this.waypoints.forEach((wp, index) => {
+            const element = document.getElementById(`waypoint-wind-${index}`);
+            if (!element) return;
+
+            const leg = legs.find(l => l.to === wp);
+            if (!leg || leg.wind.speed === 0) {
+                element.innerHTML = '';
+                return;
+            }
+
+            const crab = Math.round(leg.crab);
+            element.innerHTML = `
+                <span>GS ${leg.groundSpeed.toFixed(1)} m/s</span>
+                <span>${leg.headwind >= 0 ? 'Head' : 'Tail'} ${Math.abs(leg.headwind).toFixed(1)} m/s</span>
+                <span>Cross ${Math.abs(leg.crosswind).toFixed(1)} m/s</span>
+                <span>Crab ${Math.abs(crab)}°${crab === 0 ? '' : crab > 0 ? ' R' : ' L'}</span>
+            `;
+            element.classList.toggle('low', leg.gustGroundSpeed < WIND_LOW_GROUND_SPEED);
+        });
+    }
+
+    waypointField(wp, index, name) {
+        const field = WAYPOINT_FIELDS[name];
+        const value = field.param ? wp.params?.[name] : wp[name];
+
+        if (field.options) {
+            return `
+                <div class="waypoint-detail">
+                    <span class="detail-label">${field.label}</span>
+                    <select onchange="missionPlanner.updateWaypointProperty(${index}, '${name}', this.value)">
+                        ${Object.entries(field.options).map(([option, label]) =>
+                            `<option value="${option}" ${option === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>`;
+        }
+
+        return `
+            <div class="waypoint-detail">
+                <span class="detail-label">${field.label}</span>
+                <input type="number" value="${value ?? ''}" ${field.placeholder ? `placeholder="${field.placeholder}"` : ''}
+                    onchange="missionPlanner.updateWaypointProperty(${index}, '${name}', this.value)" 
+                    step="${field.step}" ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}>
+            </div>`;
     }
 
     updateWaypointProperty(index, property, value) {
-        if (this.waypoints[index]) {
-            this.waypoints[index][property] = parseFloat(value);
-            this.updateMissionSummary();
-            this.drawElevationProfile();
+        const wp = this.waypoints[index];
+        if (!wp) return;
+
+        const field = WAYPOINT_FIELDS[property];
+        const parsed = field?.options ? value : parseFloat(value);
+        if (field?.param) {
+            wp.params = { ...wp.params, [property]: parsed };
+        } else {
+            // A blank speed inherits the one set earlier in the mission
+            wp[property] = property === 'speed' && isNaN(parsed) ? null : parsed;
         }
+
+        this.updateMarkers();
+        this.updateMissionSummary();
+        this.drawElevationProfile();
+        this.recordHistory(`Edit ${this.waypointTitle(wp)}`);
+    }
+
+    changeWaypointType(index, type) {
+        const wp = this.waypoints[index];
+        if (!wp) return;
+
+        const title = this.waypointTitle(wp);
+        wp.type = type;
+        wp.params = WaypointTypes.params(type, wp.params);
+
+        // Commands added from the list have no position until they need one
+        if (WaypointTypes.isLocated(type) && (wp.lat === null || wp.lng === null)) {
+            const center = this.map.getCenter();
+            wp.lat = center.lat;
+            wp.lng = center.lng;
+        }
+
+        this.rebuildMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.recordHistory(`Change ${title} to ${WaypointTypes.get(type).label}`);
+    }
+
+    // Appends a command that acts where the aircraft is (speed, camera, gimbal, jump, delay)
+    addCommand(type) {
+        this.insertWaypoints([{
+            lat: null,
+            lng: null,
+            type: type,
+            speed: type === 'change-speed' ? this.defaultSpeed || this.selectedDrone?.cruiseSpeed || 15 : null,
+            params: WaypointTypes.params(type)
+        }], this.patternInsertIndex());
+        this.recordHistory(`Add ${WaypointTypes.get(type).label}`);
     }
 
     // Path Management
@@ -418,15 +1046,17 @@ class MissionPlanner {
             this.map.removeLayer(this.smoothPathPolyline);
         }
 
-        if (this.waypoints.length < 2) return;
+        const path = this.pathWaypoints();
+        if (path.length < 2) return;
 
         // Draw straight path
-        const pathCoords = this.waypoints.map(wp => [wp.lat, wp.lng]);
+        const pathCoords = path.map(wp => [wp.lat, wp.lng]);
         this.pathPolyline = L.polyline(pathCoords, {
             color: '#3b82f6',
             weight: 2,
             opacity: 0.4,
-            dashArray: '5, 10'
+            dashArray: '5, 10',
+            bubblingMouseEvents: false
         }).addTo(this.map);
 
         // Draw smooth path
@@ -434,19 +1064,32 @@ class MissionPlanner {
         this.smoothPathPolyline = L.polyline(smoothPath, {
             color: '#3b82f6',
             weight: 3,
-            opacity: 0.8
+            opacity: 0.8,
+            bubblingMouseEvents: false
         }).addTo(this.map);
 
-        this.drawElevationProfile();
+        // Clicking the route inserts a waypoint, unless a shape is being drawn
+        [this.pathPolyline, this.smoothPathPolyline].forEach(line => {
+            line.on('click', (e) => {
+                if (this.drawTool.active) {
+                    this.drawTool.click(e.latlng.lat, e.latlng.lng);
+                } else {
+                    this.insertOnPath(e.latlng);
+                }
+            });
+        });
+
+        this.drawElevationProfile();
     }
 
     generateSmoothPath() {
-        if (this.waypoints.length < 3) {
-            return this.waypoints.map(wp => [wp.lat, wp.lng]);
+        const path = this.pathWaypoints();
+        if (path.length < 3) {
+            return path.map(wp => [wp.lat, wp.lng]);
         }
 
         // Catmull-Rom spline interpolation
-        const points = this.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng }));
+        const points = path.map(wp => ({ lat: wp.lat, lng: wp.lng }));
         const smoothPoints = [];
         const segmentsPerPoint = 20;
 
@@ -483,6 +1126,535 @@ class MissionPlanner {
         );
     }
 
+    // Drawing Panels
+    // Each panel that draws on the map has a draw/cancel toggle, a finish button and a hint line
+    updateDrawControls() {
+        const panels = [
+            { owner: 'fence', draw: 'draw-fence-btn', finish: 'finish-fence-btn', hint: 'fence-hint', label: 'Draw Fence' },
+            { owner: 'survey', draw: 'draw-survey-btn', finish: 'finish-survey-btn', hint: 'survey-hint', label: 'Draw Area' },
+            {
+                owner: 'pattern',
+                draw: 'draw-pattern-btn',
+                finish: 'finish-pattern-btn',
+                hint: 'pattern-hint',
+                label: document.getElementById('pattern-type').value === 'orbit' ? 'Place Orbit Center' : 'Draw Corridor'
+            }
+        ];
+
+        panels.forEach(panel => {
+            const drawing = this.drawTool.isDrawing(panel.owner);
+            document.getElementById(panel.draw).textContent = drawing ? 'Cancel Drawing' : panel.label;
+            document.getElementById(panel.finish).disabled = !drawing || !this.drawTool.complete;
+            document.getElementById(panel.hint).textContent = drawing ? this.drawTool.hint() : '';
+        });
+    }
+
+    // Geofence Management
+    startFence() {
+        const type = document.getElementById('fence-type').value;
+        const floor = parseFloat(document.getElementById('fence-floor').value) || 0;
+        const ceilingValue = document.getElementById('fence-ceiling').value;
+        const ceiling = ceilingValue === '' ? Infinity : parseFloat(ceilingValue);
+
+        if (isNaN(ceiling) || ceiling <= floor) {
+            alert('Fence ceiling must be above its floor');
+            return;
+        }
+
+        const color = type === 'inclusion' ? '#10b981' : '#ef4444';
+        this.drawTool.start('fence', document.getElementById('fence-shape').value, color, (shape) => {
+            const fence = Geofence.create(type, shape.shape, floor, ceiling);
+            const sameType = this.geofences.filter(f => f.type === type).length;
+
+            fence.name = `${type === 'inclusion' ? 'Inclusion' : 'Exclusion'} ${sameType + 1}`;
+            fence.points = shape.points;
+            fence.center = shape.center;
+            fence.radius = shape.radius;
+
+            this.geofences.push(fence);
+            this.updateGeofences();
+            this.recordHistory(`Add ${fence.name}`);
+        });
+    }
+
+    deleteGeofence(index) {
+        const [fence] = this.geofences.splice(index, 1);
+        if (!fence) return;
+
+        this.updateGeofences();
+        this.recordHistory(`Delete ${fence.name}`);
+    }
+
+    updateGeofenceProperty(index, property, value) {
+        const fence = this.geofences[index];
+        if (!fence) return;
+
+        if (property === 'ceiling' && value === '') {
+            fence.ceiling = Infinity;
+        } else {
+            fence[property] = parseFloat(value) || 0;
+        }
+        this.updateGeofences();
+        this.recordHistory(`Edit ${fence.name}`);
+    }
+
+    // Redraw fences, the list and the warnings after any change
+    updateGeofences() {
+        this.drawGeofences();
+        this.updateGeofenceList();
+        this.updateWarnings();
+    }
+
+    drawGeofences() {
+        this.fenceLayers.forEach(layer => this.map.removeLayer(layer));
+
+        this.fenceLayers = this.geofences.map(fence => {
+            const style = {
+                color: fence.type === 'inclusion' ? '#10b981' : '#ef4444',
+                weight: 2,
+                fillOpacity: fence.type === 'inclusion' ? 0.05 : 0.2
+            };
+            const layer = fence.shape === 'circle' ?
+                L.circle([fence.center.lat, fence.center.lng], { ...style, radius: fence.radius }) :
+                L.polygon(fence.points.map(p => [p.lat, p.lng]), style);
+
+            return layer
+                .bindTooltip(`${this.escapeHtml(fence.name)} (${Geofence.altitudeBand(fence)})`, { sticky: true })
+                .addTo(this.map);
+        });
+    }
+
+    drawRallyPoints() {
+        this.rallyLayers.forEach(layer => this.map.removeLayer(layer));
+
+        this.rallyLayers = this.rallyPoints.map((point, i) => L.circleMarker([point.lat, point.lng], {
+            radius: 6,
+            color: '#a855f7',
+            weight: 2,
+            fillColor: '#a855f7',
+            fillOpacity: 0.5
+        }).bindTooltip(`Rally point ${i + 1} (${point.altitude} m)`).addTo(this.map));
+    }
+
+    updateGeofenceList() {
+        const list = document.getElementById('geofence-list');
+
+        if (this.geofences.length === 0) {
+            list.innerHTML = '<div class="empty-waypoints"><p>No geofences</p></div>';
+            return;
+        }
+
+        list.innerHTML = this.geofences.map((fence, index) => `
+            <div class="waypoint-item geofence-item ${fence.type}">
+                <div class="waypoint-header">
+                    <div>
+                        <span class="waypoint-number">${this.escapeHtml(fence.name)}</span>
+                        <span class="waypoint-type">${fence.type} ${fence.shape}</span>
+                    </div>
+                    <div class="waypoint-actions">
+                        <button onclick="missionPlanner.deleteGeofence(${index})" class="delete">Delete</button>
+                    </div>
+                </div>
+                <div class="waypoint-details">
+                    <div class="waypoint-detail">
+                        <span class="detail-label">Floor (m)</span>
+                        <input type="number" value="${fence.floor}" 
+                            onchange="missionPlanner.updateGeofenceProperty(${index}, 'floor', this.value)" 
+                            step="1" min="0">
+                    </div>
+                    <div class="waypoint-detail">
+                        <span class="detail-label">Ceiling (m)</span>
+                        <input type="number" value="${isFinite(fence.ceiling) ? fence.ceiling : ''}" placeholder="None"
+                            onchange="missionPlanner.updateGeofenceProperty(${index}, 'ceiling', this.value)" 
+                            step="1" min="0">
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Terrain
+    async loadTerrain() {
+        try {
+            const records = await TerrainStore.list();
+            records.forEach(record => this.terrain.add(record));
+        } catch (error) {
+            console.error('Could not load terrain tiles:', error);
+        }
+        this.updateTerrainList();
+        this.updateMissionSummary();
+        this.drawElevationProfile();
+    }
+
+    async importTerrain(files) {
+        for (const file of files) {
+            try {
+                const record = TerrainModel.parseHgt(file.name, await file.arrayBuffer());
+                await TerrainStore.save(record);
+                this.terrain.add(record);
+            } catch (error) {
+                console.error('Terrain import failed:', error);
+                alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        }
+        this.updateTerrainList();
+        this.updateMissionSummary();
+        this.drawElevationProfile();
+    }
+
+    async deleteTerrainTile(name) {
+        try {
+            await TerrainStore.remove(name);
+        } catch (error) {
+            console.error('Could not delete terrain tile:', error);
+        }
+        this.terrain.remove(name);
+        this.updateTerrainList();
+        this.updateMissionSummary();
+        this.drawElevationProfile();
+    }
+
+    updateTerrainList() {
+        const list = document.getElementById('terrain-list');
+        const tiles = Array.from(this.terrain.tiles.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+        if (tiles.length === 0) {
+            list.innerHTML = '<div class="empty-waypoints"><p>No terrain tiles imported</p></div>';
+            return;
+        }
+
+        list.innerHTML = tiles.map(tile => `
+            <div class="terrain-item">
+                <span class="waypoint-number">${tile.name}</span>
+                <span class="waypoint-type">${tile.size === 3601 ? '1' : '3'} arc-second</span>
+                <div class="waypoint-actions">
+                    <button onclick="missionPlanner.deleteTerrainTile('${tile.name}')" class="delete">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Ground elevation at launch: the zero for altitudes relative to home
+    homeElevation() {
+        const home = this.homePoint || this.pathWaypoints()[0];
+        return home ? this.terrain.elevation(home.lat, home.lng) : null;
+    }
+
+    relativeAltitude(wp) {
+        return this.terrain.toRelative(wp.altitude, wp.altitudeFrame, wp.lat, wp.lng, this.homeElevation());
+    }
+
+    // Missing elevation data, and legs that pass closer to the ground than the minimum clearance
+    terrainWarnings() {
+        const path = this.pathWaypoints();
+        if (path.length === 0) return [];
+
+        const warnings = [];
+        const missing = new Set();
+        const framed = path.some(wp => wp.altitudeFrame && wp.altitudeFrame !== 'relative');
+        path.forEach(wp => {
+            if (this.terrain.elevation(wp.lat, wp.lng) === null) {
+                missing.add(TerrainModel.tileName(wp.lat, wp.lng));
+            }
+        });
+
+        if (missing.size > 0 && (framed || !this.terrain.empty)) {
+            warnings.push({
+                type: framed ? 'error' : 'info',
+                message: `No terrain data for ${Array.from(missing).join(', ')} - ` +
+                    (framed ? 'AMSL and AGL altitudes are flown as heights above home' : 'terrain clearance not checked')
+            });
+        }
+
+        if (path.length < 2 || this.terrain.empty) return warnings;
+
+        // Worst clearance on each leg
+        const worst = new Map();
+        this.terrain.profile(path, this.homeElevation()).samples.forEach(sample => {
+            if (sample.clearance === null) return;
+            const current = worst.get(sample.leg);
+            if (!current || sample.clearance < current.clearance) worst.set(sample.leg, sample);
+        });
+
+        worst.forEach((sample, leg) => {
+            if (sample.clearance >= this.terrainClearance) return;
+
+            const route = `Path from ${this.waypointTitle(path[leg])} to ${this.waypointTitle(path[leg + 1])}`;
+            warnings.push({
+                type: 'error',
+                message: sample.clearance < 0 ?
+                    `${route} goes ${(-sample.clearance).toFixed(0)} m into terrain` :
+                    `${route} clears terrain by only ${sample.clearance.toFixed(0)} m (minimum ${this.terrainClearance} m)`
+            });
+        });
+        return warnings;
+    }
+
+    // Survey Grid
+    loadSurveyCameras() {
+        const select = document.getElementById('survey-camera');
+        select.innerHTML = Object.entries(SURVEY_CAMERAS)
+            .map(([id, camera]) => `<option value="${id}">${camera.name}</option>`)
+            .join('') + '<option value="custom">Custom camera</option>';
+        this.updateSurveyResolution('altitude');
+    }
+
+    surveyCamera() {
+        const id = document.getElementById('survey-camera').value;
+        if (id !== 'custom') return SURVEY_CAMERAS[id];
+
+        const value = (field) => parseFloat(document.getElementById(`survey-${field}`).value) || 0;
+        return {
+            name: 'Custom',
+            sensorWidth: value('sensor-width'),
+            sensorHeight: value('sensor-height'),
+            focalLength: value('focal-length'),
+            imageWidth: value('image-width'),
+            imageHeight: value('image-height')
+        };
+    }
+
+    // Altitude and GSD are two views of the same setting; whichever was edited drives the other
+    updateSurveyResolution(source) {
+        const camera = this.surveyCamera();
+        if (!camera.focalLength || !camera.sensorWidth || !camera.imageWidth) return;
+
+        const altitudeInput = document.getElementById('survey-altitude');
+        const gsdInput = document.getElementById('survey-gsd');
+        if (source === 'gsd') {
+            altitudeInput.value = SurveyGrid.altitudeForGsd(camera, parseFloat(gsdInput.value) || 0).toFixed(1);
+        } else {
+            gsdInput.value = SurveyGrid.gsd(camera, parseFloat(altitudeInput.value) || 0).toFixed(2);
+        }
+    }
+
+    startSurveyArea() {
+        this.drawTool.start('survey', 'polygon', '#a855f7', (shape) => {
+            this.surveyArea = shape.points;
+            this.drawSurveyArea();
+            this.recordHistory('Draw survey area');
+        });
+    }
+
+    drawSurveyArea() {
+        if (this.surveyLayer) {
+            this.map.removeLayer(this.surveyLayer);
+            this.surveyLayer = null;
+        }
+
+        if (this.surveyArea) {
+            this.surveyLayer = L.polygon(this.surveyArea.map(p => [p.lat, p.lng]), {
+                color: '#a855f7',
+                weight: 2,
+                dashArray: '4, 6',
+                fillOpacity: 0.08,
+                interactive: false
+            }).addTo(this.map);
+        }
+        document.getElementById('generate-survey-btn').disabled = !this.surveyArea;
+    }
+
+    generateSurvey() {
+        if (!this.surveyArea) return;
+
+        const camera = this.surveyCamera();
+        if (!(camera.sensorWidth > 0 && camera.sensorHeight > 0 && camera.focalLength > 0 &&
+              camera.imageWidth > 0 && camera.imageHeight > 0)) {
+            alert('Enter the sensor size, focal length and image size of the camera');
+            return;
+        }
+
+        const value = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const options = {
+            camera: camera,
+            altitude: value('survey-altitude'),
+            frontOverlap: value('survey-front-overlap'),
+            sideOverlap: value('survey-side-overlap'),
+            angle: value('survey-angle'),
+            turnaround: value('survey-turnaround')
+        };
+
+        let grid;
+        try {
+            grid = SurveyGrid.generate(this.surveyArea, options);
+        } catch (error) {
+            alert('Cannot generate survey: ' + error.message);
+            return;
+        }
+        if (grid.waypoints.length === 0) {
+            alert('The survey area is too small for a single flight line');
+            return;
+        }
+
+        this.survey = {
+            polygon: this.surveyArea,
+            cameraId: document.getElementById('survey-camera').value,
+            camera: camera,
+            altitude: options.altitude,
+            frontOverlap: options.frontOverlap,
+            sideOverlap: options.sideOverlap,
+            angle: options.angle,
+            turnaround: options.turnaround,
+            gsd: grid.gsd,
+            lineSpacing: grid.lineSpacing,
+            photoSpacing: grid.photoSpacing,
+            photoCount: grid.photoCount,
+            area: grid.area
+        };
+
+        // A new grid replaces the previous one
+        this.removePatternWaypoints('survey');
+        this.insertWaypoints(grid.waypoints.map(point => ({
+            lat: point.lat,
+            lng: point.lng,
+            altitude: options.altitude,
+            pattern: 'survey'
+        })), this.patternInsertIndex());
+        this.recordHistory('Generate survey grid');
+    }
+
+    // Puts a saved survey's settings back into the panel so it can be regenerated
+    loadSurveySettings(survey) {
+        const camera = survey.camera || {};
+        const preset = SURVEY_CAMERAS[survey.cameraId] ? survey.cameraId : 'custom';
+
+        document.getElementById('survey-camera').value = preset;
+        document.getElementById('survey-custom-camera').style.display = preset === 'custom' ? 'block' : 'none';
+        document.getElementById('survey-sensor-width').value = camera.sensorWidth || '';
+        document.getElementById('survey-sensor-height').value = camera.sensorHeight || '';
+        document.getElementById('survey-focal-length').value = camera.focalLength || '';
+        document.getElementById('survey-image-width').value = camera.imageWidth || '';
+        document.getElementById('survey-image-height').value = camera.imageHeight || '';
+        document.getElementById('survey-altitude').value = survey.altitude;
+        document.getElementById('survey-front-overlap').value = survey.frontOverlap;
+        document.getElementById('survey-side-overlap').value = survey.sideOverlap;
+        document.getElementById('survey-angle').value = survey.angle;
+        document.getElementById('survey-turnaround').value = survey.turnaround;
+        this.updateSurveyResolution('altitude');
+    }
+
+    updateSurveySummary() {
+        const survey = this.survey;
+        document.getElementById('survey-summary').style.display = survey ? 'block' : 'none';
+        if (!survey) return;
+
+        document.getElementById('summary-photos').textContent = survey.photoCount;
+        document.getElementById('summary-area').textContent = `${(survey.area / 10000).toFixed(2)} ha`;
+        document.getElementById('summary-gsd').textContent = `${survey.gsd.toFixed(2)} cm/px`;
+    }
+
+    // Inspection Patterns
+    startPattern() {
+        if (document.getElementById('pattern-type').value === 'orbit') {
+            this.drawTool.start('pattern', 'point', '#f59e0b', (shape) => this.generateOrbit(shape.center));
+        } else {
+            this.drawTool.start('pattern', 'polyline', '#f59e0b', (shape) => this.generateCorridor(shape.points));
+        }
+    }
+
+    generateOrbit(center) {
+        const value = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const index = this.patternInsertIndex();
+
+        // Enter the orbit on the side facing the previous waypoint
+        const previous = this.waypoints.slice(0, index).reverse().find(wp => WaypointTypes.isLocated(wp.type));
+        const startBearing = previous ?
+            GeoUtils.bearing(center.lat, center.lng, previous.lat, previous.lng) : 0;
+
+        let points;
+        try {
+            points = MissionPatterns.orbit(center, {
+                radius: value('orbit-radius'),
+                turns: value('orbit-turns'),
+                altitude: value('orbit-altitude') || this.defaultAltitude,
+                altitudeStep: value('orbit-altitude-step'),
+                clockwise: document.getElementById('orbit-direction').value === 'cw',
+                startBearing: startBearing,
+                poiAltitude: value('orbit-poi-altitude')
+            });
+        } catch (error) {
+            alert('Cannot generate orbit: ' + error.message);
+            return;
+        }
+
+        this.insertWaypoints(points.map(point => ({ ...point, pattern: 'orbit' })), index);
+        this.recordHistory('Generate orbit');
+    }
+
+    generateCorridor(line) {
+        const value = (id) => parseFloat(document.getElementById(id).value) || 0;
+
+        let points;
+        try {
+            points = MissionPatterns.corridor(line, {
+                width: value('corridor-width'),
+                passes: value('corridor-passes'),
+                altitude: value('corridor-altitude') || this.defaultAltitude
+            });
+        } catch (error) {
+            alert('Cannot generate corridor: ' + error.message);
+            return;
+        }
+
+        this.insertWaypoints(points.map(point => ({ ...point, pattern: 'corridor' })), this.patternInsertIndex());
+        this.recordHistory('Generate corridor');
+    }
+
+    // Waypoints, straight legs and the smoothed path checked against every fence
+    geofenceWarnings() {
+        if (this.geofences.length === 0) return [];
+
+        const warnings = [];
+        const error = (message) => warnings.push({ type: 'error', message: message });
+
+        // Fence floors and ceilings are heights above home
+        const path = this.pathWaypoints();
+        const heights = path.map(wp => ({ lat: wp.lat, lng: wp.lng, altitude: this.relativeAltitude(wp) }));
+        heights.forEach((point, i) => {
+            const violation = Geofence.violation(this.geofences, point.lat, point.lng, point.altitude);
+            if (violation) error(`${this.waypointTitle(path[i])} ${Geofence.describe(violation)}`);
+        });
+
+        const legs = path.length - 1;
+        const smoothPath = this.generateSmoothPath();
+        const pointsPerLeg = legs > 0 ? (smoothPath.length - 1) / legs : 0;
+
+        for (let i = 0; i < legs; i++) {
+            const from = heights[i];
+            const to = heights[i + 1];
+            const leg = `Path from ${this.waypointTitle(path[i])} to ${this.waypointTitle(path[i + 1])}`;
+
+            const straight = Geofence.segmentViolation(this.geofences, from, to);
+            if (straight) {
+                error(`${leg} ${Geofence.describe(straight)}`);
+                continue;
+            }
+
+            // The smoothed curve bulges past the straight leg, with altitude blended linearly
+            for (let k = 0; k < pointsPerLeg; k++) {
+                const t0 = k / pointsPerLeg;
+                const t1 = (k + 1) / pointsPerLeg;
+                const a = smoothPath[i * pointsPerLeg + k];
+                const b = smoothPath[i * pointsPerLeg + k + 1];
+                const curved = Geofence.segmentViolation(this.geofences,
+                    { lat: a[0], lng: a[1], altitude: from.altitude + (to.altitude - from.altitude) * t0 },
+                    { lat: b[0], lng: b[1], altitude: from.altitude + (to.altitude - from.altitude) * t1 });
+                if (curved) {
+                    error(`Smoothed ${leg.toLowerCase()} ${Geofence.describe(curved)}`);
+                    break;
+                }
+            }
+        }
+
+        if (warnings.length === 0) {
+            warnings.push({
+                type: 'success',
+                message: `Mission stays within ${this.geofences.length} geofence${this.geofences.length === 1 ? '' : 's'}`
+            });
+        }
+        return warnings;
+    }
+
     // Distance Calculation
     calculateDistance(lat1, lng1, lat2, lng2) {
         // Haversine formula
@@ -501,72 +1673,255 @@ class MissionPlanner {
     }
 
     getTotalDistance() {
-        if (this.waypoints.length < 2) return 0;
+        const path = this.pathWaypoints();
+        if (path.length < 2) return 0;
 
         let totalDistance = 0;
-        for (let i = 0; i < this.waypoints.length - 1; i++) {
-            const wp1 = this.waypoints[i];
-            const wp2 = this.waypoints[i + 1];
+        for (let i = 0; i < path.length - 1; i++) {
+            const wp1 = path[i];
+            const wp2 = path[i + 1];
             totalDistance += this.calculateDistance(wp1.lat, wp1.lng, wp2.lat, wp2.lng);
         }
 
         return totalDistance;
     }
 
+    // The mission as flown, for the energy model: legs between path waypoints and holds for hovers,
+    // loiters and delays, with jumps unrolled. Altitudes are heights above home.
+    flightSegments() {
+        const segments = [];
+        const jumps = {};
+        let speed = this.defaultSpeed || this.selectedDrone.cruiseSpeed;
+        let previous = null;
+        let previousWaypoint = null;
+
+        for (let i = 0, steps = 0; i < this.waypoints.length && steps < 10000; i++, steps++) {
+            const wp = this.waypoints[i];
+            const params = wp.params || {};
+            if (wp.speed > 0) speed = wp.speed;
+
+            if (WaypointTypes.isPath(wp.type)) {
+                const point = {
+                    lat: wp.lat,
+                    lng: wp.lng,
+                    altitude: wp.type === 'land' ? 0 : this.relativeAltitude(wp)
+                };
+                // Climb out from the ground at the first waypoint
+                const from = previous || { ...point, altitude: 0 };
+                segments.push({ type: 'leg', from: from, to: point, speed: speed, waypoints: [previousWaypoint || wp, wp] });
+                previous = point;
+                previousWaypoint = wp;
+
+                if (wp.type === 'rtl') {
+                    segments.push({ type: 'leg', from: point, to: { ...point, altitude: 0 }, speed: speed, waypoints: [wp, wp] });
+                }
+            }
+
+            let seconds = wp.hoverTime || 0;
+            if (wp.type === 'loiter-time') seconds += params.loiterTime || 0;
+            if (wp.type === 'loiter-turns') seconds += (params.loiterTurns || 0) * 2 * Math.PI * (params.loiterRadius || 0) / speed;
+            if (wp.type === 'delay') seconds += params.delay || 0;
+            if (seconds > 0 && previous) {
+                segments.push({ type: 'hold', point: previous, seconds: seconds });
+            }
+
+            // Jumps fly everything from their target again, as many times as they repeat
+            if (wp.type === 'jump' && (jumps[i] || 0) < (params.jumpRepeat || 0)) {
+                jumps[i] = (jumps[i] || 0) + 1;
+                i = Math.max(0, Math.min(this.waypoints.length - 1, (params.jumpTarget || 1) - 1)) - 1;
+            }
+        }
+        return segments;
+    }
+
+    // Battery use along the mission; see MissionEnergy.estimate
+    estimateEnergy() {
+        const home = this.homePoint || this.pathWaypoints()[0];
+        if (!home) return null;
+
+        return MissionEnergy.estimate(this.selectedDrone, this.flightSegments(), this.windModel(), home, this.safetyReserve);
+    }
+
+    windModel() {
+        return new WindModel(this.windSpeed || 0, this.windDirection || 0, this.windGust, this.windLayers);
+    }
+
+    // Wind on each leg of the route, once per pair of waypoints: ground speed and crab in the steady
+    // wind at the leg's mid height, and the ground speed left if a gust strengthens it
+    windLegs() {
+        const home = this.homePoint || this.pathWaypoints()[0];
+        if (!this.selectedDrone || !home) return [];
+
+        const model = SimulationModel.create(this.selectedDrone, home.lat, home.lng);
+        const windModel = this.windModel();
+        const legs = [];
+        const flown = new Set();
+
+        this.flightSegments().forEach(segment => {
+            if (segment.type !== 'leg') return;
+
+            const { from, to } = segment;
+            const key = `${this.waypoints.indexOf(segment.waypoints[0])}-${this.waypoints.indexOf(segment.waypoints[1])}`;
+            if (flown.has(key) || GeoUtils.distance(from.lat, from.lng, to.lat, to.lng) < 1) return;
+            flown.add(key);
+
+            const altitude = (from.altitude + to.altitude) / 2;
+            const wind = windModel.at(altitude);
+            const bearing = GeoUtils.bearing(from.lat, from.lng, to.lat, to.lng);
+            const steady = MissionEnergy.speeds(model, bearing, segment.speed, wind);
+            const gusting = MissionEnergy.speeds(model, bearing, segment.speed,
+                { speed: wind.speed + wind.gust, direction: wind.direction });
+
+            legs.push({
+                from: segment.waypoints[0],
+                to: segment.waypoints[1],
+                altitude: altitude,
+                wind: wind,
+                headwind: -steady.tailwind,
+                crosswind: steady.crosswind,
+                groundSpeed: steady.groundSpeed,
+                crab: steady.crab,
+                gustGroundSpeed: Math.min(steady.groundSpeed, gusting.groundSpeed)
+            });
+        });
+        return legs;
+    }
+
+    // Legs that crawl in gusts, and wind along the route stronger than the drone is rated for.
+    // Legs the wind stops altogether are reported with the energy estimate.
+    windWarnings() {
+        const warnings = [];
+        const legs = this.windLegs();
+        const legName = (leg) => `${this.waypointTitle(leg.from)} to ${this.waypointTitle(leg.to)}`;
+
+        const slow = legs.filter(leg => leg.groundSpeed >= ENERGY_MIN_GROUND_SPEED &&
+            leg.gustGroundSpeed < WIND_LOW_GROUND_SPEED);
+        if (slow.length > 0) {
+            const slowest = slow.reduce((min, leg) => leg.gustGroundSpeed < min.gustGroundSpeed ? leg : min);
+            warnings.push({
+                type: 'warning',
+                message: `Ground speed drops to ${Math.max(0, slowest.gustGroundSpeed).toFixed(1)} m/s in gusts from ${legName(slowest)}` +
+                    (slow.length > 1 ? ` (${slow.length} slow legs)` : '')
+            });
+        }
+
+        const altitudes = this.pathWaypoints().map(wp => this.relativeAltitude(wp));
+        if (altitudes.length > 0) {
+            const strongest = this.windModel().strongest(Math.max(0, Math.min(...altitudes)), Math.max(0, ...altitudes));
+            const limit = this.selectedDrone.windResistance || 10;
+            if (strongest.speed + strongest.gust > limit) {
+                warnings.push({
+                    type: strongest.speed > limit ? 'error' : 'warning',
+                    message: `Wind reaches ${strongest.speed.toFixed(1)} m/s gusting ${(strongest.speed + strongest.gust).toFixed(1)} m/s ` +
+                        `at ${strongest.altitude.toFixed(0)} m, beyond the drone's ${limit} m/s wind resistance`
+                });
+            }
+        }
+
+        return warnings;
+    }
+
+    addWindLayer() {
+        const top = this.windLayers.reduce((max, layer) => Math.max(max, layer.altitude), 0);
+        const wind = this.windModel().at(top);
+        this.windLayers.push({
+            altitude: top + 50,
+            speed: Math.round(wind.speed * 2) / 2,
+            direction: Math.round(wind.direction)
+        });
+        this.updateWindLayerList();
+        this.updateMissionSummary();
+        this.recordHistory('Add wind layer');
+    }
+
+    updateWindLayer(index, property, value) {
+        const layer = this.windLayers[index];
+        if (!layer) return;
+
+        layer[property] = parseFloat(value) || 0;
+        this.updateWindLayerList();
+        this.updateMissionSummary();
+        this.recordHistory(`Edit wind layer ${index + 1}`);
+    }
+
+    removeWindLayer(index) {
+        this.windLayers.splice(index, 1);
+        this.updateWindLayerList();
+        this.updateMissionSummary();
+        this.recordHistory(`Delete wind layer ${index + 1}`);
+    }
+
+    updateWindLayerList() {
+        const list = document.getElementById('wind-layer-list');
+
+        list.innerHTML = this.windLayers.map((layer, index) => `
+            <div class="wind-layer">
+                <label>At (m)<input type="number" value="${layer.altitude}" min="1" step="10"
+                    onchange="missionPlanner.updateWindLayer(${index}, 'altitude', this.value)"></label>
+                <label>Speed<input type="number" value="${layer.speed}" min="0" step="0.5"
+                    onchange="missionPlanner.updateWindLayer(${index}, 'speed', this.value)"></label>
+                <label>From (°)<input type="number" value="${layer.direction}" min="0" max="359" step="5"
+                    onchange="missionPlanner.updateWindLayer(${index}, 'direction', this.value)"></label>
+                <div class="waypoint-actions">
+                    <button onclick="missionPlanner.removeWindLayer(${index})" class="delete">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
     // Mission Summary Calculations
     updateMissionSummary() {
         const totalDistance = this.getTotalDistance();
+        this.updateSurveySummary();
         
         // Update distance
         document.getElementById('summary-distance').textContent = 
             `${(totalDistance / 1000).toFixed(2)} km`;
 
-        if (!this.selectedDrone || this.waypoints.length < 2) {
+        // Energy drawn leg by leg, including climbs, hovers, loiters, repeats and the wind
+        this.energy = this.selectedDrone && this.waypoints.length >= 2 ? this.estimateEnergy() : null;
+
+        if (!this.energy) {
             document.getElementById('summary-time').textContent = '0.0 min';
             document.getElementById('summary-battery').textContent = '0%';
             document.getElementById('summary-battery-available').textContent = 'N/A';
+            document.getElementById('summary-pnr').textContent = 'N/A';
             document.getElementById('summary-status').textContent = 
                 !this.selectedDrone ? 'No drone selected' : 'No waypoints';
+            this.drawPointOfNoReturn();
+            this.drawBatteryProfile();
+            this.updateWaypointWind();
             this.updateAnalysis();
             return;
         }
 
-        // Calculate flight time
-        const avgSpeed = this.defaultSpeed || this.selectedDrone.cruiseSpeed;
-        const windFactor = 1 + (this.windSpeed / avgSpeed) * 0.3; // Wind resistance factor
-        const adjustedSpeed = avgSpeed / windFactor;
-        const flightTime = (totalDistance / adjustedSpeed) / 60; // in minutes
-
-        // Add hover time
-        const totalHoverTime = this.waypoints.reduce((sum, wp) => sum + (wp.hoverTime || 0), 0) / 60;
-        const totalFlightTime = flightTime + totalHoverTime;
+        const energy = this.energy;
 
-        document.getElementById('summary-time').textContent = `${totalFlightTime.toFixed(1)} min`;
+        document.getElementById('summary-time').textContent = `${(energy.seconds / 60).toFixed(1)} min`;
 
-        // Calculate battery usage
-        let batteryRequired = 0;
-        if (this.selectedDrone.maxFlightTime) {
-            batteryRequired = (totalFlightTime / this.selectedDrone.maxFlightTime) * 100;
-        } else if (this.selectedDrone.batteryCapacity && this.selectedDrone.hoverCurrent) {
-            const maxFlightTime = (this.selectedDrone.batteryCapacity / 1000) / 
-                                  this.selectedDrone.hoverCurrent * 60 * 0.8;
-            batteryRequired = (totalFlightTime / maxFlightTime) * 100;
-        }
-
-        // Apply safety reserve
-        const batteryWithReserve = batteryRequired * (1 + this.safetyReserve / 100);
+        // Battery left above the landing reserve
+        const batteryRequired = 100 - energy.remaining;
+        const margin = energy.remaining - this.safetyReserve;
         
         document.getElementById('summary-battery').textContent = 
             `${batteryRequired.toFixed(1)}%`;
         document.getElementById('summary-battery-available').textContent = 
-            `${(100 - batteryWithReserve).toFixed(1)}%`;
+            `${margin.toFixed(1)}%`;
+
+        const pnr = energy.pointOfNoReturn;
+        document.getElementById('summary-pnr').textContent = pnr ?
+            `${(pnr.distance / 1000).toFixed(2)} km` : 'None';
+
+        this.drawPointOfNoReturn();
+        this.drawBatteryProfile();
+        this.updateWaypointWind();
 
         // Mission status
         const statusElement = document.getElementById('summary-status');
-        if (batteryWithReserve > 100) {
+        if (margin < 0 || energy.blocked.length > 0) {
             statusElement.textContent = 'CANNOT COMPLETE';
             statusElement.style.color = '#ef4444';
-        } else if (batteryWithReserve > 80) {
+        } else if (margin < 20) {
             statusElement.textContent = 'RISKY';
             statusElement.style.color = '#f59e0b';
         } else {
@@ -578,21 +1933,126 @@ class MissionPlanner {
         this.updateWarnings();
     }
 
+    // The last point on the route from which the aircraft can still make it home
+    drawPointOfNoReturn() {
+        if (this.pnrMarker) {
+            this.map.removeLayer(this.pnrMarker);
+            this.pnrMarker = null;
+        }
+
+        const pnr = this.energy?.pointOfNoReturn;
+        if (!pnr) return;
+
+        this.pnrMarker = L.circleMarker([pnr.lat, pnr.lng], {
+            radius: 7,
+            color: '#ef4444',
+            weight: 2,
+            fillColor: '#f59e0b',
+            fillOpacity: 0.9
+        }).addTo(this.map).bindTooltip(`Point of no return (${pnr.remaining.toFixed(0)}% battery)`);
+    }
+
+    // Battery remaining over distance, with the landing reserve and the point of no return
+    drawBatteryProfile() {
+        const canvas = document.getElementById('battery-chart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = canvas.offsetHeight;
+
+        ctx.fillStyle = '#252525';
+        ctx.fillRect(0, 0, width, height);
+
+        const energy = this.energy;
+        if (!energy || energy.distance === 0) {
+            ctx.fillStyle = '#707070';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No route to display', width / 2, height / 2);
+            return;
+        }
+
+        const xAt = (distance) => 40 + (width - 50) * (distance / energy.distance);
+        const yAt = (remaining) => height - 20 - (Math.max(0, remaining) / 100) * (height - 30);
+
+        // Draw grid and labels
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#a8a8a8';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const y = yAt(100 - i * 25);
+            ctx.beginPath();
+            ctx.moveTo(40, y);
+            ctx.lineTo(width - 10, y);
+            ctx.stroke();
+            ctx.fillText(`${100 - i * 25}%`, 35, y + 4);
+        }
+
+        // Draw reserve
+        ctx.strokeStyle = '#f59e0b';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(40, yAt(this.safetyReserve));
+        ctx.lineTo(width - 10, yAt(this.safetyReserve));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Draw remaining battery
+        ctx.strokeStyle = energy.remaining < this.safetyReserve ? '#ef4444' : '#10b981';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        energy.samples.forEach((sample, i) => {
+            if (i === 0) {
+                ctx.moveTo(xAt(sample.distance), yAt(sample.remaining));
+            } else {
+                ctx.lineTo(xAt(sample.distance), yAt(sample.remaining));
+            }
+        });
+        ctx.stroke();
+
+        // Draw point of no return
+        const pnr = energy.pointOfNoReturn;
+        if (pnr) {
+            ctx.strokeStyle = '#ef4444';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(xAt(pnr.distance), 10);
+            ctx.lineTo(xAt(pnr.distance), height - 20);
+            ctx.stroke();
+
+            ctx.fillStyle = '#ef4444';
+            ctx.textAlign = xAt(pnr.distance) > width / 2 ? 'right' : 'left';
+            ctx.fillText('PNR', xAt(pnr.distance) + (ctx.textAlign === 'right' ? -4 : 4), 20);
+        }
+
+        ctx.fillStyle = '#a8a8a8';
+        ctx.textAlign = 'center';
+        for (let i = 1; i <= 4; i++) {
+            const distance = energy.distance * i / 4;
+            const label = distance >= 1000 ? `${(distance / 1000).toFixed(1)}km` : `${distance.toFixed(0)}m`;
+            ctx.fillText(label, xAt(distance) - (i === 4 ? 12 : 0), height - 4);
+        }
+    }
+
     updateAnalysis() {
         document.getElementById('analysis-waypoints').textContent = this.waypoints.length;
+        const path = this.pathWaypoints();
         document.getElementById('analysis-segments').textContent = 
-            Math.max(0, this.waypoints.length - 1);
+            Math.max(0, path.length - 1);
 
-        if (this.waypoints.length > 0) {
-            const avgAltitude = this.waypoints.reduce((sum, wp) => sum + wp.altitude, 0) / 
-                               this.waypoints.length;
+        if (path.length > 0) {
+            const avgAltitude = path.reduce((sum, wp) => sum + this.relativeAltitude(wp), 0) / 
+                               path.length;
             document.getElementById('analysis-altitude').textContent = 
                 `${avgAltitude.toFixed(0)} m`;
 
             // Calculate max distance from home
             if (this.homePoint) {
                 let maxDist = 0;
-                this.waypoints.forEach(wp => {
+                this.waypoints.filter(wp => WaypointTypes.isLocated(wp.type)).forEach(wp => {
                     const dist = this.calculateDistance(
                         this.homePoint.lat, this.homePoint.lng, wp.lat, wp.lng
                     );
@@ -621,7 +2081,8 @@ class MissionPlanner {
         ctx.fillStyle = '#252525';
         ctx.fillRect(0, 0, width, height);
 
-        if (this.waypoints.length < 2) {
+        const path = this.pathWaypoints();
+        if (path.length < 2) {
             ctx.fillStyle = '#707070';
             ctx.font = '12px sans-serif';
             ctx.textAlign = 'center';
@@ -629,11 +2090,17 @@ class MissionPlanner {
             return;
         }
 
-        // Find altitude range
-        const altitudes = this.waypoints.map(wp => wp.altitude);
+        // Flight altitude and the ground beneath it over distance along the route, above sea
+        // level where terrain is known
+        const profile = this.terrain.profile(path, this.homeElevation());
+        const samples = profile.samples;
+        const grounds = samples.filter(sample => sample.ground !== null).map(sample => sample.ground);
+        const altitudes = samples.map(sample => sample.altitude).concat(grounds);
         const minAlt = Math.min(...altitudes);
         const maxAlt = Math.max(...altitudes);
         const altRange = maxAlt - minAlt || 10;
+        const xAt = (distance) => 40 + (width - 50) * (distance / (profile.distance || 1));
+        const yAt = (altitude) => height - 20 - ((altitude - minAlt) / altRange) * (height - 30);
 
         // Draw grid
         ctx.strokeStyle = '#2a2a2a';
@@ -646,32 +2113,41 @@ class MissionPlanner {
             ctx.stroke();
         }
 
-        // Draw profile
-        ctx.strokeStyle = '#3b82f6';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-
-        this.waypoints.forEach((wp, i) => {
-            const x = 40 + (width - 50) * (i / (this.waypoints.length - 1));
-            const y = height - 20 - ((wp.altitude - minAlt) / altRange) * (height - 30);
-            
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        // Draw ground, with gaps where no tile covers the route
+        ctx.fillStyle = 'rgba(132, 106, 76, 0.6)';
+        let run = [];
+        const fillRun = () => {
+            if (run.length > 1) {
+                ctx.beginPath();
+                ctx.moveTo(xAt(run[0].distance), height - 20);
+                run.forEach(sample => ctx.lineTo(xAt(sample.distance), yAt(sample.ground)));
+                ctx.lineTo(xAt(run[run.length - 1].distance), height - 20);
+                ctx.closePath();
+                ctx.fill();
             }
-        });
+            run = [];
+        };
+        samples.forEach(sample => sample.ground === null ? fillRun() : run.push(sample));
+        fillRun();
 
-        ctx.stroke();
+        // Draw profile, red where it comes closer to the ground than the minimum clearance
+        const tooLow = (sample) => sample.clearance !== null && sample.clearance < this.terrainClearance;
+        ctx.lineWidth = 2;
+        for (let i = 1; i < samples.length; i++) {
+            const from = samples[i - 1];
+            const to = samples[i];
+            ctx.strokeStyle = tooLow(from) || tooLow(to) ? '#ef4444' : '#3b82f6';
+            ctx.beginPath();
+            ctx.moveTo(xAt(from.distance), yAt(from.altitude));
+            ctx.lineTo(xAt(to.distance), yAt(to.altitude));
+            ctx.stroke();
+        }
 
         // Draw points
         ctx.fillStyle = '#3b82f6';
-        this.waypoints.forEach((wp, i) => {
-            const x = 40 + (width - 50) * (i / (this.waypoints.length - 1));
-            const y = height - 20 - ((wp.altitude - minAlt) / altRange) * (height - 30);
-            
+        profile.waypoints.forEach(point => {
             ctx.beginPath();
-            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.arc(xAt(point.distance), yAt(point.altitude), 4, 0, 2 * Math.PI);
             ctx.fill();
         });
 
@@ -685,6 +2161,13 @@ class MissionPlanner {
             const y = (height - 20) * (i / 5) + 10;
             ctx.fillText(`${alt.toFixed(0)}m`, 35, y + 4);
         }
+
+        ctx.textAlign = 'center';
+        for (let i = 1; i <= 4; i++) {
+            const distance = profile.distance * i / 4;
+            const label = distance >= 1000 ? `${(distance / 1000).toFixed(1)}km` : `${distance.toFixed(0)}m`;
+            ctx.fillText(label, xAt(distance) - (i === 4 ? 12 : 0), height - 4);
+        }
     }
 
     updateWarnings() {
@@ -703,25 +2186,22 @@ class MissionPlanner {
             });
         } else {
             // Check battery
-            const totalDistance = this.getTotalDistance();
-            const avgSpeed = this.defaultSpeed || this.selectedDrone.cruiseSpeed;
-            const windFactor = 1 + (this.windSpeed / avgSpeed) * 0.3;
-            const adjustedSpeed = avgSpeed / windFactor;
-            const flightTime = (totalDistance / adjustedSpeed) / 60;
-            
-            let batteryRequired = 0;
-            if (this.selectedDrone.maxFlightTime) {
-                batteryRequired = (flightTime / this.selectedDrone.maxFlightTime) * 100;
-            }
+            const energy = this.energy || this.estimateEnergy();
+            const margin = energy ? energy.remaining - this.safetyReserve : 0;
 
-            const batteryWithReserve = batteryRequired * (1 + this.safetyReserve / 100);
+            energy?.blocked.forEach(segment => {
+                warnings.push({
+                    type: 'error',
+                    message: `Headwind too strong to fly from ${this.waypointTitle(segment.waypoints[0])} to ${this.waypointTitle(segment.waypoints[1])}`
+                });
+            });
 
-            if (batteryWithReserve > 100) {
+            if (margin < 0) {
                 warnings.push({
                     type: 'error',
-                    message: 'Mission exceeds drone battery capacity'
+                    message: `Mission exceeds drone battery capacity - lands with ${energy ? energy.remaining.toFixed(0) : 0}% against a ${this.safetyReserve}% reserve`
                 });
-            } else if (batteryWithReserve > 80) {
+            } else if (margin < 20) {
                 warnings.push({
                     type: 'warning',
                     message: 'Low battery margin - consider adding charging stop'
@@ -733,8 +2213,16 @@ class MissionPlanner {
                 });
             }
 
+            if (energy?.pointOfNoReturn) {
+                warnings.push({
+                    type: margin < 0 ? 'warning' : 'info',
+                    message: `Point of no return ${(energy.pointOfNoReturn.distance / 1000).toFixed(2)} km along the route - ` +
+                        'beyond it the aircraft cannot fly straight home with the reserve'
+                });
+            }
+
             // Check altitude
-            const maxAltitude = Math.max(...this.waypoints.map(wp => wp.altitude));
+            const maxAltitude = Math.max(...this.pathWaypoints().map(wp => this.relativeAltitude(wp)));
             if (this.selectedDrone.maxAltitude && maxAltitude > this.selectedDrone.maxAltitude) {
                 warnings.push({
                     type: 'warning',
@@ -743,12 +2231,7 @@ class MissionPlanner {
             }
 
             // Check wind
-            if (this.windSpeed > (this.selectedDrone.windResistance || 10)) {
-                warnings.push({
-                    type: 'warning',
-                    message: 'Wind speed exceeds drone capabilities'
-                });
-            }
+            warnings.push(...this.windWarnings());
 
             // Check home point
             if (!this.homePoint) {
@@ -757,120 +2240,395 @@ class MissionPlanner {
                     message: 'No home point set - consider setting one for safety'
                 });
             }
+
+            // Check geofences and terrain
+            warnings.push(...this.geofenceWarnings());
+            warnings.push(...this.terrainWarnings());
         }
 
         warningsContainer.innerHTML = warnings.map(w => `
             <div class="warning-item ${w.type}">
                 <span class="warning-icon">${w.type === 'error' ? 'X' : w.type === 'warning' ? '!' : w.type === 'success' ? 'OK' : 'i'}</span>
-                <span>${w.message}</span>
+                <span>${this.escapeHtml(w.message)}</span>
             </div>
         `).join('');
     }
 
     updateActionButtons() {
         const hasWaypoints = this.waypoints.length > 0;
-        const hasDrone = this.selectedDrone !== null;
+        const hasDrone = !!this.selectedDrone;
         
         document.getElementById('set-home-btn').disabled = !hasWaypoints;
         document.getElementById('add-rtl-btn').disabled = !hasWaypoints || !this.homePoint;
         document.getElementById('optimize-path-btn').disabled = !hasWaypoints || this.waypoints.length < 3;
         document.getElementById('export-mission-btn').disabled = !hasWaypoints || !hasDrone;
         document.getElementById('save-mission-btn').disabled = !hasWaypoints || !hasDrone;
+        document.getElementById('save-mission-as-btn').disabled = !hasWaypoints || !hasDrone;
     }
 
-    // Save/Load Missions
-    saveMission() {
-        if (this.waypoints.length === 0 || !this.selectedDrone) return;
-
-        const missionName = prompt('Enter a name for this mission:', `Mission ${new Date().toLocaleDateString()}`);
-        if (!missionName) return;
+    // Waypoints in the saved/exported mission format
+    serializeWaypoints() {
+        return this.waypoints.map((wp, i) => ({
+            index: i,
+            latitude: wp.lat,
+            longitude: wp.lng,
+            altitude: wp.altitude,
+            altitudeFrame: wp.altitudeFrame,
+            // The simulator flies over flat ground at the launch elevation
+            relativeAltitude: WaypointTypes.isLocated(wp.type) ? this.relativeAltitude(wp) : undefined,
+            speed: wp.speed,
+            hoverTime: wp.hoverTime,
+            type: wp.type,
+            pattern: wp.pattern,
+            poi: wp.poi,
+            params: wp.params
+        }));
+    }
 
-        const mission = {
-            id: Date.now().toString(),
-            name: missionName,
-            createdAt: new Date().toISOString(),
-            drone: {
+    // The plan and its settings in the saved/exported mission format
+    missionData() {
+        return {
+            drone: this.selectedDrone ? {
                 id: this.selectedDrone.id,
                 name: this.selectedDrone.name,
                 type: this.selectedDrone.type
-            },
+            } : null,
             parameters: {
                 defaultAltitude: this.defaultAltitude,
                 defaultSpeed: this.defaultSpeed,
                 safetyReserve: this.safetyReserve,
-                windSpeed: this.windSpeed
+                windSpeed: this.windSpeed,
+                windDirection: this.windDirection,
+                windGust: this.windGust,
+                windLayers: this.windLayers,
+                altitudeFrame: this.altitudeFrame,
+                terrainClearance: this.terrainClearance
             },
-            waypoints: this.waypoints.map((wp, i) => ({
-                index: i,
-                latitude: wp.lat,
-                longitude: wp.lng,
-                altitude: wp.altitude,
-                speed: wp.speed,
-                hoverTime: wp.hoverTime,
-                type: wp.type
-            })),
+            waypoints: this.serializeWaypoints(),
+            geofences: Geofence.serialize(this.geofences),
+            rallyPoints: this.rallyPoints,
+            survey: this.survey,
+            surveyArea: this.survey ? null : this.surveyArea
+        };
+    }
+
+    // Save/Load Missions
+    // Saves over the library mission being edited, keeping what it replaces as a version, or asks
+    // for a name when the plan isn't in the library yet
+    async saveMission() {
+        if (this.waypoints.length === 0 || !this.selectedDrone) return;
+
+        try {
+            const existing = this.libraryMissionId ? await MissionLibrary.get(this.libraryMissionId) : null;
+            if (!existing) {
+                await this.saveMissionAs();
+                return;
+            }
+
+            const mission = await MissionLibrary.save(this.libraryRecord(existing));
+            this.lookUpPlace(mission, existing.summary);
+            const versions = await MissionLibrary.versions(mission.id);
+            alert(`Mission "${mission.name}" saved (version ${versions.length + 1})`);
+        } catch (error) {
+            Database.reportError('save the mission', error);
+        }
+    }
+
+    async saveMissionAs() {
+        if (this.waypoints.length === 0 || !this.selectedDrone) return;
+
+        const missionName = prompt('Enter a name for this mission:', `Mission ${new Date().toLocaleDateString()}`);
+        if (!missionName) return;
+
+        try {
+            const mission = await MissionLibrary.save(this.libraryRecord({
+                id: Date.now().toString(),
+                name: missionName,
+                createdAt: new Date().toISOString()
+            }));
+            this.libraryMissionId = mission.id;
+            this.lookUpPlace(mission);
+
+            alert(`Mission "${missionName}" saved successfully!`);
+        } catch (error) {
+            Database.reportError(`save "${missionName}"`, error);
+        }
+    }
+
+    // The current plan as a library record, keeping the identity, folder and tags of `base`
+    libraryRecord(base) {
+        const home = this.homePoint || this.pathWaypoints()[0];
+        return {
+            id: base.id,
+            name: base.name,
+            createdAt: base.createdAt,
+            updatedAt: new Date().toISOString(),
+            folder: base.folder || '',
+            tags: base.tags || [],
+            metadata: { version: MISSION_SCHEMA_VERSION },
+            ...this.missionData(),
             summary: {
                 totalDistance: (this.getTotalDistance() / 1000).toFixed(2) + ' km',
-                waypointCount: this.waypoints.length
+                waypointCount: this.waypoints.length,
+                distance: this.getTotalDistance(),
+                duration: this.energy ? this.energy.seconds : null,
+                home: home ? { lat: home.lat, lng: home.lng } : null,
+                place: base.summary?.place || null
             }
         };
+    }
+
+    // Names the place a saved mission flies from so the library can be searched by location.
+    // Only asked again when home has moved since the last save.
+    lookUpPlace(mission, previous = null) {
+        const home = mission.summary.home;
+        if (!home) return;
+        if (previous?.place && previous.home &&
+            GeoUtils.distance(previous.home.lat, previous.home.lng, home.lat, home.lng) < LIBRARY_PLACE_DISTANCE) return;
+
+        fetch(`https://nominatim.openstreetmap.org/reverse?format=json&zoom=10&lat=${home.lat}&lon=${home.lng}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!data || !data.display_name) return;
+                return MissionLibrary.update(mission.id, { summary: { ...mission.summary, place: data.display_name } });
+            })
+            .catch(error => {
+                console.error('Error looking up mission location:', error);
+            });
+    }
 
-        // Save to localStorage
-        const missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
-        missions.push(mission);
-        localStorage.setItem('uav_missions', JSON.stringify(missions));
+    async showSavedMissions() {
+        try {
+            if ((await MissionLibrary.list()).length === 0) {
+                alert('No saved missions found');
+                return;
+            }
+        } catch (error) {
+            Database.reportError('open the mission library', error);
+            return;
+        }
+
+        document.getElementById('saved-missions-section').style.display = 'block';
+        this.renderLibrary();
+    }
+
+    hideSavedMissions() {
+        document.getElementById('saved-missions-section').style.display = 'none';
+    }
+
+    // Redraws the library when it's open
+    updateLibrary() {
+        if (document.getElementById('saved-missions-section').style.display !== 'none') {
+            this.renderLibrary();
+        }
+    }
 
-        alert(`Mission "${missionName}" saved successfully!`);
+    escapeHtml(text) {
+        return String(text).replace(/[<>&"']/g, c => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&#39;'
+        })[c]);
     }
 
-    showSavedMissions() {
-        const missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
-        const section = document.getElementById('saved-missions-section');
+    async renderLibrary() {
+        const esc = (text) => this.escapeHtml(text);
         const list = document.getElementById('saved-missions-list');
 
-        if (missions.length === 0) {
-            alert('No saved missions found');
+        // Only the latest of overlapping redraws is shown
+        const render = this.libraryRender = (this.libraryRender || 0) + 1;
+        let missions, versionCounts;
+        try {
+            [missions, versionCounts] = await Promise.all([MissionLibrary.list(), MissionLibrary.versionCounts()]);
+        } catch (error) {
+            console.error('Error loading the mission library:', error);
+            list.innerHTML = `<div class="empty-waypoints"><p>${esc(error.message)}</p></div>`;
             return;
         }
+        if (render !== this.libraryRender) return;
+
+        // Folders come and go with the missions in them
+        const folderSelect = document.getElementById('library-folder');
+        const folders = MissionLibrary.folders(missions);
+        const folder = folders.includes(folderSelect.value) ? folderSelect.value : '';
+        folderSelect.innerHTML = '<option value="">All folders</option>' +
+            folders.map(name => `<option value="${esc(name)}">${esc(name)}</option>`).join('');
+        folderSelect.value = folder;
+
+        const shown = MissionLibrary.search(missions, {
+            query: document.getElementById('library-search').value,
+            folder: folder,
+            sort: document.getElementById('library-sort').value
+        });
 
-        list.innerHTML = missions.map(mission => `
-            <div class="saved-mission-item">
-                <div class="saved-mission-header">
-                    <div>
-                        <div class="saved-mission-name">${mission.name}</div>
-                        <div class="saved-mission-date">${new Date(mission.createdAt).toLocaleString()}</div>
+        if (shown.length === 0) {
+            list.innerHTML = '<div class="empty-waypoints"><p>No missions match</p></div>';
+            return;
+        }
+
+        list.innerHTML = shown.map(mission => {
+            const versions = versionCounts[mission.id] || 0;
+            const duration = mission.summary.duration === null ? '-' : `${(mission.summary.duration / 60).toFixed(1)} min`;
+            return `
+                <div class="saved-mission-item library-card ${mission.id === this.libraryMissionId ? 'current' : ''}">
+                    ${MissionLibrary.thumbnail(mission)}
+                    <div class="library-card-body">
+                        <div class="saved-mission-header">
+                            <div>
+                                <div class="saved-mission-name">${esc(mission.name)}</div>
+                                <div class="saved-mission-date">
+                                    ${new Date(mission.updatedAt).toLocaleString()}${versions > 0 ? ` - version ${versions + 1}` : ''}
+                                </div>
+                            </div>
+                        </div>
+                        <div class="library-tags">
+                            ${mission.folder ? `<span class="library-folder">${esc(mission.folder)}</span>` : ''}
+                            ${mission.tags.map(tag => `<span class="library-tag">${esc(tag)}</span>`).join('')}
+                        </div>
+                        <div class="saved-mission-info">
+                            <span>${esc(mission.drone?.name || 'No drone')}</span>
+                            <span>${mission.summary.waypointCount} items</span>
+                            <span>${(mission.summary.distance / 1000).toFixed(2)} km</span>
+                            <span>${duration}</span>
+                        </div>
+                        ${mission.summary.place ? `<div class="library-place">${esc(mission.summary.place)}</div>` : ''}
+                        <div class="saved-mission-actions library-actions">
+                            <button onclick="missionPlanner.loadSavedMission('${mission.id}')">Load</button>
+                            <button onclick="missionPlanner.duplicateSavedMission('${mission.id}')">Duplicate</button>
+                            <button onclick="missionPlanner.renameSavedMission('${mission.id}')">Rename</button>
+                            <button onclick="missionPlanner.tagSavedMission('${mission.id}')">Tags</button>
+                            <button onclick="missionPlanner.fileSavedMission('${mission.id}')">Folder</button>
+                            ${versions > 0 ? `<button onclick="missionPlanner.toggleMissionVersions('${mission.id}')">Versions (${versions})</button>` : ''}
+                            <button class="delete" onclick="missionPlanner.deleteSavedMission('${mission.id}')">Delete</button>
+                        </div>
+                        <div id="library-versions-${mission.id}" class="library-versions" style="display: none;"></div>
                     </div>
                 </div>
-                <div class="saved-mission-info">
-                    <span>Drone: ${mission.drone.name}</span>
-                    <span>Waypoints: ${mission.summary.waypointCount}</span>
-                    <span>Distance: ${mission.summary.totalDistance}</span>
-                </div>
-                <div class="saved-mission-actions">
-                    <button onclick="missionPlanner.loadSavedMission('${mission.id}')">Load</button>
-                    <button class="delete" onclick="missionPlanner.deleteSavedMission('${mission.id}')">Delete</button>
-                </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
+    }
+
+    async loadSavedMission(missionId) {
+        let mission;
+        try {
+            mission = await MissionLibrary.get(missionId);
+        } catch (error) {
+            Database.reportError('load the mission', error);
+            return;
+        }
+        if (!mission) return;
 
-        section.style.display = 'block';
+        this.loadMissionData(MissionSchema.migrate(mission));
+        this.libraryMissionId = mission.id;
+
+        this.hideSavedMissions();
+        alert(`Mission "${mission.name}" loaded successfully!`);
     }
 
-    hideSavedMissions() {
-        document.getElementById('saved-missions-section').style.display = 'none';
+    // Library edits redraw the list through the 'missions' subscription
+    duplicateSavedMission(missionId) {
+        MissionLibrary.duplicate(missionId)
+            .catch(error => Database.reportError('duplicate the mission', error));
+    }
+
+    // `ask(mission)` returns the changes to store, or null when the user cancels
+    async editSavedMission(missionId, action, ask) {
+        try {
+            const mission = await MissionLibrary.get(missionId);
+            const changes = mission && ask(mission);
+            if (changes) await MissionLibrary.update(missionId, changes);
+        } catch (error) {
+            Database.reportError(action, error);
+        }
+    }
+
+    renameSavedMission(missionId) {
+        this.editSavedMission(missionId, 'rename the mission', mission => {
+            const name = prompt('Mission name:', mission.name);
+            return name && name.trim() ? { name: name.trim() } : null;
+        });
     }
 
-    loadSavedMission(missionId) {
-        const missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
-        const mission = missions.find(m => m.id === missionId);
+    tagSavedMission(missionId) {
+        this.editSavedMission(missionId, 'tag the mission', mission => {
+            const tags = prompt('Tags, separated by commas:', mission.tags.join(', '));
+            if (tags === null) return null;
+            return { tags: [...new Set(tags.split(',').map(tag => tag.trim()).filter(tag => tag))] };
+        });
+    }
 
-        if (!mission) return;
+    // Moves a mission into a folder; an empty name takes it out of its folder
+    fileSavedMission(missionId) {
+        this.editSavedMission(missionId, 'move the mission', mission => {
+            const folder = prompt('Folder (leave empty for none):', mission.folder);
+            return folder === null ? null : { folder: folder.trim() };
+        });
+    }
+
+    async toggleMissionVersions(missionId) {
+        const container = document.getElementById(`library-versions-${missionId}`);
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        let versions;
+        try {
+            versions = await MissionLibrary.versions(missionId);
+        } catch (error) {
+            Database.reportError('load the mission versions', error);
+            return;
+        }
 
-        // Clear current mission
-        this.clearMission();
+        container.innerHTML = versions.map(version => `
+            <div class="library-version">
+                <span>Version ${version.version}</span>
+                <span>${new Date(version.updatedAt || version.createdAt).toLocaleString()}</span>
+                <span>${(version.waypoints || []).length} items</span>
+                <button onclick="missionPlanner.loadMissionVersion('${missionId}', ${version.version})">Load</button>
+            </div>
+        `).join('');
+        container.style.display = 'block';
+    }
+
+    // Loads an earlier version for editing; saving it makes it the newest version
+    async loadMissionVersion(missionId, number) {
+        let version;
+        try {
+            version = await MissionLibrary.version(missionId, number);
+        } catch (error) {
+            Database.reportError(`load version ${number}`, error);
+            return;
+        }
+        if (!version) return;
+
+        this.loadMissionData(MissionSchema.migrate(version), `Load ${version.name} version ${number}`);
+        this.libraryMissionId = missionId;
+
+        this.hideSavedMissions();
+        alert(`Version ${number} of "${version.name}" loaded`);
+    }
+
+    // Replace the current plan with a mission in the saved/exported format, as one history entry.
+    // If it fails partway, the plan and its settings are put back as they were.
+    loadMissionData(mission, label = `Load ${mission.name || 'mission'}`) {
+        const previous = this.missionData();
+        this.historyPaused = true;
+        try {
+            this.applyMissionData(mission);
+        } catch (error) {
+            this.applyMissionData(previous);
+            throw error;
+        } finally {
+            this.historyPaused = false;
+        }
+        this.recordHistory(label);
+    }
+
+    applyMissionData(mission) {
+        // Clear current mission; the user has already agreed to replace it
+        this.resetMission();
 
-        // Load drone if available
-        if (mission.drone && mission.drone.id) {
+        // Load drone if it is in this browser; otherwise the current one stays selected
+        if (mission.drone && mission.drone.id && this.droneManager.getDroneById(mission.drone.id)) {
             const droneSelect = document.getElementById('mission-drone-select');
             droneSelect.value = mission.drone.id;
             this.selectDrone(mission.drone.id);
@@ -878,59 +2636,109 @@ class MissionPlanner {
 
         // Load parameters
         if (mission.parameters) {
-            document.getElementById('default-altitude').value = mission.parameters.defaultAltitude || 50;
-            document.getElementById('default-speed').value = mission.parameters.defaultSpeed || 0;
-            document.getElementById('safety-reserve').value = mission.parameters.safetyReserve || 20;
-            document.getElementById('wind-speed').value = mission.parameters.windSpeed || 0;
-            
-            this.defaultAltitude = mission.parameters.defaultAltitude || 50;
-            this.defaultSpeed = mission.parameters.defaultSpeed || 0;
-            this.safetyReserve = mission.parameters.safetyReserve || 20;
-            this.windSpeed = mission.parameters.windSpeed || 0;
+            this.loadParameters(mission.parameters);
+        }
+
+        // Load geofences and rally points
+        this.drawTool.cancel();
+        this.geofences = Geofence.normalize(mission.geofences);
+        this.updateGeofences();
+        this.rallyPoints = mission.rallyPoints || [];
+        this.drawRallyPoints();
+
+        // Load survey area
+        this.survey = mission.survey || null;
+        this.surveyArea = this.survey ? this.survey.polygon : mission.surveyArea || null;
+        this.drawSurveyArea();
+        if (this.survey) {
+            this.loadSurveySettings(this.survey);
         }
 
         // Load waypoints
-        if (mission.waypoints && Array.isArray(mission.waypoints)) {
-            mission.waypoints.forEach(wp => {
-                this.addWaypoint(
-                    wp.latitude,
-                    wp.longitude,
-                    wp.type || 'waypoint',
-                    wp.altitude,
-                    wp.speed,
-                    wp.hoverTime || 0
-                );
-            });
+        if (mission.waypoints && Array.isArray(mission.waypoints) && mission.waypoints.length > 0) {
+            this.insertWaypoints(this.waypointEntries(mission.waypoints));
 
             // Set home point if exists
             const homeWp = mission.waypoints.find(wp => wp.type === 'home');
             if (homeWp) {
                 this.homePoint = { lat: homeWp.latitude, lng: homeWp.longitude };
+                this.updateActionButtons();
             }
 
             // Fit map to waypoints
-            const bounds = L.latLngBounds(this.waypoints.map(wp => [wp.lat, wp.lng]));
-            this.map.fitBounds(bounds, { padding: [50, 50] });
+            const located = this.waypoints.filter(wp => WaypointTypes.isLocated(wp.type));
+            if (located.length > 0) {
+                const bounds = L.latLngBounds(located.map(wp => [wp.lat, wp.lng]));
+                this.map.fitBounds(bounds, { padding: [50, 50] });
+            }
         }
+    }
 
-        this.hideSavedMissions();
-        alert(`Mission "${mission.name}" loaded successfully!`);
+    // Mission settings into their inputs and the planner
+    loadParameters(parameters) {
+        document.getElementById('default-altitude').value = parameters.defaultAltitude || 50;
+        document.getElementById('default-speed').value = parameters.defaultSpeed || 0;
+        document.getElementById('safety-reserve').value = parameters.safetyReserve || 20;
+        document.getElementById('wind-speed').value = parameters.windSpeed || 0;
+        document.getElementById('wind-direction').value = parameters.windDirection || 0;
+        document.getElementById('wind-gust').value = parameters.windGust ?? '';
+        document.getElementById('altitude-frame').value = parameters.altitudeFrame || 'relative';
+        document.getElementById('terrain-clearance').value = parameters.terrainClearance ?? 30;
+        
+        this.defaultAltitude = parameters.defaultAltitude || 50;
+        this.defaultSpeed = parameters.defaultSpeed || 0;
+        this.safetyReserve = parameters.safetyReserve || 20;
+        this.windSpeed = parameters.windSpeed || 0;
+        this.windDirection = parameters.windDirection || 0;
+        this.windGust = parameters.windGust ?? null;
+        this.windLayers = (parameters.windLayers || []).map(layer => ({ ...layer }));
+        this.updateWindLayerList();
+        this.altitudeFrame = parameters.altitudeFrame || 'relative';
+        this.terrainClearance = parameters.terrainClearance ?? 30;
+    }
+
+    // Saved waypoint records back into entries for insertWaypoints
+    waypointEntries(records) {
+        return records.map(wp => ({
+            lat: wp.latitude,
+            lng: wp.longitude,
+            type: wp.type || 'waypoint',
+            altitude: wp.altitude,
+            altitudeFrame: wp.altitudeFrame || 'relative',
+            speed: wp.speed,
+            hoverTime: wp.hoverTime || 0,
+            pattern: wp.pattern,
+            poi: wp.poi,
+            params: wp.params
+        }));
     }
 
-    deleteSavedMission(missionId) {
+    async deleteSavedMission(missionId) {
         if (!confirm('Are you sure you want to delete this mission?')) return;
 
-        let missions = JSON.parse(localStorage.getItem('uav_missions') || '[]');
-        missions = missions.filter(m => m.id !== missionId);
-        localStorage.setItem('uav_missions', JSON.stringify(missions));
+        try {
+            await MissionLibrary.remove(missionId);
+            if (this.libraryMissionId === missionId) {
+                this.libraryMissionId = null;
+            }
 
-        this.showSavedMissions();
+            if ((await MissionLibrary.list()).length === 0) {
+                this.hideSavedMissions();
+            }
+        } catch (error) {
+            Database.reportError('delete the mission', error);
+        }
     }
 
     // Mission Actions
     setHomePoint() {
         if (this.waypoints.length === 0) return;
 
+        if (!WaypointTypes.isPath(this.waypoints[0].type)) {
+            alert('The first item must be a waypoint to become the home point');
+            return;
+        }
+
         if (this.homePoint) {
             // Update existing home point
             this.homePoint.lat = this.waypoints[0].lat;
@@ -947,6 +2755,7 @@ class MissionPlanner {
         this.updateMarkers();
         this.updateWaypointList();
         this.updateActionButtons();
+        this.recordHistory('Set home point');
     }
 
     addReturnToLaunch() {
@@ -963,6 +2772,12 @@ class MissionPlanner {
     optimizePath() {
         if (this.waypoints.length < 3) return;
 
+        // Reordering would break commands that depend on where they sit in the mission
+        if (this.waypoints.some(wp => !['home', 'waypoint', 'rtl'].includes(wp.type))) {
+            alert('Path optimization only works on missions made of plain waypoints');
+            return;
+        }
+
         // Traveling Salesman Problem - Nearest Neighbor heuristic
         const homeIndex = this.waypoints.findIndex(wp => wp.type === 'home');
         const rtlIndex = this.waypoints.findIndex(wp => wp.type === 'rtl');
@@ -1005,42 +2820,164 @@ class MissionPlanner {
             optimized.push(this.waypoints[rtlIndex]);
         }
 
-        // Clear markers
+        // Update waypoints and recreate markers
+        this.waypoints = optimized;
+        this.rebuildMarkers();
+        this.updatePath();
+        this.updateWaypointList();
+        this.updateMissionSummary();
+        this.recordHistory('Optimize route');
+    }
+
+    clearMission() {
+        if (this.waypoints.length === 0 && this.geofences.length === 0 && !this.surveyArea) return;
+
+        if (confirm('Are you sure you want to clear all waypoints, geofences and the survey area?')) {
+            this.resetMission();
+            this.libraryMissionId = null;
+            this.recordHistory('Clear mission');
+        }
+    }
+
+    // Removes the waypoints, home, geofences, survey and rally points without asking
+    resetMission() {
         this.markers.forEach(m => this.map.removeLayer(m.marker));
         this.markers = [];
+        this.waypoints = [];
+        this.homePoint = null;
+        this.survey = null;
+        this.surveyArea = null;
+        this.drawSurveyArea();
+        this.rallyPoints = [];
+        this.drawRallyPoints();
+        this.drawTool.cancel();
+        this.geofences = [];
+        this.drawGeofences();
+        this.updateGeofenceList();
 
-        // Update waypoints
-        this.waypoints = optimized;
+        if (this.pathPolyline) {
+            this.map.removeLayer(this.pathPolyline);
+            this.pathPolyline = null;
+        }
+        if (this.smoothPathPolyline) {
+            this.map.removeLayer(this.smoothPathPolyline);
+            this.smoothPathPolyline = null;
+        }
 
-        // Recreate markers
-        this.waypoints.forEach(wp => this.addMarker(wp));
-        this.updatePath();
         this.updateWaypointList();
         this.updateMissionSummary();
+        this.updateActionButtons();
+        this.drawElevationProfile();
     }
 
-    clearMission() {
-        if (this.waypoints.length === 0) return;
+    // History
+    // The parts of the plan that edits change and undo puts back, including the drone and mission
+    // settings an import or load replaces. Heights above home are left out: they follow from the
+    // terrain rather than from an edit.
+    missionState() {
+        return {
+            droneId: this.selectedDrone ? this.selectedDrone.id : null,
+            parameters: this.missionData().parameters,
+            waypoints: this.serializeWaypoints().map(({ relativeAltitude, ...wp }) => wp),
+            homePoint: this.homePoint,
+            geofences: Geofence.serialize(this.geofences),
+            rallyPoints: this.rallyPoints,
+            survey: this.survey,
+            surveyArea: this.surveyArea
+        };
+    }
 
-        if (confirm('Are you sure you want to clear all waypoints?')) {
-            this.markers.forEach(m => this.map.removeLayer(m.marker));
-            this.markers = [];
-            this.waypoints = [];
-            this.homePoint = null;
-            
-            if (this.pathPolyline) {
-                this.map.removeLayer(this.pathPolyline);
-                this.pathPolyline = null;
-            }
-            if (this.smoothPathPolyline) {
-                this.map.removeLayer(this.smoothPathPolyline);
-                this.smoothPathPolyline = null;
-            }
+    recordHistory(label) {
+        if (this.historyPaused) return;
+        this.history.record(label, this.missionState());
+    }
 
-            this.updateWaypointList();
-            this.updateMissionSummary();
-            this.updateActionButtons();
-            this.drawElevationProfile();
+    restoreMissionState(state) {
+        // Entries from before the drone and settings were kept leave both as they are, and so
+        // does a drone that has since been deleted
+        if (state.droneId !== undefined && (!state.droneId || this.droneManager.getDroneById(state.droneId))) {
+            document.getElementById('mission-drone-select').value = state.droneId || '';
+            this.selectDrone(state.droneId);
+        }
+        if (state.parameters) {
+            this.loadParameters(state.parameters);
+        }
+
+        this.drawTool.cancel();
+        this.homePoint = state.homePoint ? { ...state.homePoint } : null;
+        this.geofences = Geofence.normalize(state.geofences);
+        this.updateGeofences();
+        this.rallyPoints = state.rallyPoints || [];
+        this.drawRallyPoints();
+
+        this.survey = state.survey || null;
+        this.surveyArea = state.surveyArea || null;
+        this.drawSurveyArea();
+
+        this.waypoints = [];
+        this.insertWaypoints(this.waypointEntries(state.waypoints || []));
+        this.drawElevationProfile();
+    }
+
+    undo() {
+        const state = this.history.undo();
+        if (state) this.restoreMissionState(state);
+    }
+
+    redo() {
+        const state = this.history.redo();
+        if (state) this.restoreMissionState(state);
+    }
+
+    goToHistory(index) {
+        const state = this.history.goTo(index);
+        if (state) this.restoreMissionState(state);
+    }
+
+    historyChanged() {
+        this.updateHistoryList();
+        MissionDraftStore.save(this.history).catch(error => {
+            console.error('Failed to save mission draft:', error);
+        });
+    }
+
+    updateHistoryList() {
+        document.getElementById('undo-btn').disabled = !this.history.canUndo;
+        document.getElementById('redo-btn').disabled = !this.history.canRedo;
+
+        // Newest first; entries past the current one can still be redone
+        const position = this.history.position;
+        const list = document.getElementById('history-list');
+        list.innerHTML = this.history.entries.map((entry, index) => `
+            <div class="history-item ${index === position ? 'current' : index > position ? 'undone' : ''}"
+                onclick="missionPlanner.goToHistory(${index})">
+                <span>${this.escapeHtml(entry.label)}</span>
+                <span class="history-time">${new Date(entry.time).toLocaleTimeString()}</span>
+            </div>
+        `).reverse().join('');
+    }
+
+    // Reopens the draft left from the last session, or starts a new history
+    async restoreDraft() {
+        let draft = null;
+        try {
+            // Draft entries select their drone by id, so the profiles have to be loaded first
+            await this.droneManager.ready;
+            draft = await MissionDraftStore.load();
+        } catch (error) {
+            console.error('Failed to load mission draft:', error);
+        }
+
+        // Edits made while the draft was loading win over it
+        if (this.history.entries.length > 0) return;
+
+        if (draft && draft.entries && draft.entries.length > 0) {
+            this.history = MissionHistory.fromRecord(draft);
+            this.history.onChange = () => this.historyChanged();
+            this.restoreMissionState(JSON.parse(this.history.current.state));
+            this.updateHistoryList();
+        } else {
+            this.history.reset('New mission', this.missionState());
         }
     }
 
@@ -1051,29 +2988,10 @@ class MissionPlanner {
         const mission = {
             metadata: {
                 exportDate: new Date().toISOString(),
-                version: '1.0',
+                version: MISSION_SCHEMA_VERSION,
                 application: 'UAV Flight Planner'
             },
-            drone: {
-                id: this.selectedDrone.id,
-                name: this.selectedDrone.name,
-                type: this.selectedDrone.type
-            },
-            parameters: {
-                defaultAltitude: this.defaultAltitude,
-                defaultSpeed: this.defaultSpeed,
-                safetyReserve: this.safetyReserve,
-                windSpeed: this.windSpeed
-            },
-            waypoints: this.waypoints.map((wp, i) => ({
-                index: i,
-                latitude: wp.lat,
-                longitude: wp.lng,
-                altitude: wp.altitude,
-                speed: wp.speed,
-                hoverTime: wp.hoverTime,
-                type: wp.type
-            })),
+            ...this.missionData(),
             summary: {
                 totalDistance: (this.getTotalDistance() / 1000).toFixed(2) + ' km',
                 waypointCount: this.waypoints.length,
@@ -1082,73 +3000,107 @@ class MissionPlanner {
             }
         };
 
-        const dataStr = JSON.stringify(mission, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        // Other ground stations take altitudes relative to a home given above sea level
+        const fileName = `mission_${this.selectedDrone.name.replace(/\s+/g, '_')}_${Date.now()}`;
+        const homeAltitude = this.homeElevation() ?? 0;
+        switch (document.getElementById('export-format').value) {
+            case 'plan':
+                this.downloadFile(MissionFormats.toPlan(mission, homeAltitude), 'application/json', `${fileName}.plan`);
+                break;
+            case 'waypoints':
+                this.downloadFile(MissionFormats.toWaypointsFile(mission, homeAltitude), 'text/plain', `${fileName}.waypoints`);
+                break;
+            case 'kml':
+                this.downloadFile(this.missionKml(), 'application/vnd.google-earth.kml+xml', `${fileName}.kml`);
+                break;
+            case 'kmz':
+                this.downloadFile(GeoFormats.toKmz(this.missionKml()), 'application/vnd.google-earth.kmz', `${fileName}.kmz`);
+                break;
+            case 'gpx':
+                this.downloadFile(GeoFormats.toGpx(this.selectedDrone.name, this.geoPath().path), 'application/gpx+xml', `${fileName}.gpx`);
+                break;
+            default:
+                this.downloadFile(JSON.stringify(mission, null, 2), 'application/json', `${fileName}.json`);
+        }
+    }
+
+    // The flown path for GIS tools. Heights go above sea level when the terrain allows; without it
+    // they're given above the ground, which is only right where the ground is level with launch.
+    geoPath() {
+        const homeElevation = this.homeElevation();
+        const path = this.pathWaypoints().map(wp => ({
+            name: `${this.waypoints.indexOf(wp) + 1}. ${WaypointTypes.get(wp.type).label}`,
+            lat: wp.lat,
+            lng: wp.lng,
+            relative: this.relativeAltitude(wp),
+            elevation: this.terrain.toAmsl(wp.altitude, wp.altitudeFrame, wp.lat, wp.lng, homeElevation)
+        }));
+
+        const absolute = path.every(p => p.elevation !== null);
+        return {
+            path: path.map(p => ({ ...p, altitude: absolute ? p.elevation : p.relative })),
+            altitudeMode: absolute ? 'absolute' : 'relativeToGround'
+        };
+    }
+
+    missionKml() {
+        const { path, altitudeMode } = this.geoPath();
+        const areas = this.geofences.map(fence => ({
+            name: fence.name,
+            style: fence.type,
+            points: fence.shape === 'circle' ? GeoFormats.circlePoints(fence.center, fence.radius) : fence.points
+        }));
+        if (this.surveyArea) {
+            areas.unshift({ name: 'Survey area', style: 'survey', points: this.surveyArea });
+        }
+        return GeoFormats.toKml(`${this.selectedDrone.name} mission`, path, altitudeMode, areas);
+    }
+
+    downloadFile(content, type, fileName) {
+        const dataBlob = new Blob([content], { type: type });
         const url = URL.createObjectURL(dataBlob);
         const link = document.createElement('a');
         link.href = url;
-        link.download = `mission_${this.selectedDrone.name.replace(/\s+/g, '_')}_${Date.now()}.json`;
+        link.download = fileName;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
     }
 
+    // Reads this app's JSON, QGroundControl .plan and QGC WPL .waypoints files, and KML, KMZ and GPX
+    // from GIS tools. Anything with no equivalent here is listed once the rest is loaded.
     importMission(file) {
         if (!file) return;
 
         const reader = new FileReader();
+        if (GeoFormats.detect(file.name) === 'kmz') {
+            reader.onload = (e) => {
+                GeoFormats.fromKmz(e.target.result)
+                    .then(kml => this.importGeoFeatures(GeoFormats.fromKml(kml), file.name))
+                    .catch(error => alert('Error importing mission file: ' + error.message));
+            };
+            reader.readAsArrayBuffer(file);
+            return;
+        }
+
         reader.onload = (e) => {
+            const text = e.target.result;
             try {
-                const mission = JSON.parse(e.target.result);
-                
-                // Clear current mission
-                this.clearMission();
-
-                // Load drone if available
-                if (mission.drone && mission.drone.id) {
-                    const droneSelect = document.getElementById('mission-drone-select');
-                    droneSelect.value = mission.drone.id;
-                    this.selectDrone(mission.drone.id);
-                }
-
-                // Load parameters
-                if (mission.parameters) {
-                    document.getElementById('default-altitude').value = mission.parameters.defaultAltitude || 50;
-                    document.getElementById('default-speed').value = mission.parameters.defaultSpeed || 0;
-                    document.getElementById('safety-reserve').value = mission.parameters.safetyReserve || 20;
-                    document.getElementById('wind-speed').value = mission.parameters.windSpeed || 0;
-                    
-                    this.defaultAltitude = mission.parameters.defaultAltitude || 50;
-                    this.defaultSpeed = mission.parameters.defaultSpeed || 0;
-                    this.safetyReserve = mission.parameters.safetyReserve || 20;
-                    this.windSpeed = mission.parameters.windSpeed || 0;
+                const format = MissionFormats.detect(file.name, text);
+                const geoFormat = GeoFormats.detect(file.name, text);
+                if (!format && geoFormat) {
+                    this.importGeoFeatures(geoFormat === 'gpx' ? GeoFormats.fromGpx(text) : GeoFormats.fromKml(text), file.name);
+                    return;
                 }
-
-                // Load waypoints
-                if (mission.waypoints && Array.isArray(mission.waypoints)) {
-                    mission.waypoints.forEach(wp => {
-                        this.addWaypoint(
-                            wp.latitude,
-                            wp.longitude,
-                            wp.type || 'waypoint',
-                            wp.altitude,
-                            wp.speed,
-                            wp.hoverTime || 0
-                        );
-                    });
-
-                    // Set home point if exists
-                    const homeWp = mission.waypoints.find(wp => wp.type === 'home');
-                    if (homeWp) {
-                        this.homePoint = { lat: homeWp.latitude, lng: homeWp.longitude };
-                    }
-
-                    // Fit map to waypoints
-                    const bounds = L.latLngBounds(this.waypoints.map(wp => [wp.lat, wp.lng]));
-                    this.map.fitBounds(bounds, { padding: [50, 50] });
+                if (!format) {
+                    this.previewImport(JSON.parse(text), file.name);
+                    return;
                 }
 
+                const { mission, report } = format === 'plan' ?
+                    MissionFormats.fromPlan(text) : MissionFormats.fromWaypointsFile(text);
+                this.previewImport(mission, file.name, report);
             } catch (error) {
                 alert('Error importing mission file: ' + error.message);
             }
@@ -1156,6 +3108,165 @@ class MissionPlanner {
         reader.readAsText(file);
     }
 
+    // Lines and routes become waypoints; polygons become the survey area or geofences, as the user picks
+    importGeoFeatures(features, fileName) {
+        const areaAsSurvey = features.areas.length > 0 && confirm(
+            `${fileName} has ${features.areas.length} polygon(s). Use the first as the survey area?\n\n` +
+            'Cancel imports them all as geofences.');
+        const { mission, report } = GeoFormats.toMission(features, this.defaultAltitude, areaAsSurvey);
+        if (mission.waypoints.length === 0 && mission.geofences.length === 0 && !mission.surveyArea) {
+            alert(`${fileName} has no routes, points or polygons to import`);
+            return;
+        }
+
+        this.previewImport(mission, fileName, report);
+    }
+
+    // Checks an imported mission against the file schema, upgrading older versions, then shows how
+    // it differs from the current plan. Nothing changes until the user confirms.
+    // report lists what a conversion from another format left out.
+    previewImport(mission, fileName, report = []) {
+        const { mission: prepared, errors, migratedFrom } = MissionSchema.prepare(mission);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, IMPORT_MAX_ERRORS).map(error => `- ${error}`);
+            if (errors.length > IMPORT_MAX_ERRORS) shown.push(`- and ${errors.length - IMPORT_MAX_ERRORS} more`);
+            alert(`${fileName} is not a valid mission file:\n\n${shown.join('\n')}`);
+            return;
+        }
+
+        this.cancelImport();
+        this.pendingImport = { mission: prepared, fileName: fileName };
+
+        // Names and notes come from the file, so everything shown is escaped
+        const esc = (text) => this.escapeHtml(text);
+        const current = this.missionData();
+        const rows = this.importDiff(current, prepared).map(row => `
+            <div class="import-diff-row ${row.changed ?? row.before !== row.after ? 'changed' : ''}">
+                <span class="import-diff-label">${esc(row.label)}</span>
+                <span>${esc(row.before)}</span>
+                <span>${esc(row.after)}</span>
+            </div>
+        `).join('');
+        document.getElementById('import-preview-diff').innerHTML = `
+            <div class="import-diff-row import-diff-head"><span></span><span>Current</span><span>Imported</span></div>
+            ${rows}
+        `;
+
+        const notes = [];
+        if (migratedFrom) {
+            notes.push({ type: 'info', message: `Upgraded from a version ${migratedFrom} mission file` });
+        }
+        if (prepared.drone?.id && !this.droneManager.getDroneById(prepared.drone.id)) {
+            notes.push({ type: 'warning', message: `Drone "${prepared.drone.name}" is not in this browser; the current one stays selected` });
+        }
+        report.forEach(line => notes.push({ type: 'warning', message: `Not converted: ${line}` }));
+        document.getElementById('import-preview-notes').innerHTML = notes.map(note => `
+            <div class="warning-item ${note.type}">
+                <span class="warning-icon">${note.type === 'warning' ? '!' : 'i'}</span>
+                <span>${esc(note.message)}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('import-preview-source').textContent = fileName;
+        document.getElementById('import-preview').style.display = 'block';
+        this.drawImportPreview(prepared);
+    }
+
+    // Rows of {label, before, after} comparing two missions in the saved format
+    importDiff(current, incoming) {
+        const located = (waypoints) => waypoints.filter(wp => WaypointTypes.isPath(wp.type));
+        const distance = (waypoints) => {
+            const path = located(waypoints);
+            let total = 0;
+            for (let i = 1; i < path.length; i++) {
+                total += GeoUtils.distance(path[i - 1].latitude, path[i - 1].longitude, path[i].latitude, path[i].longitude);
+            }
+            return `${(total / 1000).toFixed(2)} km`;
+        };
+
+        // Items compared position by position
+        const same = (a, b) => a.type === b.type && a.latitude === b.latitude && a.longitude === b.longitude &&
+            a.altitude === b.altitude && a.altitudeFrame === b.altitudeFrame && (a.speed ?? null) === (b.speed ?? null) &&
+            (a.hoverTime || 0) === (b.hoverTime || 0) && JSON.stringify(a.params || {}) === JSON.stringify(b.params || {});
+        const shared = Math.min(current.waypoints.length, incoming.waypoints.length);
+        let changed = 0;
+        for (let i = 0; i < shared; i++) {
+            if (!same(current.waypoints[i], incoming.waypoints[i])) changed++;
+        }
+        const added = Math.max(0, incoming.waypoints.length - current.waypoints.length);
+        const removed = Math.max(0, current.waypoints.length - incoming.waypoints.length);
+
+        const surveyLabel = (mission) => mission.survey ? `Grid, ${mission.survey.photoCount} photos` :
+            mission.surveyArea ? 'Area only' : 'None';
+
+        const rows = [
+            { label: 'Drone', before: current.drone?.name || 'None', after: incoming.drone?.name || current.drone?.name || 'None' },
+            { label: 'Items', before: current.waypoints.length, after: incoming.waypoints.length },
+            {
+                label: 'Changes',
+                before: '',
+                after: changed + added + removed === 0 ? 'None' : `${changed} changed, ${added} added, ${removed} removed`,
+                changed: changed + added + removed > 0
+            },
+            { label: 'Distance', before: distance(current.waypoints), after: distance(incoming.waypoints) },
+            { label: 'Geofences', before: current.geofences.length, after: incoming.geofences.length },
+            { label: 'Rally points', before: current.rallyPoints.length, after: incoming.rallyPoints.length },
+            { label: 'Survey', before: surveyLabel(current), after: surveyLabel(incoming) }
+        ];
+
+        // Settings only change when the file has them
+        if (incoming.parameters) {
+            MISSION_PARAMETERS.forEach(([key, label]) => {
+                const before = current.parameters[key] ?? '-';
+                const after = incoming.parameters[key] ?? '-';
+                if (before !== after) rows.push({ label: label, before: before, after: after });
+            });
+        }
+        return rows;
+    }
+
+    // The imported path and areas drawn over the current plan while the preview is open
+    drawImportPreview(mission) {
+        const style = { color: '#f97316', weight: 2, dashArray: '6, 6', interactive: false };
+        const layers = [];
+        const path = mission.waypoints.filter(wp => WaypointTypes.isPath(wp.type)).map(wp => [wp.latitude, wp.longitude]);
+        if (path.length > 0) layers.push(L.polyline(path, style));
+        const area = mission.survey ? mission.survey.polygon : mission.surveyArea;
+        if (area) layers.push(L.polygon(area.map(p => [p.lat, p.lng]), { ...style, fillOpacity: 0.05 }));
+        Geofence.normalize(mission.geofences).forEach(fence => {
+            layers.push(fence.shape === 'circle' ?
+                L.circle([fence.center.lat, fence.center.lng], { ...style, radius: fence.radius, fillOpacity: 0 }) :
+                L.polygon(fence.points.map(p => [p.lat, p.lng]), { ...style, fillOpacity: 0 }));
+        });
+        if (layers.length === 0) return;
+
+        this.importPreviewLayer = L.featureGroup(layers).addTo(this.map);
+        this.map.fitBounds(this.importPreviewLayer.getBounds(), { padding: [50, 50] });
+    }
+
+    confirmImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        this.cancelImport();
+        try {
+            this.loadMissionData(pending.mission, `Import ${pending.fileName}`);
+            this.libraryMissionId = null;
+        } catch (error) {
+            console.error('Error importing mission:', error);
+            alert('Error importing mission file, the current mission was kept: ' + error.message);
+        }
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        if (this.importPreviewLayer) {
+            this.map.removeLayer(this.importPreviewLayer);
+            this.importPreviewLayer = null;
+        }
+        document.getElementById('import-preview').style.display = 'none';
+    }
+
     // Map Controls
     locateUser() {
         if (navigator.geolocation) {
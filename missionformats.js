@@ -0,0 +1,262 @@
+// Mission exchange with other ground stations: QGroundControl .plan files and the
+// QGC WPL 110 .waypoints text format that ArduPilot Mission Planner also reads
+
+const QGC_FIRMWARE_ARDUPILOT = 3;
+const QGC_WPL_HEADER = 'QGC WPL 110';
+
+// Commands whose params 5-7 are a position rather than plain values
+const MISSION_LOCATED_COMMANDS = new Set([
+    MAV_CMD.NAV_WAYPOINT,
+    MAV_CMD.NAV_LOITER_TURNS,
+    MAV_CMD.NAV_LOITER_TIME,
+    MAV_CMD.NAV_LAND,
+    MAV_CMD.NAV_TAKEOFF,
+    MAV_CMD.DO_SET_ROI_LOCATION
+]);
+
+// Files store the float-coordinate frames; the link uses their _INT counterparts
+const MAV_FRAME_FOR_FILE = {
+    [MAV_FRAME.GLOBAL_INT]: MAV_FRAME.GLOBAL,
+    [MAV_FRAME.GLOBAL_RELATIVE_ALT_INT]: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+    [MAV_FRAME.GLOBAL_TERRAIN_ALT_INT]: MAV_FRAME.GLOBAL_TERRAIN_ALT
+};
+
+class MissionFormats {
+    // Which format a file is in, from its name and then its first bytes; null if neither
+    static detect(fileName, text) {
+        if (/\.plan$/i.test(fileName)) return 'plan';
+        if (/\.(waypoints|txt)$/i.test(fileName) || text.startsWith('QGC WPL')) return 'waypoints';
+        if (/\.json$/i.test(fileName)) {
+            try {
+                return JSON.parse(text).fileType === 'Plan' ? 'plan' : null;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // The link frame for one read from a file
+    static linkFrame(frame) {
+        const linked = Object.keys(MAV_FRAME_FOR_FILE).find(key => MAV_FRAME_FOR_FILE[key] === frame);
+        return linked === undefined ? frame : Number(linked);
+    }
+
+    // MISSION_ITEM_INT fields to param1..param7, with positions in degrees
+    static itemParams(item) {
+        const located = MISSION_LOCATED_COMMANDS.has(item.command);
+        return [
+            item.param1, item.param2, item.param3, item.param4,
+            located ? item.x / 1e7 : item.x,
+            located ? item.y / 1e7 : item.y,
+            item.z
+        ];
+    }
+
+    // And back; missing params (QGC writes NaN as null) stay NaN
+    static paramsItem(command, frame, params, autocontinue = 1) {
+        const value = (i) => params[i] === null || params[i] === undefined ? NaN : Number(params[i]);
+        const located = MISSION_LOCATED_COMMANDS.has(command);
+        return {
+            command: command,
+            frame: frame,
+            current: 0,
+            autocontinue: autocontinue ? 1 : 0,
+            param1: value(0),
+            param2: value(1),
+            param3: value(2),
+            param4: value(3),
+            x: located ? Math.round(value(4) * 1e7) : value(4) || 0,
+            y: located ? Math.round(value(5) * 1e7) : value(5) || 0,
+            z: value(6) || 0
+        };
+    }
+
+    // Item 0 from MissionItems is the home position at homeAltitude above sea level
+    static missionItems(mission, homeAltitude) {
+        const items = MissionItems.fromWaypoints(mission.waypoints);
+        if (items.length > 0) items[0].z = homeAltitude;
+        return items;
+    }
+
+    // Saved-mission waypoints, geofences and rally points from the items of another station.
+    // The report lists everything that had no equivalent here.
+    static toMission(items, geofences, rallyPoints, report) {
+        const { waypoints, skipped } = MissionItems.toWaypoints(items);
+        report.push(...skipped);
+
+        // Home comes in above sea level; the planner flies relative to it
+        const home = waypoints.find(wp => wp.type === 'home');
+        if (home) {
+            home.altitude = 0;
+            home.altitudeFrame = 'relative';
+        }
+
+        return {
+            waypoints: waypoints.map((wp, index) => ({ index: index, ...wp })),
+            geofences: geofences,
+            rallyPoints: rallyPoints
+        };
+    }
+
+    static toPlan(mission, homeAltitude = 0) {
+        const items = MissionFormats.missionItems(mission, homeAltitude);
+        const home = items[0];
+        const fences = Geofence.normalize(mission.geofences);
+
+        const plan = {
+            fileType: 'Plan',
+            groundStation: 'QGroundControl',
+            version: 1,
+            mission: {
+                version: 2,
+                firmwareType: QGC_FIRMWARE_ARDUPILOT,
+                vehicleType: MAV_TYPE_BY_DRONE[mission.drone?.type] || MAV_TYPE_BY_DRONE.quadcopter,
+                cruiseSpeed: mission.parameters?.defaultSpeed || 15,
+                hoverSpeed: mission.parameters?.defaultSpeed || 5,
+                plannedHomePosition: home ? [home.x / 1e7, home.y / 1e7, homeAltitude] : [0, 0, 0],
+                items: items.slice(1).map((item, i) => ({
+                    type: 'SimpleItem',
+                    autoContinue: true,
+                    command: item.command,
+                    doJumpId: i + 1,
+                    frame: MISSION_LOCATED_COMMANDS.has(item.command) ?
+                        MAV_FRAME_FOR_FILE[item.frame] ?? item.frame : MAV_FRAME.MISSION,
+                    params: MissionFormats.itemParams(item)
+                }))
+            },
+            geoFence: {
+                version: 2,
+                // QGC fences have no altitude band
+                polygons: fences.filter(f => f.shape === 'polygon').map(fence => ({
+                    inclusion: fence.type === 'inclusion',
+                    polygon: fence.points.map(p => [p.lat, p.lng]),
+                    version: 1
+                })),
+                circles: fences.filter(f => f.shape === 'circle').map(fence => ({
+                    circle: { center: [fence.center.lat, fence.center.lng], radius: fence.radius },
+                    inclusion: fence.type === 'inclusion',
+                    version: 1
+                }))
+            },
+            rallyPoints: {
+                version: 2,
+                points: (mission.rallyPoints || []).map(p => [p.lat, p.lng, p.altitude])
+            }
+        };
+
+        return JSON.stringify(plan, null, 4);
+    }
+
+    static fromPlan(text) {
+        const plan = JSON.parse(text);
+        if (plan.fileType !== 'Plan' || !plan.mission) {
+            throw new Error('Not a QGroundControl plan file');
+        }
+
+        const report = [];
+        const home = plan.mission.plannedHomePosition || [0, 0, 0];
+        const items = [MissionFormats.paramsItem(MAV_CMD.NAV_WAYPOINT, MAV_FRAME.GLOBAL_INT, [0, 0, 0, 0, ...home])];
+        const seqByJumpId = {};
+
+        // Surveys and other complex items carry the simple items they were expanded into.
+        // Only top-level items can be jumped to.
+        const addItem = (entry, label, nested = false) => {
+            if (!nested && entry.doJumpId !== undefined) seqByJumpId[entry.doJumpId] = items.length;
+
+            if (entry.type === 'SimpleItem') {
+                items.push(MissionFormats.paramsItem(entry.command, MissionFormats.linkFrame(entry.frame),
+                    entry.params || [], entry.autoContinue !== false));
+            } else if (entry.TransectStyleComplexItem?.Items) {
+                entry.TransectStyleComplexItem.Items.forEach(inner => addItem(inner, label, true));
+            } else {
+                report.push(`${label}: ${entry.complexItemType || entry.type || 'unknown'} item has no waypoints to convert`);
+            }
+        };
+        (plan.mission.items || []).forEach((entry, i) => addItem(entry, `Item ${i + 1}`));
+
+        // Jumps name their target by doJumpId, which only matches the sequence without complex items
+        items.forEach(item => {
+            if (item.command === MAV_CMD.DO_JUMP && seqByJumpId[item.param1] !== undefined) {
+                item.param1 = seqByJumpId[item.param1];
+            }
+        });
+
+        const fence = plan.geoFence || {};
+        const geofences = [
+            ...(fence.polygons || []).map((polygon, i) => ({
+                name: `Imported polygon ${i + 1}`,
+                type: polygon.inclusion === false ? 'exclusion' : 'inclusion',
+                shape: 'polygon',
+                points: (polygon.polygon || []).map(([lat, lng]) => ({ lat: lat, lng: lng })),
+                floor: 0,
+                ceiling: null
+            })),
+            ...(fence.circles || []).map((circle, i) => ({
+                name: `Imported circle ${i + 1}`,
+                type: circle.inclusion === false ? 'exclusion' : 'inclusion',
+                shape: 'circle',
+                center: { lat: circle.circle.center[0], lng: circle.circle.center[1] },
+                radius: circle.circle.radius,
+                floor: 0,
+                ceiling: null
+            }))
+        ];
+        if (fence.breachReturn) {
+            report.push('Geofence breach return point is not supported');
+        }
+
+        const rallyPoints = (plan.rallyPoints?.points || []).map(([lat, lng, altitude]) => ({
+            lat: lat, lng: lng, altitude: altitude || 0
+        }));
+
+        return { mission: MissionFormats.toMission(items, geofences, rallyPoints, report), report: report };
+    }
+
+    // One tab-separated line per item: seq, current, frame, command, param1-7, autocontinue
+    static toWaypointsFile(mission, homeAltitude = 0) {
+        const items = MissionFormats.missionItems(mission, homeAltitude);
+        const lines = items.map((item, seq) => {
+            const params = MissionFormats.itemParams(item).map(value => isNaN(value) ? 0 : value);
+            const frame = seq === 0 ? MAV_FRAME.GLOBAL : MAV_FRAME_FOR_FILE[item.frame] ?? item.frame;
+            return [
+                seq,
+                seq === 0 ? 1 : 0,
+                frame,
+                item.command,
+                ...params.slice(0, 4).map(value => Number(value.toFixed(6))),
+                params[4].toFixed(8),
+                params[5].toFixed(8),
+                Number(params[6].toFixed(6)),
+                item.autocontinue
+            ].join('\t');
+        });
+
+        return [QGC_WPL_HEADER, ...lines].join('\n') + '\n';
+    }
+
+    static fromWaypointsFile(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        if (!lines[0] || !lines[0].startsWith('QGC WPL')) {
+            throw new Error('Not a QGC WPL waypoint file');
+        }
+
+        const report = [];
+        const items = [];
+        lines.slice(1).forEach((line, i) => {
+            const fields = line.split(/\s+/).map(Number);
+            if (fields.length < 12 || fields.some(isNaN)) {
+                report.push(`Line ${i + 2}: not a waypoint line`);
+                return;
+            }
+
+            const [, , frame, command, ...rest] = fields;
+            items.push(MissionFormats.paramsItem(command, MissionFormats.linkFrame(frame), rest.slice(0, 7), rest[7]));
+        });
+
+        if (items.length === 0) {
+            throw new Error('The file has no waypoints');
+        }
+        return { mission: MissionFormats.toMission(items, [], [], report), report: report };
+    }
+}
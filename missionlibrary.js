@@ -0,0 +1,169 @@
+// The saved missions library: missions kept in this browser with their folders and tags, and the
+// versions each one replaced when it was saved over
+
+const MISSION_VERSION_LIMIT = 20; // earlier versions kept per mission
+const MISSION_THUMBNAIL_WIDTH = 96;
+const MISSION_THUMBNAIL_HEIGHT = 64;
+
+const MISSION_LIBRARY_SORTS = {
+    date: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+    name: (a, b) => a.name.localeCompare(b.name),
+    distance: (a, b) => (b.summary.distance || 0) - (a.summary.distance || 0),
+    duration: (a, b) => (b.summary.duration || 0) - (a.summary.duration || 0)
+};
+
+class MissionLibrary {
+    // Missions saved before the library have no folder, tags or numeric stats
+    static normalize(mission) {
+        const summary = mission.summary || {};
+        return {
+            ...mission,
+            folder: mission.folder || '',
+            tags: mission.tags || [],
+            updatedAt: mission.updatedAt || mission.createdAt,
+            summary: {
+                ...summary,
+                distance: summary.distance ?? (parseFloat(summary.totalDistance) || 0) * 1000,
+                duration: summary.duration ?? null,
+                waypointCount: summary.waypointCount ?? (mission.waypoints || []).length
+            }
+        };
+    }
+
+    static async list() {
+        const missions = await Database.getAll('missions');
+        return missions.map(MissionLibrary.normalize);
+    }
+
+    static async get(id) {
+        const mission = await Database.get('missions', id);
+        return mission ? MissionLibrary.normalize(mission) : null;
+    }
+
+    static versionRange(id) {
+        return IDBKeyRange.bound([id, 0], [id, Infinity]);
+    }
+
+    // Adds a mission, or saves over the one with its id and keeps what was there as a version.
+    // The oldest versions past the limit go in the same transaction.
+    static async save(mission) {
+        await Database.run(['missions', 'missionVersions'], 'readwrite', tx => {
+            const missions = tx.objectStore('missions');
+            const versions = tx.objectStore('missionVersions');
+            const existing = missions.get(mission.id);
+
+            existing.onsuccess = () => {
+                missions.put(mission);
+                if (!existing.result) return;
+
+                const kept = versions.getAllKeys(MissionLibrary.versionRange(mission.id));
+                kept.onsuccess = () => {
+                    const numbers = kept.result.map(([, version]) => version);
+                    versions.put({ ...existing.result, missionId: mission.id, version: (numbers[numbers.length - 1] || 0) + 1 });
+                    numbers.slice(0, Math.max(0, numbers.length + 1 - MISSION_VERSION_LIMIT))
+                        .forEach(version => versions.delete([mission.id, version]));
+                };
+            };
+        });
+        return mission;
+    }
+
+    // Name, folder and tag changes; these don't make a new version
+    static update(id, changes) {
+        return Database.run('missions', 'readwrite', tx => {
+            const missions = tx.objectStore('missions');
+            const request = missions.get(id);
+            request.onsuccess = () => {
+                if (request.result) missions.put({ ...request.result, ...changes });
+            };
+        });
+    }
+
+    // A copy under a new name with a history of its own
+    static async duplicate(id) {
+        const original = await MissionLibrary.get(id);
+        if (!original) return null;
+
+        const now = new Date().toISOString();
+        return MissionLibrary.save({ ...original, id: Date.now().toString(), name: `${original.name} (copy)`, createdAt: now, updatedAt: now });
+    }
+
+    static remove(id) {
+        return Database.run(['missions', 'missionVersions'], 'readwrite', tx => {
+            tx.objectStore('missions').delete(id);
+            tx.objectStore('missionVersions').delete(MissionLibrary.versionRange(id));
+        });
+    }
+
+    // Newest first
+    static async versions(id) {
+        const versions = await Database.getAll('missionVersions', MissionLibrary.versionRange(id));
+        return versions.reverse();
+    }
+
+    static version(id, number) {
+        return Database.get('missionVersions', [id, number]);
+    }
+
+    // Earlier versions kept for each mission id, without loading them
+    static async versionCounts() {
+        const keys = await Database.run('missionVersions', 'readonly', tx => tx.objectStore('missionVersions').getAllKeys());
+        const counts = {};
+        keys.forEach(([missionId]) => counts[missionId] = (counts[missionId] || 0) + 1);
+        return counts;
+    }
+
+    static folders(missions) {
+        return [...new Set(missions.map(m => m.folder).filter(folder => folder))].sort();
+    }
+
+    // Lower case without accents, so "zurich" finds Zürich
+    static searchText(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Missions whose name, drone, place, folder or tags contain every word of the query
+    static search(missions, { query = '', folder = '', sort = 'date' } = {}) {
+        const words = MissionLibrary.searchText(query).split(/\s+/).filter(word => word);
+        return missions
+            .filter(mission => !folder || mission.folder === folder)
+            .filter(mission => {
+                const text = MissionLibrary.searchText(
+                    [mission.name, mission.drone?.name, mission.summary.place, mission.folder, ...mission.tags]
+                        .filter(value => value)
+                        .join(' '));
+                return words.every(word => text.includes(word));
+            })
+            .sort(MISSION_LIBRARY_SORTS[sort] || MISSION_LIBRARY_SORTS.date);
+    }
+
+    // The route as a small SVG, scaled to fit with north up
+    static thumbnail(mission) {
+        const points = (mission.waypoints || [])
+            .filter(wp => WaypointTypes.isPath(wp.type) && isFinite(wp.latitude) && isFinite(wp.longitude));
+        const empty = `<svg class="library-thumbnail" viewBox="0 0 ${MISSION_THUMBNAIL_WIDTH} ${MISSION_THUMBNAIL_HEIGHT}"></svg>`;
+        if (points.length === 0) return empty;
+
+        const origin = points[0];
+        const local = points.map(wp => GeoUtils.toLocal(origin.latitude, origin.longitude, wp.latitude, wp.longitude));
+        const minX = Math.min(...local.map(p => p.x));
+        const maxY = Math.max(...local.map(p => p.y));
+        const spanX = Math.max(...local.map(p => p.x)) - minX;
+        const spanY = maxY - Math.min(...local.map(p => p.y));
+        const pad = 6;
+        const scale = Math.min((MISSION_THUMBNAIL_WIDTH - 2 * pad) / (spanX || 1), (MISSION_THUMBNAIL_HEIGHT - 2 * pad) / (spanY || 1));
+
+        // Centered in the box; SVG y runs down, so north is flipped
+        const offsetX = (MISSION_THUMBNAIL_WIDTH - spanX * scale) / 2;
+        const offsetY = (MISSION_THUMBNAIL_HEIGHT - spanY * scale) / 2;
+        const svgPoints = local.map(p => [
+            (offsetX + (p.x - minX) * scale).toFixed(1),
+            (offsetY + (maxY - p.y) * scale).toFixed(1)
+        ]);
+
+        return `<svg class="library-thumbnail" viewBox="0 0 ${MISSION_THUMBNAIL_WIDTH} ${MISSION_THUMBNAIL_HEIGHT}">` +
+            `<polyline points="${svgPoints.map(p => p.join(',')).join(' ')}" fill="none" stroke="#3b82f6" stroke-width="1.5" stroke-linejoin="round"/>` +
+            `<circle cx="${svgPoints[0][0]}" cy="${svgPoints[0][1]}" r="2.5" fill="#10b981"/>` +
+            '</svg>';
+    }
+}
@@ -0,0 +1,215 @@
+// The mission file format: its version history, migrations from older files and validation on import
+
+// metadata.version of the files this build writes. Files without metadata predate versioning and
+// are read as version 1, the format of the first release.
+const MISSION_SCHEMA_VERSION = 2;
+
+// Each entry upgrades a mission by one version, from 1 to 2 first. Append new migrations;
+// never edit old ones.
+const MISSION_MIGRATIONS = [
+    // 2: altitude frames, wind aloft, geofences, rally points and surveys. Version 1 files have
+    // none of these, so everything missing gets the value the planner used before them.
+    (mission) => {
+        const parameters = mission.parameters;
+        return {
+            ...mission,
+            parameters: parameters && {
+                ...parameters,
+                windDirection: parameters.windDirection ?? 0,
+                windGust: parameters.windGust ?? null,
+                windLayers: parameters.windLayers || [],
+                altitudeFrame: parameters.altitudeFrame || 'relative',
+                terrainClearance: parameters.terrainClearance ?? 30
+            },
+            waypoints: (mission.waypoints || []).map(wp => ({
+                ...wp,
+                type: wp.type || 'waypoint',
+                altitudeFrame: wp.altitudeFrame || 'relative',
+                hoverTime: wp.hoverTime || 0
+            })),
+            geofences: mission.geofences || [],
+            rallyPoints: mission.rallyPoints || [],
+            survey: mission.survey || null
+        };
+    }
+];
+
+class MissionSchema {
+    // The version a file was written as; '1.0' and 1 are both version 1
+    static version(mission) {
+        const version = mission.metadata?.version;
+        return version === undefined || version === null ? 1 : parseInt(version, 10);
+    }
+
+    // The mission brought up to the current version. Throws for files from a newer build.
+    static migrate(mission) {
+        const from = MissionSchema.version(mission);
+        if (!(from >= 1)) {
+            throw new Error(`metadata.version: "${mission.metadata.version}" is not a mission file version`);
+        }
+        if (from > MISSION_SCHEMA_VERSION) {
+            throw new Error(`metadata.version: version ${from} files need a newer planner (this one reads up to ${MISSION_SCHEMA_VERSION})`);
+        }
+
+        let migrated = mission;
+        for (let version = from; version < MISSION_SCHEMA_VERSION; version++) {
+            migrated = MISSION_MIGRATIONS[version - 1](migrated);
+        }
+        return {
+            ...migrated,
+            metadata: { ...migrated.metadata, version: MISSION_SCHEMA_VERSION }
+        };
+    }
+
+    // Field-level problems with a current-version mission, as "path: problem" lines. Empty when
+    // the mission can be loaded as it is.
+    static validate(mission) {
+        const errors = [];
+        const fail = (path, problem) => errors.push(`${path}: ${problem}`);
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        // A number within [min, max]; null/undefined pass when optional
+        const number = (path, value, { min = -Infinity, max = Infinity, optional = false } = {}) => {
+            if (optional && (value === null || value === undefined)) return;
+            if (typeof value !== 'number' || !isFinite(value)) {
+                fail(path, 'must be a number');
+            } else if (value < min || value > max) {
+                fail(path, max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+            }
+        };
+        const oneOf = (path, value, allowed) => {
+            if (!allowed.includes(value)) fail(path, `must be one of ${allowed.join(', ')}`);
+        };
+        const position = (path, point, lat = 'lat', lng = 'lng') => {
+            if (!isObject(point)) return fail(path, 'must be an object');
+            number(`${path}.${lat}`, point[lat], { min: -90, max: 90 });
+            number(`${path}.${lng}`, point[lng], { min: -180, max: 180 });
+        };
+        const polygon = (path, points) => {
+            if (!Array.isArray(points) || points.length < 3) return fail(path, 'must be a list of at least three points');
+            points.forEach((point, i) => position(`${path}[${i}]`, point));
+        };
+
+        if (!isObject(mission)) return ['mission: must be a JSON object'];
+
+        if (mission.drone !== undefined && mission.drone !== null && !isObject(mission.drone)) {
+            fail('drone', 'must be an object');
+        }
+
+        // Files converted from other formats have no settings; the current ones are kept
+        const parameters = mission.parameters;
+        if (parameters !== undefined && parameters !== null && !isObject(parameters)) {
+            fail('parameters', 'must be an object');
+        } else if (parameters) {
+            number('parameters.defaultAltitude', parameters.defaultAltitude, { min: 0, optional: true });
+            number('parameters.defaultSpeed', parameters.defaultSpeed, { min: 0, optional: true });
+            number('parameters.safetyReserve', parameters.safetyReserve, { min: 0, max: 100, optional: true });
+            number('parameters.windSpeed', parameters.windSpeed, { min: 0, optional: true });
+            number('parameters.windDirection', parameters.windDirection, { min: 0, max: 360 });
+            number('parameters.windGust', parameters.windGust, { min: 0, optional: true });
+            number('parameters.terrainClearance', parameters.terrainClearance, { min: 0 });
+            oneOf('parameters.altitudeFrame', parameters.altitudeFrame, Object.keys(WAYPOINT_FIELDS.altitudeFrame.options));
+            if (!Array.isArray(parameters.windLayers)) {
+                fail('parameters.windLayers', 'must be a list');
+            } else {
+                parameters.windLayers.forEach((layer, i) => {
+                    const path = `parameters.windLayers[${i}]`;
+                    if (!isObject(layer)) return fail(path, 'must be an object');
+                    number(`${path}.altitude`, layer.altitude, { min: 0 });
+                    number(`${path}.speed`, layer.speed, { min: 0 });
+                    number(`${path}.direction`, layer.direction, { min: 0, max: 360 });
+                });
+            }
+        }
+
+        if (!Array.isArray(mission.waypoints)) {
+            fail('waypoints', 'must be a list');
+        } else {
+            mission.waypoints.forEach((wp, i) => {
+                const path = `waypoints[${i}]`;
+                if (!isObject(wp)) return fail(path, 'must be an object');
+                if (!WAYPOINT_TYPES[wp.type]) {
+                    return fail(`${path}.type`, `"${wp.type}" is not a mission item type`);
+                }
+
+                if (WaypointTypes.isLocated(wp.type)) {
+                    position(path, wp, 'latitude', 'longitude');
+                    number(`${path}.altitude`, wp.altitude);
+                }
+                oneOf(`${path}.altitudeFrame`, wp.altitudeFrame, Object.keys(WAYPOINT_FIELDS.altitudeFrame.options));
+                number(`${path}.speed`, wp.speed, { min: 0, optional: true });
+                number(`${path}.hoverTime`, wp.hoverTime, { min: 0, optional: true });
+
+                if (wp.params !== undefined && wp.params !== null && !isObject(wp.params)) {
+                    fail(`${path}.params`, 'must be an object');
+                } else if (wp.type === 'jump' && wp.params) {
+                    number(`${path}.params.jumpTarget`, wp.params.jumpTarget, { min: 1, max: mission.waypoints.length });
+                }
+            });
+            if (mission.waypoints.filter(wp => wp && wp.type === 'home').length > 1) {
+                fail('waypoints', 'has more than one home point');
+            }
+        }
+
+        if (!Array.isArray(mission.geofences)) {
+            fail('geofences', 'must be a list');
+        } else {
+            mission.geofences.forEach((fence, i) => {
+                const path = `geofences[${i}]`;
+                if (!isObject(fence)) return fail(path, 'must be an object');
+                oneOf(`${path}.type`, fence.type, ['inclusion', 'exclusion']);
+                oneOf(`${path}.shape`, fence.shape, ['polygon', 'circle']);
+                number(`${path}.floor`, fence.floor, { min: 0, optional: true });
+                number(`${path}.ceiling`, fence.ceiling, { min: 0, optional: true });
+                if (fence.shape === 'circle') {
+                    position(`${path}.center`, fence.center);
+                    number(`${path}.radius`, fence.radius, { min: 0.1 });
+                } else if (fence.shape === 'polygon') {
+                    polygon(`${path}.points`, fence.points);
+                }
+            });
+        }
+
+        if (!Array.isArray(mission.rallyPoints)) {
+            fail('rallyPoints', 'must be a list');
+        } else {
+            mission.rallyPoints.forEach((point, i) => {
+                position(`rallyPoints[${i}]`, point);
+                if (isObject(point)) number(`rallyPoints[${i}].altitude`, point.altitude);
+            });
+        }
+
+        if (mission.survey !== null && !isObject(mission.survey)) {
+            fail('survey', 'must be an object');
+        } else if (mission.survey) {
+            polygon('survey.polygon', mission.survey.polygon);
+        }
+        if (mission.surveyArea !== undefined && mission.surveyArea !== null) {
+            polygon('surveyArea', mission.surveyArea);
+        }
+
+        return errors;
+    }
+
+    // {mission, errors, migratedFrom} for a mission read from a file: brought up to date, then
+    // checked. migratedFrom is the version it was written as when that wasn't the current one.
+    static prepare(mission) {
+        if (mission === null || typeof mission !== 'object' || Array.isArray(mission)) {
+            return { mission: null, errors: ['mission: must be a JSON object'], migratedFrom: null };
+        }
+
+        let migrated;
+        try {
+            migrated = MissionSchema.migrate(mission);
+        } catch (error) {
+            return { mission: null, errors: [error.message], migratedFrom: null };
+        }
+
+        const from = MissionSchema.version(mission);
+        return {
+            mission: migrated,
+            errors: MissionSchema.validate(migrated),
+            migratedFrom: mission.metadata && from !== MISSION_SCHEMA_VERSION ? from : null
+        };
+    }
+}
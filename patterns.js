@@ -0,0 +1,88 @@
+// Inspection patterns: orbits around a point of interest and corridor scans along a line
+
+const ORBIT_MIN_POINTS = 8; // waypoints per turn
+const ORBIT_MAX_CHORD = 20; // meters between orbit waypoints
+
+class MissionPatterns {
+    // Circular or helical orbit around a POI. options: radius, turns, altitude, altitudeStep (per turn),
+    // clockwise, startBearing, poiAltitude. Every waypoint looks at the POI.
+    static orbit(center, options) {
+        if (!(options.radius > 0) || !(options.turns > 0)) {
+            throw new Error('Orbit radius and turns must be above 0');
+        }
+
+        const perTurn = Math.max(ORBIT_MIN_POINTS, Math.ceil(2 * Math.PI * options.radius / ORBIT_MAX_CHORD));
+        const count = Math.round(options.turns * perTurn);
+        const direction = options.clockwise ? 1 : -1;
+        const poi = { lat: center.lat, lng: center.lng, altitude: options.poiAltitude || 0 };
+        const waypoints = [];
+
+        for (let i = 0; i <= count; i++) {
+            const bearing = GeoUtils.normalizeHeading(options.startBearing + direction * i * 360 / perTurn);
+            const point = GeoUtils.destination(center.lat, center.lng, bearing, options.radius);
+            waypoints.push({
+                lat: point.lat,
+                lng: point.lng,
+                altitude: options.altitude + options.altitudeStep * i / perTurn,
+                poi: poi
+            });
+        }
+        return waypoints;
+    }
+
+    // Parallel passes either side of a centre line, flown back and forth. options: width, passes, altitude.
+    // Each waypoint looks at the matching point on the centre line.
+    static corridor(line, options) {
+        if (line.length < 2) {
+            throw new Error('A corridor needs at least 2 points');
+        }
+
+        const origin = line[0];
+        const local = line.map(p => GeoUtils.toLocal(origin.lat, origin.lng, p.lat, p.lng));
+        const normals = MissionPatterns.vertexNormals(local);
+        const passes = Math.max(1, Math.round(options.passes));
+        const waypoints = [];
+
+        for (let pass = 0; pass < passes; pass++) {
+            const offset = passes === 1 ? 0 : -options.width / 2 + pass * options.width / (passes - 1);
+            const indices = local.map((p, i) => i);
+            if (pass % 2 === 1) indices.reverse();
+
+            indices.forEach(i => {
+                const point = GeoUtils.fromLocal(origin.lat, origin.lng,
+                    local[i].x + normals[i].x * offset, local[i].y + normals[i].y * offset);
+                waypoints.push({
+                    lat: point.lat,
+                    lng: point.lng,
+                    altitude: options.altitude,
+                    poi: { lat: line[i].lat, lng: line[i].lng, altitude: 0 }
+                });
+            });
+        }
+        return waypoints;
+    }
+
+    // Left-hand normals at each vertex, mitred so parallel passes keep their spacing through bends
+    static vertexNormals(points) {
+        const segmentNormals = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const dx = points[i + 1].x - points[i].x;
+            const dy = points[i + 1].y - points[i].y;
+            const length = Math.hypot(dx, dy) || 1;
+            segmentNormals.push({ x: -dy / length, y: dx / length });
+        }
+
+        return points.map((p, i) => {
+            const before = segmentNormals[Math.max(0, i - 1)];
+            const after = segmentNormals[Math.min(segmentNormals.length - 1, i)];
+            const x = before.x + after.x;
+            const y = before.y + after.y;
+            const length = Math.hypot(x, y);
+            if (length < 1e-6) return before;
+
+            // Scale by 1 / cos(half the bend), capped so hairpins don't shoot off
+            const scale = 1 / Math.max(0.5, (x * after.x + y * after.y) / length);
+            return { x: x / length * scale, y: y / length * scale };
+        });
+    }
+}
@@ -0,0 +1,113 @@
+// Camera recording to WebM, optionally with telemetry burned in through a canvas
+
+const VIDEO_RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_OSD_FRAME_RATE = 30;
+
+class VideoRecorder {
+    // `overlay` returns the OSD text lines for the current frame, or is null for a clean feed
+    constructor(stream, overlay = null) {
+        this.source = stream;
+        this.overlay = overlay;
+        this.mimeType = VIDEO_RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this.chunks = [];
+        this.mediaRecorder = null;
+        this.drawTimer = null;
+        this.startedAt = null;
+    }
+
+    async start() {
+        const stream = this.overlay ? await this.createOverlayStream() : this.source;
+
+        this.mediaRecorder = new MediaRecorder(stream, this.mimeType ? { mimeType: this.mimeType } : {});
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.mediaRecorder.start(1000);
+        this.startedAt = Date.now();
+    }
+
+    // Draws the camera into a canvas with the OSD on top, and records the canvas instead
+    async createOverlayStream() {
+        const video = document.createElement('video');
+        video.srcObject = this.source;
+        video.muted = true;
+        video.playsInline = true;
+        await video.play();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth || 1280;
+        canvas.height = video.videoHeight || 720;
+        const ctx = canvas.getContext('2d');
+
+        // A timer rather than requestAnimationFrame keeps recording in background tabs
+        this.drawTimer = setInterval(() => {
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            this.drawOverlay(ctx, canvas.width, canvas.height);
+        }, 1000 / VIDEO_OSD_FRAME_RATE);
+
+        this.overlayVideo = video;
+        return canvas.captureStream(VIDEO_OSD_FRAME_RATE);
+    }
+
+    drawOverlay(ctx, width, height) {
+        const lines = this.overlay();
+        const fontSize = Math.max(12, Math.round(height / 36));
+        const lineHeight = fontSize * 1.3;
+        const padding = fontSize * 0.6;
+
+        ctx.save();
+        ctx.font = `600 ${fontSize}px monospace`;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2;
+        const top = height - boxHeight - padding;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(padding, top, boxWidth, boxHeight);
+
+        ctx.fillStyle = '#10b981';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, padding * 2, top + padding + i * lineHeight);
+        });
+        ctx.restore();
+    }
+
+    get recording() {
+        return this.mediaRecorder?.state === 'recording';
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            this.mediaRecorder.onstop = () => {
+                clearInterval(this.drawTimer);
+                if (this.overlayVideo) {
+                    this.overlayVideo.srcObject = null;
+                }
+                resolve(new Blob(this.chunks, { type: this.mimeType || 'video/webm' }));
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+}
+
+class RecordingStore {
+    static save(recording) {
+        return Database.put('recordings', recording);
+    }
+
+    // Newest first, metadata only
+    static async list() {
+        const recordings = await Database.getAll('recordings');
+        return recordings
+            .map(({ blob, ...meta }) => meta)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    static get(id) {
+        return Database.get('recordings', id);
+    }
+
+    static remove(id) {
+        return Database.delete('recordings', id);
+    }
+}
@@ -0,0 +1,498 @@
+// Flight dynamics models behind the simulated flight loop.
+// Every model takes the same demand - { speed, lateral, climbRate, yawRate, heading } -
+// so manual sticks and the autopilot can drive any airframe.
+
+const GRAVITY = 9.81;
+const AIR_DENSITY = 1.225;
+
+class SimulationModel {
+    constructor(drone, lat, lng) {
+        this.drone = drone;
+        this.mass = drone.weight || 1.5;
+        this.weight = this.mass * GRAVITY;
+        this.maxThrust = ((drone.motorCount || 4) * (drone.motorThrust || 1000) / 1000) * GRAVITY;
+        this.cruiseSpeed = drone.cruiseSpeed || 12;
+        this.maxSpeed = drone.maxSpeed || this.cruiseSpeed * 1.5;
+        this.capacityAh = (drone.batteryCapacity || 5000) / 1000;
+        this.voltage = drone.batteryVoltage || 22.2;
+        this.maxClimbRate = 5;
+        this.maxDescentRate = 3;
+
+        this.state = {
+            lat: lat,
+            lng: lng,
+            altitude: 0,
+            heading: 0,
+            pitch: 0,
+            roll: 0,
+            airspeed: 0,
+            groundSpeed: 0,
+            course: 0,
+            vspeed: 0,
+            current: 0,
+            onGround: true,
+            stalled: false
+        };
+
+        this.airVelocity = { north: 0, east: 0 };
+        this.turbulence = { north: 0, east: 0 };
+        this.wind = { north: 0, east: 0 };
+        this.battery = new BatteryModel(drone);
+    }
+
+    static create(drone, lat, lng) {
+        switch (drone.type) {
+            case 'fixed-wing':
+                return new FixedWingModel(drone, lat, lng);
+            case 'vtol':
+            case 'hybrid':
+                return new VtolModel(drone, lat, lng);
+            default:
+                return new MultirotorModel(drone, lat, lng);
+        }
+    }
+
+    get batteryRemaining() {
+        return this.battery.remaining;
+    }
+
+    // Total propeller disc area from the profile's propeller size ("15x5.1" in inches)
+    rotorDiscArea() {
+        const diameter = parseFloat(this.drone.propellerSize) * 0.0254;
+        const count = this.drone.motorCount || 4;
+        if (diameter > 0) {
+            return count * Math.PI * (diameter / 2) ** 2;
+        }
+        return 0.05 * this.mass;
+    }
+
+    // Electrical power to produce `thrust` newtons statically (momentum theory, 50% overall efficiency)
+    staticPower(thrust, discArea = this.rotorDiscArea()) {
+        return Math.pow(thrust, 1.5) / Math.sqrt(2 * AIR_DENSITY * discArea) / 0.5;
+    }
+
+    hoverPower() {
+        if (this.drone.hoverCurrent) {
+            return this.drone.hoverCurrent * this.voltage;
+        }
+        if (this.drone.maxFlightTime) {
+            // maxFlightTime is quoted against 80% of capacity elsewhere in the app
+            return this.capacityAh * 0.8 / (this.drone.maxFlightTime / 60) * this.voltage;
+        }
+        return this.staticPower(this.weight);
+    }
+
+    maxPower() {
+        if (this.drone.escCurrent) {
+            return this.drone.escCurrent * (this.drone.motorCount || 1) * 0.8 * this.voltage;
+        }
+        return this.staticPower(this.maxThrust);
+    }
+
+    // Wind blows from `direction`; gusts are low-passed noise scaled by `gust` (m/s)
+    windVector(wind, dt) {
+        if (!wind || (!wind.speed && !wind.gust)) {
+            return { north: 0, east: 0 };
+        }
+
+        const gust = wind.gust ?? wind.speed * 0.2;
+        const alpha = Math.min(1, dt * 0.5);
+        this.turbulence.north += ((Math.random() * 2 - 1) * gust - this.turbulence.north) * alpha;
+        this.turbulence.east += ((Math.random() * 2 - 1) * gust - this.turbulence.east) * alpha;
+
+        const from = GeoUtils.toRadians(wind.direction || 0);
+        return {
+            north: -wind.speed * Math.cos(from) + this.turbulence.north,
+            east: -wind.speed * Math.sin(from) + this.turbulence.east
+        };
+    }
+
+    step(dt, demand, wind) {
+        this.wind = this.windVector(wind, dt);
+        this.updateDynamics(dt, demand);
+        this.integratePosition(dt, this.wind);
+
+        // A sagging pack draws more current for the same power
+        this.state.current = this.computePower() / Math.max(1, this.battery.voltage);
+        this.battery.discharge(this.state.current, dt);
+    }
+
+    integratePosition(dt, wind) {
+        const s = this.state;
+
+        // Wheels and skids hold the airframe against the wind on the ground
+        const groundNorth = this.airVelocity.north + (s.onGround ? 0 : wind.north);
+        const groundEast = this.airVelocity.east + (s.onGround ? 0 : wind.east);
+
+        s.groundSpeed = Math.hypot(groundNorth, groundEast);
+        if (s.groundSpeed > 0.1) {
+            s.course = GeoUtils.normalizeHeading(GeoUtils.toDegrees(Math.atan2(groundEast, groundNorth)));
+        }
+
+        const position = GeoUtils.offset(s.lat, s.lng, groundNorth * dt, groundEast * dt);
+        s.lat = position.lat;
+        s.lng = position.lng;
+
+        s.altitude += s.vspeed * dt;
+        if (s.altitude <= 0) {
+            if (!s.onGround) {
+                this.touchdown();
+            }
+            s.altitude = 0;
+            s.vspeed = Math.max(0, s.vspeed);
+        }
+    }
+
+    touchdown() {
+        const s = this.state;
+        s.onGround = true;
+        s.stalled = false;
+        this.lastTouchdownRate = -s.vspeed;
+    }
+
+    turnRate(demand) {
+        if (demand.heading !== undefined && demand.heading !== null) {
+            const error = GeoUtils.headingDifference(this.state.heading, demand.heading);
+            return Math.max(-45, Math.min(45, error * 1.5));
+        }
+        return demand.yawRate || 0;
+    }
+
+    // Manual sticks (-1..1) to a demand; airframes override where the mapping differs
+    manualDemand(inputs) {
+        return {
+            speed: -inputs.pitch * this.maxSpeed,
+            lateral: inputs.roll * this.maxSpeed * 0.5,
+            climbRate: inputs.throttle > 0 ? inputs.throttle * this.maxClimbRate : inputs.throttle * this.maxDescentRate,
+            yawRate: inputs.yaw * 60
+        };
+    }
+}
+
+class MultirotorModel extends SimulationModel {
+    constructor(drone, lat, lng) {
+        super(drone, lat, lng);
+
+        // The tilt needed to hold max speed against drag sets the drag coefficient
+        const thrustMargin = Math.min(0.99, this.weight / this.maxThrust);
+        this.maxTilt = Math.min(GeoUtils.toRadians(35), Math.acos(thrustMargin));
+        this.dragCoefficient = GRAVITY * Math.tan(this.maxTilt) / (this.maxSpeed * this.maxSpeed);
+        this.accel = { north: 0, east: 0, up: 0 };
+    }
+
+    updateDynamics(dt, demand) {
+        const s = this.state;
+        s.heading = GeoUtils.normalizeHeading(s.heading + this.turnRate(demand) * dt);
+
+        if (s.onGround && (demand.climbRate || 0) <= 0) {
+            this.airVelocity = { north: 0, east: 0 };
+            this.accel = { north: 0, east: 0, up: 0 };
+            s.pitch = 0;
+            s.roll = 0;
+            s.vspeed = 0;
+            s.airspeed = 0;
+            return;
+        }
+
+        const h = GeoUtils.toRadians(s.heading);
+        const speed = demand.speed || 0;
+        const lateral = demand.lateral || 0;
+        let desiredNorth = speed * Math.cos(h) - lateral * Math.sin(h);
+        let desiredEast = speed * Math.sin(h) + lateral * Math.cos(h);
+
+        const desiredSpeed = Math.hypot(desiredNorth, desiredEast);
+        if (desiredSpeed > this.maxSpeed) {
+            desiredNorth *= this.maxSpeed / desiredSpeed;
+            desiredEast *= this.maxSpeed / desiredSpeed;
+        }
+
+        // Horizontal acceleration is bounded by how far the frame can tilt
+        const maxAccel = GRAVITY * Math.tan(this.maxTilt) * 0.7;
+        let accelNorth = (desiredNorth - this.airVelocity.north) / 1.2;
+        let accelEast = (desiredEast - this.airVelocity.east) / 1.2;
+        const accelMagnitude = Math.hypot(accelNorth, accelEast);
+        if (accelMagnitude > maxAccel) {
+            accelNorth *= maxAccel / accelMagnitude;
+            accelEast *= maxAccel / accelMagnitude;
+        }
+
+        this.airVelocity.north += accelNorth * dt;
+        this.airVelocity.east += accelEast * dt;
+        s.airspeed = Math.hypot(this.airVelocity.north, this.airVelocity.east);
+
+        // Attitude: thrust vector tilts to supply acceleration plus drag
+        const tiltNorth = accelNorth + this.dragCoefficient * this.airVelocity.north * s.airspeed;
+        const tiltEast = accelEast + this.dragCoefficient * this.airVelocity.east * s.airspeed;
+        const forward = tiltNorth * Math.cos(h) + tiltEast * Math.sin(h);
+        const right = -tiltNorth * Math.sin(h) + tiltEast * Math.cos(h);
+        const response = Math.min(1, dt * 6);
+        s.pitch += (-GeoUtils.toDegrees(Math.atan2(forward, GRAVITY)) - s.pitch) * response;
+        s.roll += (GeoUtils.toDegrees(Math.atan2(right, GRAVITY)) - s.roll) * response;
+
+        // Vertical: available climb acceleration shrinks as the frame tilts
+        const climbRate = Math.max(-this.maxDescentRate, Math.min(this.maxClimbRate, demand.climbRate || 0));
+        const tilt = Math.atan(Math.hypot(tiltNorth, tiltEast) / GRAVITY);
+        const maxUp = this.maxThrust * Math.cos(tilt) / this.mass - GRAVITY;
+        const accelUp = Math.max(-GRAVITY * 0.8, Math.min(maxUp, (climbRate - s.vspeed) / 0.6));
+        s.vspeed += accelUp * dt;
+
+        if (s.onGround && s.vspeed > 0) {
+            s.onGround = false;
+        }
+
+        this.accel = { north: accelNorth, east: accelEast, up: accelUp };
+    }
+
+    computePower() {
+        const s = this.state;
+        const hover = this.hoverPower();
+
+        if (s.onGround) {
+            return hover * 0.05;
+        }
+
+        // Induced power follows thrust^1.5 and falls with translational lift;
+        // parasitic power grows with the cube of airspeed
+        const horizontal = Math.hypot(this.accel.north, this.accel.east);
+        const thrustRatio = Math.hypot(GRAVITY + this.accel.up, horizontal) / GRAVITY;
+        const translationalLift = 1 / Math.sqrt(1 + (s.airspeed / (this.cruiseSpeed * 0.8)) ** 2);
+        const induced = hover * Math.pow(thrustRatio, 1.5) * translationalLift;
+        const parasitic = hover * 0.3 * Math.pow(s.airspeed / this.cruiseSpeed, 3);
+        const climb = Math.max(0, s.vspeed) * this.weight / 0.6;
+
+        return Math.min(this.maxPower(), induced + parasitic + climb + 5);
+    }
+
+    // Power once settled at a steady airspeed and climb rate, for planning ahead of a flight
+    steadyPower(airspeed, climbRate) {
+        const hover = this.hoverPower();
+        const translationalLift = 1 / Math.sqrt(1 + (airspeed / (this.cruiseSpeed * 0.8)) ** 2);
+        const parasitic = hover * 0.3 * Math.pow(airspeed / this.cruiseSpeed, 3);
+        const climb = Math.max(0, climbRate) * this.weight / 0.6;
+
+        return Math.min(this.maxPower(), hover * translationalLift + parasitic + climb + 5);
+    }
+}
+
+class FixedWingModel extends SimulationModel {
+    constructor(drone, lat, lng) {
+        super(drone, lat, lng);
+
+        this.stallSpeed = this.cruiseSpeed * 0.55;
+        this.maxBank = GeoUtils.toRadians(45);
+        this.throttle = 0;
+        this.flightPath = 0; // radians
+        this.bank = 0; // radians
+        this.speedTarget = this.cruiseSpeed;
+        this.sizeDrag();
+    }
+
+    // Parasitic drag sized so full thrust reaches max speed; induced drag
+    // puts minimum drag at 1.3x stall speed
+    sizeDrag() {
+        this.parasiticDrag = this.maxThrust * 0.9 / (this.maxSpeed * this.maxSpeed);
+        const minDragSpeed = this.stallSpeed * 1.3;
+        this.inducedDrag = this.parasiticDrag * Math.pow(minDragSpeed, 4) / (this.weight * this.weight);
+    }
+
+    manualDemand(inputs, dt = 0.05) {
+        // The pitch stick trims the airspeed target; the roll stick commands a turn
+        this.speedTarget = Math.max(0, Math.min(this.maxSpeed, this.speedTarget - inputs.pitch * 3 * dt));
+        return {
+            speed: this.speedTarget,
+            climbRate: inputs.throttle > 0 ? inputs.throttle * this.maxClimbRate : inputs.throttle * this.maxDescentRate,
+            yawRate: inputs.roll * 25 + inputs.yaw * 10
+        };
+    }
+
+    drag(speed, loadFactor) {
+        const v = Math.max(speed, 1);
+        return this.parasiticDrag * v * v + this.inducedDrag * (loadFactor * this.weight) ** 2 / (v * v);
+    }
+
+    updateDynamics(dt, demand) {
+        const s = this.state;
+        const speed = Math.max(s.airspeed, 0.1);
+        const climbDemand = demand.climbRate || 0;
+
+        // Bank to achieve the demanded turn rate (coordinated turn)
+        const turnRate = GeoUtils.toRadians(this.turnRate(demand));
+        let bankTarget = s.onGround ? 0 : Math.atan(speed * turnRate / GRAVITY);
+        bankTarget = Math.max(-this.maxBank, Math.min(this.maxBank, bankTarget));
+        const rollAuthority = s.stalled ? 0.2 : 1;
+        this.bank += (bankTarget - this.bank) * Math.min(1, dt * 2 * rollAuthority);
+
+        // Throttle from the airspeed error, with feed-forward for the climb
+        const speedTarget = demand.speed ?? this.cruiseSpeed;
+        const climbPower = climbDemand * this.weight / speed / this.maxThrust;
+        let throttleTarget = this.drag(speedTarget, 1) / this.maxThrust + (speedTarget - s.airspeed) * 0.15 + climbPower;
+        if (s.onGround) {
+            throttleTarget = climbDemand > 0 ? 1 : 0;
+        }
+        throttleTarget = Math.max(0, Math.min(1, throttleTarget));
+        this.throttle += (throttleTarget - this.throttle) * Math.min(1, dt * 3);
+
+        // Lift available falls with the square of airspeed below stall speed
+        const maxLoad = Math.min(3, (speed / this.stallSpeed) ** 2);
+        const pathTarget = Math.asin(Math.max(-0.35, Math.min(0.35, climbDemand / Math.max(speed, this.stallSpeed))));
+        let loadFactor = Math.cos(this.flightPath) / Math.cos(this.bank) +
+            (pathTarget - this.flightPath) * speed / GRAVITY * 2;
+        loadFactor = Math.max(0, Math.min(maxLoad, loadFactor));
+
+        s.stalled = !s.onGround && maxLoad < Math.cos(this.flightPath) / Math.cos(this.bank);
+
+        const friction = s.onGround ? (climbDemand > 0 ? 0.04 : 0.3) * this.weight : 0;
+        const thrust = this.throttle * this.maxThrust;
+        const acceleration = (thrust - this.drag(speed, loadFactor) - friction * Math.sign(s.airspeed)) / this.mass -
+            GRAVITY * Math.sin(this.flightPath);
+        s.airspeed = Math.max(0, s.airspeed + acceleration * dt);
+
+        if (s.onGround) {
+            // Rotate once the wing can carry the aircraft and a climb is wanted
+            if (climbDemand > 0 && maxLoad > 1.2) {
+                s.onGround = false;
+                this.flightPath = 0.01;
+            } else {
+                this.flightPath = 0;
+            }
+        } else {
+            this.flightPath += GRAVITY / speed * (loadFactor * Math.cos(this.bank) - Math.cos(this.flightPath)) * dt;
+            this.flightPath = Math.max(-Math.PI / 3, Math.min(Math.PI / 4, this.flightPath));
+            s.heading = GeoUtils.normalizeHeading(s.heading + GeoUtils.toDegrees(GRAVITY * Math.tan(this.bank) / speed) * dt);
+        }
+
+        // Angle of attack grows with load factor and shrinks with dynamic pressure
+        const angleOfAttack = s.onGround ? 0 : Math.min(18, 14 * loadFactor / Math.max(0.1, (speed / this.stallSpeed) ** 2));
+        s.pitch = GeoUtils.toDegrees(this.flightPath) + angleOfAttack;
+        s.roll = GeoUtils.toDegrees(this.bank);
+        s.vspeed = s.airspeed * Math.sin(this.flightPath);
+
+        const h = GeoUtils.toRadians(s.heading);
+        const horizontal = s.airspeed * Math.cos(this.flightPath);
+        this.airVelocity = { north: horizontal * Math.cos(h), east: horizontal * Math.sin(h) };
+    }
+
+    touchdown() {
+        super.touchdown();
+        this.flightPath = 0;
+        this.bank = 0;
+    }
+
+    computePower() {
+        return Math.pow(this.throttle, 1.5) * this.maxPower() + 3;
+    }
+
+    // Descents trade height for thrust, down to idle
+    steadyPower(airspeed, climbRate) {
+        const speed = Math.max(airspeed, this.stallSpeed * 1.3);
+        const thrust = this.drag(speed, 1) + climbRate * this.weight / speed;
+        const throttle = Math.max(0, Math.min(1, thrust / this.maxThrust));
+        return Math.pow(throttle, 1.5) * this.maxPower() + 3;
+    }
+}
+
+// Hovers on lift motors below transition speed and flies on the wing above it
+class VtolModel extends FixedWingModel {
+    constructor(drone, lat, lng) {
+        super(drone, lat, lng);
+
+        // Quadplane layout: one pusher for forward flight, the rest lift motors
+        const motors = Math.max(2, drone.motorCount || 5);
+        this.liftThrust = this.maxThrust * (motors - 1) / motors;
+        this.maxThrust = this.maxThrust / motors;
+        this.sizeDrag();
+
+        this.transitionSpeed = this.stallSpeed * 1.3;
+        this.hovering = true;
+        this.liftPower = 0;
+    }
+
+    manualDemand(inputs, dt = 0.05) {
+        if (this.hovering) {
+            this.speedTarget = Math.max(0, Math.min(this.maxSpeed, this.speedTarget - inputs.pitch * 3 * dt));
+        }
+        return super.manualDemand(inputs, dt);
+    }
+
+    updateDynamics(dt, demand) {
+        const s = this.state;
+        const speedTarget = demand.speed ?? this.cruiseSpeed;
+        this.hovering = s.airspeed < this.transitionSpeed || speedTarget < this.transitionSpeed;
+
+        if (!this.hovering) {
+            this.liftPower = 0;
+            super.updateDynamics(dt, demand);
+            return;
+        }
+
+        // Lift motors hold altitude; the pusher accelerates toward the speed target
+        s.stalled = false;
+        this.bank = 0;
+        this.flightPath = 0;
+        s.heading = GeoUtils.normalizeHeading(s.heading + this.turnRate(demand) * dt);
+
+        const climbRate = Math.max(-this.maxDescentRate, Math.min(this.maxClimbRate, demand.climbRate || 0));
+        if (s.onGround && climbRate <= 0) {
+            s.vspeed = 0;
+            s.airspeed = 0;
+            this.throttle = 0;
+            this.liftPower = this.hoverPower() * 0.05;
+        } else {
+            s.onGround = false;
+            const maxUp = this.liftThrust / this.mass - GRAVITY;
+            s.vspeed += Math.max(-GRAVITY * 0.8, Math.min(maxUp, (climbRate - s.vspeed) / 0.6)) * dt;
+
+            // Wing lift unloads the rotors as speed builds
+            const wingShare = Math.min(1, (s.airspeed / this.transitionSpeed) ** 2);
+
+            const acceleration = Math.max(-2, Math.min(3, (speedTarget - s.airspeed) / 2));
+            s.airspeed = Math.max(0, s.airspeed + acceleration * dt);
+            this.throttle = Math.max(0, Math.min(1, (this.drag(s.airspeed, wingShare) + acceleration * this.mass) / this.maxThrust));
+
+            this.liftPower = this.hoverPower() * (1 - wingShare * 0.8) + Math.max(0, s.vspeed) * this.weight / 0.6;
+        }
+
+        // Nose dips slightly while the pusher accelerates
+        const pitchTarget = Math.max(-10, Math.min(10, (s.airspeed - speedTarget) * 2));
+        s.pitch += (pitchTarget - s.pitch) * Math.min(1, dt * 4);
+        s.roll *= 0.9;
+
+        const h = GeoUtils.toRadians(s.heading);
+        this.airVelocity = { north: s.airspeed * Math.cos(h), east: s.airspeed * Math.sin(h) };
+    }
+
+    hoverPower() {
+        if (this.drone.hoverCurrent) {
+            return this.drone.hoverCurrent * this.voltage;
+        }
+        return this.staticPower(this.weight, this.liftDiscArea());
+    }
+
+    maxPower() {
+        const motors = Math.max(2, this.drone.motorCount || 5);
+        if (this.drone.escCurrent) {
+            return this.drone.escCurrent * 0.8 * this.voltage;
+        }
+        return this.staticPower(this.maxThrust, this.rotorDiscArea() / motors);
+    }
+
+    liftDiscArea() {
+        const motors = Math.max(2, this.drone.motorCount || 5);
+        return this.rotorDiscArea() * (motors - 1) / motors;
+    }
+
+    computePower() {
+        return super.computePower() + this.liftPower;
+    }
+
+    steadyPower(airspeed, climbRate) {
+        if (airspeed >= this.transitionSpeed) {
+            return super.steadyPower(airspeed, climbRate);
+        }
+
+        const wingShare = Math.min(1, (airspeed / this.transitionSpeed) ** 2);
+        const throttle = Math.max(0, Math.min(1, this.drag(airspeed, wingShare) / this.maxThrust));
+        const lift = this.hoverPower() * (1 - wingShare * 0.8) + Math.max(0, climbRate) * this.weight / 0.6;
+        return Math.pow(throttle, 1.5) * this.maxPower() + 3 + lift;
+    }
+}
@@ -0,0 +1,212 @@
+// IndexedDB storage shared by every view, with change notifications across views and tabs
+
+const STORAGE_DB_NAME = 'darkstar';
+const STORAGE_CHANNEL_NAME = 'darkstar-storage';
+
+// Inputs whose values are kept as settings, by id. Before IndexedDB each lived in localStorage
+// under uav_ and the id with its first dash made an underscore.
+const STORAGE_SETTING_INPUTS = ['link-url', 'rtl-altitude', 'battery-low', 'battery-critical', 'fence-action'];
+
+// Each entry upgrades the database by one version. Append new migrations; never edit old ones.
+const STORAGE_MIGRATIONS = [
+    // 1: flight log sessions and their telemetry chunks
+    (db) => {
+        const sessions = db.createObjectStore('flightSessions', { keyPath: 'id' });
+        sessions.createIndex('startedAt', 'startedAt');
+        db.createObjectStore('flightChunks', { keyPath: ['sessionId', 'index'] });
+    },
+    // 2: camera recordings, linked to the flight session they were made in
+    (db) => {
+        const recordings = db.createObjectStore('recordings', { keyPath: 'id' });
+        recordings.createIndex('sessionId', 'sessionId');
+    },
+    // 3: SRTM elevation tiles imported for terrain awareness
+    (db) => {
+        db.createObjectStore('terrainTiles', { keyPath: 'name' });
+    },
+    // 4: the mission being edited and its undo history
+    (db) => {
+        db.createObjectStore('missionDrafts', { keyPath: 'id' });
+    },
+    // 5: drones, the mission library and settings, moved from localStorage
+    (db, transaction) => {
+        db.createObjectStore('drones', { keyPath: 'id' });
+        const missions = db.createObjectStore('missions', { keyPath: 'id' });
+        missions.createIndex('updatedAt', 'updatedAt');
+        const versions = db.createObjectStore('missionVersions', { keyPath: ['missionId', 'version'] });
+        versions.createIndex('missionId', 'missionId');
+        db.createObjectStore('settings', { keyPath: 'key' });
+        Database.importLocalStorage(transaction);
+    }
+];
+
+class Database {
+    // Copies what localStorage held into the stores that replace it. This runs inside the upgrade,
+    // so it happens once; localStorage is left as it was in case the upgrade has to be undone.
+    static importLocalStorage(transaction) {
+        const read = (key, fallback) => {
+            try {
+                return JSON.parse(localStorage.getItem(key)) || fallback;
+            } catch (error) {
+                console.error(`Could not read ${key} from localStorage:`, error);
+                return fallback;
+            }
+        };
+
+        read('uav_drones', []).forEach((drone, i) => {
+            transaction.objectStore('drones').put({ ...drone, id: drone.id || `drone-${i}` });
+        });
+        read('uav_missions', []).forEach((mission, i) => {
+            transaction.objectStore('missions').put({
+                ...mission,
+                id: mission.id || `mission-${i}`,
+                updatedAt: mission.updatedAt || mission.createdAt
+            });
+        });
+        Object.entries(read('uav_mission_versions', {})).forEach(([missionId, versions]) => {
+            versions.forEach(version => {
+                transaction.objectStore('missionVersions').put({ ...version, missionId: missionId });
+            });
+        });
+        STORAGE_SETTING_INPUTS.forEach(id => {
+            const value = localStorage.getItem(`uav_${id.replace('-', '_')}`);
+            if (value !== null) transaction.objectStore('settings').put({ key: id, value: value });
+        });
+    }
+
+    static open() {
+        if (!Database.connection) {
+            Database.connection = new Promise((resolve, reject) => {
+                const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_MIGRATIONS.length);
+
+                request.onupgradeneeded = (event) => {
+                    for (let version = event.oldVersion; version < STORAGE_MIGRATIONS.length; version++) {
+                        STORAGE_MIGRATIONS[version](request.result, request.transaction);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    Database.connection = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return Database.connection;
+    }
+
+    // Run `action(transaction)` and resolve with the result of the request it returns
+    // once the whole transaction has committed
+    static async run(storeNames, mode, action) {
+        const db = await Database.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = action(transaction);
+            let result;
+
+            if (request) {
+                request.onsuccess = () => result = request.result;
+            }
+            transaction.oncomplete = () => {
+                if (mode === 'readwrite') Database.changed(storeNames);
+                resolve(result);
+            };
+            transaction.onerror = () => reject(Database.describe(transaction.error));
+            transaction.onabort = () => reject(Database.describe(transaction.error));
+        });
+    }
+
+    // Browsers report a full disk as a QuotaExceededError with a message that doesn't say so
+    static describe(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            const full = new Error('Browser storage is full. Delete old flight logs, recordings or terrain tiles to make room.');
+            full.name = error.name;
+            return full;
+        }
+        return error;
+    }
+
+    // Logs a failed read or write and tells the user what didn't happen
+    static reportError(action, error) {
+        console.error(`Failed to ${action}:`, error);
+        alert(`Could not ${action}: ${error.message}`);
+    }
+
+    // Calls listener({store, remote}) after every committed write to `store`, whether made by
+    // this page or another tab. Returns a function that stops the calls.
+    static subscribe(store, listener) {
+        if (!Database.listeners[store]) Database.listeners[store] = new Set();
+        Database.listeners[store].add(listener);
+        return () => Database.listeners[store].delete(listener);
+    }
+
+    static changed(storeNames, remote = false) {
+        [].concat(storeNames).forEach(store => {
+            (Database.listeners[store] || []).forEach(listener => {
+                try {
+                    listener({ store: store, remote: remote });
+                } catch (error) {
+                    console.error(`Storage listener for ${store} failed:`, error);
+                }
+            });
+        });
+
+        if (!remote && Database.channel) {
+            Database.channel.postMessage([].concat(storeNames));
+        }
+    }
+
+    static get(storeName, key) {
+        return Database.run(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+    }
+
+    static getAll(storeName, query) {
+        return Database.run(storeName, 'readonly', tx => tx.objectStore(storeName).getAll(query));
+    }
+
+    static put(storeName, value) {
+        return Database.run(storeName, 'readwrite', tx => tx.objectStore(storeName).put(value));
+    }
+
+    static delete(storeName, key) {
+        return Database.run(storeName, 'readwrite', tx => tx.objectStore(storeName).delete(key));
+    }
+}
+
+Database.connection = null;
+Database.listeners = {};
+
+// Writes in other tabs arrive here
+Database.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(STORAGE_CHANNEL_NAME);
+if (Database.channel) {
+    Database.channel.onmessage = (event) => Database.changed(event.data, true);
+}
+
+// Drone profiles
+class DroneStore {
+    // Oldest first, the order profiles were created in
+    static async list() {
+        const drones = await Database.getAll('drones');
+        return drones.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    }
+
+    static save(drone) {
+        return Database.put('drones', drone);
+    }
+
+    static remove(id) {
+        return Database.delete('drones', id);
+    }
+}
+
+// Key/value settings such as the telemetry link address and failsafe thresholds
+class SettingsStore {
+    static async get(key, fallback = null) {
+        const record = await Database.get('settings', key);
+        return record ? record.value : fallback;
+    }
+
+    static set(key, value) {
+        return Database.put('settings', { key: key, value: value });
+    }
+}
@@ -0,0 +1,123 @@
+// Lawnmower survey grids: camera footprint, line spacing and the serpentine flight pattern
+
+// Sensor size and focal length in mm, image size in px
+const SURVEY_CAMERAS = {
+    'phantom-4-pro': {
+        name: 'DJI Phantom 4 Pro',
+        sensorWidth: 13.2, sensorHeight: 8.8, focalLength: 8.8, imageWidth: 5472, imageHeight: 3648
+    },
+    'mavic-3e': {
+        name: 'DJI Mavic 3 Enterprise',
+        sensorWidth: 17.3, sensorHeight: 13.0, focalLength: 12.29, imageWidth: 5280, imageHeight: 3956
+    },
+    'sony-a6000-16': {
+        name: 'Sony A6000 (16 mm)',
+        sensorWidth: 23.5, sensorHeight: 15.6, focalLength: 16, imageWidth: 6000, imageHeight: 4000
+    },
+    'micasense-rededge': {
+        name: 'MicaSense RedEdge-MX',
+        sensorWidth: 4.8, sensorHeight: 3.6, focalLength: 5.4, imageWidth: 1280, imageHeight: 960
+    }
+};
+
+const SURVEY_MAX_LINES = 500;
+
+class SurveyGrid {
+    // Ground sample distance in cm/px
+    static gsd(camera, altitude) {
+        return camera.sensorWidth * altitude * 100 / (camera.focalLength * camera.imageWidth);
+    }
+
+    static altitudeForGsd(camera, gsd) {
+        return gsd / 100 * camera.focalLength * camera.imageWidth / camera.sensorWidth;
+    }
+
+    // Ground covered by one photo in meters, with the image width across the flight line
+    static footprint(camera, altitude) {
+        return {
+            width: camera.sensorWidth * altitude / camera.focalLength,
+            height: camera.sensorHeight * altitude / camera.focalLength
+        };
+    }
+
+    // Square meters enclosed by a polygon of {lat, lng}
+    static area(polygon) {
+        const origin = polygon[0];
+        const local = polygon.map(p => GeoUtils.toLocal(origin.lat, origin.lng, p.lat, p.lng));
+        let sum = 0;
+        for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+            sum += local[j].x * local[i].y - local[i].x * local[j].y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    // options: camera, altitude, frontOverlap and sideOverlap (%), angle (degrees from north), turnaround (m)
+    static generate(polygon, options) {
+        const footprint = SurveyGrid.footprint(options.camera, options.altitude);
+        const lineSpacing = footprint.width * (1 - options.sideOverlap / 100);
+        const photoSpacing = footprint.height * (1 - options.frontOverlap / 100);
+        if (!(lineSpacing > 0) || !(photoSpacing > 0)) {
+            throw new Error('Overlap must be below 100% and altitude above 0');
+        }
+
+        // Work in (along, across) meters so every flight line has a constant `across`
+        const origin = polygon[0];
+        const θ = GeoUtils.toRadians(options.angle);
+        const along = { x: Math.sin(θ), y: Math.cos(θ) };
+        const across = { x: Math.cos(θ), y: -Math.sin(θ) };
+        const projected = polygon.map(p => {
+            const local = GeoUtils.toLocal(origin.lat, origin.lng, p.lat, p.lng);
+            return {
+                u: local.x * along.x + local.y * along.y,
+                v: local.x * across.x + local.y * across.y
+            };
+        });
+        const toGeo = (u, v) => GeoUtils.fromLocal(origin.lat, origin.lng,
+            u * along.x + v * across.x, u * along.y + v * across.y);
+
+        const minV = Math.min(...projected.map(p => p.v));
+        const maxV = Math.max(...projected.map(p => p.v));
+        const count = Math.max(1, Math.ceil((maxV - minV) / lineSpacing));
+        if (count > SURVEY_MAX_LINES) {
+            throw new Error(`The grid would need ${count} lines - raise the altitude or lower the side overlap`);
+        }
+
+        // Lines are centred across the area; concave notches are flown straight over
+        const firstV = minV + (maxV - minV - (count - 1) * lineSpacing) / 2;
+        const lines = [];
+        for (let i = 0; i < count; i++) {
+            const v = firstV + i * lineSpacing;
+            const crossings = [];
+            for (let a = 0, b = projected.length - 1; a < projected.length; b = a++) {
+                const p = projected[a];
+                const q = projected[b];
+                if ((p.v <= v) !== (q.v <= v)) {
+                    crossings.push(p.u + (v - p.v) / (q.v - p.v) * (q.u - p.u));
+                }
+            }
+            if (crossings.length >= 2) {
+                lines.push({ v: v, start: Math.min(...crossings), end: Math.max(...crossings) });
+            }
+        }
+
+        // Serpentine, extended past each end so the aircraft is straight and level over the area
+        const waypoints = [];
+        let photoCount = 0;
+        lines.forEach((line, i) => {
+            const from = i % 2 === 0 ? line.start - options.turnaround : line.end + options.turnaround;
+            const to = i % 2 === 0 ? line.end + options.turnaround : line.start - options.turnaround;
+            waypoints.push(toGeo(from, line.v), toGeo(to, line.v));
+            photoCount += Math.floor((line.end - line.start) / photoSpacing) + 1;
+        });
+
+        return {
+            waypoints: waypoints,
+            lineCount: lines.length,
+            photoCount: photoCount,
+            area: SurveyGrid.area(polygon),
+            lineSpacing: lineSpacing,
+            photoSpacing: photoSpacing,
+            gsd: SurveyGrid.gsd(options.camera, options.altitude)
+        };
+    }
+}
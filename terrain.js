@@ -0,0 +1,174 @@
+// Terrain elevation from imported SRTM .hgt tiles, and conversions between altitude frames
+
+const TERRAIN_VOID = -32768;
+const TERRAIN_TILE_SIZES = [1201, 3601]; // samples per side for 3 and 1 arc-second tiles
+const TERRAIN_PROFILE_SPACING = 20; // meters between ground samples along the route
+const TERRAIN_PROFILE_MAX_SAMPLES = 600;
+
+class TerrainModel {
+    constructor() {
+        this.tiles = new Map();
+    }
+
+    // Tiles are named for their south-west corner: N47E008 covers 47-48°N, 8-9°E
+    static tileName(lat, lng) {
+        const south = Math.floor(lat);
+        const west = Math.floor(lng);
+        return `${south < 0 ? 'S' : 'N'}${String(Math.abs(south)).padStart(2, '0')}` +
+               `${west < 0 ? 'W' : 'E'}${String(Math.abs(west)).padStart(3, '0')}`;
+    }
+
+    // Stored record for a .hgt file: big-endian 16-bit heights in meters, rows from north to south
+    static parseHgt(fileName, buffer) {
+        const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+        if (!match) {
+            throw new Error(`${fileName} is not named like an SRTM tile (e.g. N47E008.hgt)`);
+        }
+
+        const size = Math.sqrt(buffer.byteLength / 2);
+        if (!TERRAIN_TILE_SIZES.includes(size)) {
+            throw new Error(`${fileName} is not a 1 or 3 arc-second SRTM tile`);
+        }
+
+        const lat = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const lng = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+        return {
+            name: TerrainModel.tileName(lat, lng),
+            lat: lat,
+            lng: lng,
+            size: size,
+            data: buffer,
+            importedAt: new Date().toISOString()
+        };
+    }
+
+    add(record) {
+        this.tiles.set(record.name, { ...record, view: new DataView(record.data) });
+    }
+
+    remove(name) {
+        this.tiles.delete(name);
+    }
+
+    get empty() {
+        return this.tiles.size === 0;
+    }
+
+    sample(tile, row, col) {
+        const height = tile.view.getInt16((row * tile.size + col) * 2);
+        return height === TERRAIN_VOID ? null : height;
+    }
+
+    // Meters above mean sea level, blended between the four surrounding samples; null without data
+    elevation(lat, lng) {
+        const tile = this.tiles.get(TerrainModel.tileName(lat, lng));
+        if (!tile) return null;
+
+        const cells = tile.size - 1;
+        const x = (lng - tile.lng) * cells;
+        const y = (tile.lat + 1 - lat) * cells;
+        const col = Math.min(cells - 1, Math.floor(x));
+        const row = Math.min(cells - 1, Math.floor(y));
+        const fx = x - col;
+        const fy = y - row;
+
+        const nw = this.sample(tile, row, col);
+        const ne = this.sample(tile, row, col + 1);
+        const sw = this.sample(tile, row + 1, col);
+        const se = this.sample(tile, row + 1, col + 1);
+        if (nw === null || ne === null || sw === null || se === null) return null;
+
+        return (nw * (1 - fx) + ne * fx) * (1 - fy) + (sw * (1 - fx) + se * fx) * fy;
+    }
+
+    // Altitude above mean sea level for one given in `frame`; homeElevation is the ground at launch.
+    // Null when the terrain needed for the conversion hasn't been imported.
+    toAmsl(altitude, frame, lat, lng, homeElevation) {
+        if (frame === 'amsl') return altitude;
+        if (frame === 'terrain') {
+            const ground = this.elevation(lat, lng);
+            return ground === null ? null : ground + altitude;
+        }
+        return homeElevation === null ? null : homeElevation + altitude;
+    }
+
+    // Height above the launch point, which is what the simulator flies. Without the terrain to
+    // convert with, the altitude is taken as it is.
+    toRelative(altitude, frame, lat, lng, homeElevation) {
+        if (!frame || frame === 'relative') return altitude;
+
+        const amsl = this.toAmsl(altitude, frame, lat, lng, homeElevation);
+        return amsl === null || homeElevation === null ? altitude : amsl - homeElevation;
+    }
+
+    // Ground and flight altitude (AMSL) every few meters along the straight legs between points of
+    // {lat, lng, altitude, altitudeFrame}. Legs into a terrain-following point keep their height
+    // above the ground, blending from one point's to the next; other legs climb in a straight line.
+    profile(points, homeElevation) {
+        const amsl = points.map(p =>
+            this.toAmsl(p.altitude, p.altitudeFrame, p.lat, p.lng, homeElevation) ?? p.altitude);
+        const ground = points.map(p => this.elevation(p.lat, p.lng));
+
+        const lengths = [];
+        let total = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            lengths.push(GeoUtils.distance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng));
+            total += lengths[i];
+        }
+        const spacing = Math.max(TERRAIN_PROFILE_SPACING, total / TERRAIN_PROFILE_MAX_SAMPLES);
+
+        const samples = [];
+        const waypoints = [{ distance: 0, altitude: amsl[0] }];
+        let start = 0;
+
+        for (let leg = 0; leg < lengths.length; leg++) {
+            const from = points[leg];
+            const to = points[leg + 1];
+            const steps = Math.max(1, Math.ceil(lengths[leg] / spacing));
+            const followsTerrain = to.altitudeFrame === 'terrain' &&
+                ground[leg] !== null && ground[leg + 1] !== null;
+
+            // The first leg also samples its start; the rest pick up where the last one ended
+            for (let step = leg === 0 ? 0 : 1; step <= steps; step++) {
+                const t = step / steps;
+                const point = {
+                    lat: from.lat + (to.lat - from.lat) * t,
+                    lng: from.lng + (to.lng - from.lng) * t
+                };
+                const elevation = this.elevation(point.lat, point.lng);
+                let altitude = amsl[leg] + (amsl[leg + 1] - amsl[leg]) * t;
+                if (followsTerrain && elevation !== null) {
+                    const agl = (amsl[leg] - ground[leg]) + ((amsl[leg + 1] - ground[leg + 1]) - (amsl[leg] - ground[leg])) * t;
+                    altitude = elevation + agl;
+                }
+
+                samples.push({
+                    distance: start + lengths[leg] * t,
+                    leg: leg,
+                    ground: elevation,
+                    altitude: altitude,
+                    clearance: elevation === null ? null : altitude - elevation
+                });
+            }
+
+            start += lengths[leg];
+            waypoints.push({ distance: start, altitude: amsl[leg + 1] });
+        }
+
+        return { samples: samples, waypoints: waypoints, distance: total };
+    }
+}
+
+class TerrainStore {
+    static save(record) {
+        return Database.put('terrainTiles', record);
+    }
+
+    static list() {
+        return Database.getAll('terrainTiles');
+    }
+
+    static remove(name) {
+        return Database.delete('terrainTiles', name);
+    }
+}
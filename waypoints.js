@@ -0,0 +1,82 @@
+// Mission item types: how each planner entry is drawn, edited and flown
+
+// path: flown to and drawn as part of the route. located: has a map position without being flown to.
+// Items with neither are commands that act where the aircraft already is.
+const WAYPOINT_TYPES = {
+    'home': { label: 'Home Point', marker: 'H', color: '#10b981', path: true, fields: ['altitude', 'speed'] },
+    'waypoint': {
+        label: 'Waypoint', color: '#3b82f6', path: true,
+        fields: ['altitude', 'altitudeFrame', 'speed', 'hoverTime']
+    },
+    'takeoff': { label: 'Takeoff', marker: 'T', color: '#22c55e', path: true, fields: ['altitude', 'altitudeFrame'] },
+    'land': { label: 'Land', marker: 'L', color: '#ef4444', path: true, fields: ['speed'] },
+    'loiter-time': {
+        label: 'Loiter (Time)', marker: 'LT', color: '#8b5cf6', path: true,
+        fields: ['altitude', 'altitudeFrame', 'speed', 'loiterTime', 'loiterRadius']
+    },
+    'loiter-turns': {
+        label: 'Loiter (Turns)', marker: 'LN', color: '#8b5cf6', path: true,
+        fields: ['altitude', 'altitudeFrame', 'speed', 'loiterTurns', 'loiterRadius']
+    },
+    'rtl': { label: 'Return to Launch', marker: 'R', color: '#f59e0b', path: true, fields: ['altitude', 'speed'] },
+    'set-roi': {
+        label: 'Set ROI', marker: 'ROI', color: '#ec4899', located: true,
+        fields: ['altitude', 'altitudeFrame']
+    },
+    'change-speed': { label: 'Change Speed', fields: ['speed'] },
+    'camera-trigger': { label: 'Camera Trigger', fields: ['triggerMode', 'triggerDistance', 'triggerInterval'] },
+    'gimbal-pitch': { label: 'Gimbal Pitch', fields: ['gimbalPitch'] },
+    'jump': { label: 'Jump', fields: ['jumpTarget', 'jumpRepeat'] },
+    'delay': { label: 'Delay', fields: ['delay'] }
+};
+
+// altitude, altitudeFrame, speed and hoverTime live on the waypoint itself; the rest in waypoint.params
+const WAYPOINT_FIELDS = {
+    altitude: { label: 'Altitude (m)', step: 1 },
+    altitudeFrame: {
+        label: 'Above',
+        options: { relative: 'Home', amsl: 'Sea level', terrain: 'Terrain' }
+    },
+    speed: { label: 'Speed (m/s)', step: 0.1, min: 0, placeholder: 'Inherit' },
+    hoverTime: { label: 'Hover (s)', step: 1, min: 0 },
+    loiterTime: { label: 'Loiter Time (s)', param: true, default: 30, step: 1, min: 0 },
+    loiterTurns: { label: 'Turns', param: true, default: 2, step: 0.5, min: 0 },
+    loiterRadius: { label: 'Radius (m)', param: true, default: 20, step: 1, min: 0 },
+    triggerMode: {
+        label: 'Trigger', param: true, default: 'single',
+        options: { single: 'Single photo', distance: 'Every N meters', time: 'Every N seconds', stop: 'Stop' }
+    },
+    triggerDistance: { label: 'Distance (m)', param: true, default: 20, step: 1, min: 0 },
+    triggerInterval: { label: 'Interval (s)', param: true, default: 2, step: 0.5, min: 0 },
+    gimbalPitch: { label: 'Pitch (°)', param: true, default: -90, step: 5, min: -90, max: 30 },
+    jumpTarget: { label: 'Jump to Item', param: true, default: 1, step: 1, min: 1 },
+    jumpRepeat: { label: 'Repeat', param: true, default: 1, step: 1, min: 0 },
+    delay: { label: 'Delay (s)', param: true, default: 10, step: 1, min: 0 }
+};
+
+class WaypointTypes {
+    static get(type) {
+        return WAYPOINT_TYPES[type] || WAYPOINT_TYPES.waypoint;
+    }
+
+    static isPath(type) {
+        return !!WaypointTypes.get(type).path;
+    }
+
+    static isLocated(type) {
+        const spec = WaypointTypes.get(type);
+        return !!(spec.path || spec.located);
+    }
+
+    // Defaults for the type's params, keeping any values that already apply
+    static params(type, existing = {}) {
+        const params = {};
+        WaypointTypes.get(type).fields.forEach(name => {
+            const field = WAYPOINT_FIELDS[name];
+            if (field.param) {
+                params[name] = existing[name] ?? field.default;
+            }
+        });
+        return params;
+    }
+}
@@ -0,0 +1,77 @@
+// Mission wind: a surface wind with optional layers aloft and gusts, and what it does to each leg
+
+const WIND_GUST_FACTOR = 0.2; // gusts when none are given, as a fraction of the wind speed
+const WIND_LOW_GROUND_SPEED = 2; // m/s; slower than this the aircraft is barely making headway
+
+class WindModel {
+    // Directions are where the wind blows from. layers are [{altitude, speed, direction}] above the
+    // surface wind, with altitudes in meters above home. gust is the extra speed gusts reach, or
+    // null for the default share of the wind speed.
+    constructor(speed = 0, direction = 0, gust = null, layers = []) {
+        this.layers = [{ altitude: 0, speed: speed, direction: direction }]
+            .concat(layers.filter(layer => layer.altitude > 0))
+            .sort((a, b) => a.altitude - b.altitude);
+        this.gust = gust;
+    }
+
+    static fromParameters(parameters = {}) {
+        return new WindModel(
+            parameters.windSpeed || 0,
+            parameters.windDirection || 0,
+            parameters.windGust ?? null,
+            parameters.windLayers || []
+        );
+    }
+
+    // Velocity of the air for a wind of {speed, direction}
+    static vector(wind) {
+        const from = GeoUtils.toRadians(wind.direction || 0);
+        return { north: -wind.speed * Math.cos(from), east: -wind.speed * Math.sin(from) };
+    }
+
+    // Tailwind along a course and crosswind across it, positive when pushing to the right
+    static components(wind, bearing) {
+        const air = WindModel.vector(wind);
+        const track = GeoUtils.toRadians(bearing);
+        return {
+            tailwind: air.north * Math.cos(track) + air.east * Math.sin(track),
+            crosswind: -air.north * Math.sin(track) + air.east * Math.cos(track)
+        };
+    }
+
+    // {speed, direction, gust} at a height above home, blended between the layers either side as
+    // vectors so the direction turns the short way round. Above the top layer its wind holds.
+    at(altitude) {
+        const upper = this.layers.findIndex(layer => layer.altitude > altitude);
+        let north;
+        let east;
+
+        if (upper <= 0) {
+            const layer = this.layers[upper === 0 ? 0 : this.layers.length - 1];
+            ({ north, east } = WindModel.vector(layer));
+        } else {
+            const low = this.layers[upper - 1];
+            const high = this.layers[upper];
+            const t = (altitude - low.altitude) / (high.altitude - low.altitude);
+            const a = WindModel.vector(low);
+            const b = WindModel.vector(high);
+            north = a.north + (b.north - a.north) * t;
+            east = a.east + (b.east - a.east) * t;
+        }
+
+        const speed = Math.hypot(north, east);
+        return {
+            speed: speed,
+            direction: GeoUtils.normalizeHeading(GeoUtils.toDegrees(Math.atan2(-east, -north))),
+            gust: this.gust ?? speed * WIND_GUST_FACTOR
+        };
+    }
+
+    // The strongest wind anywhere between two heights, with its gusts
+    strongest(bottom, top) {
+        const heights = [bottom, top].concat(this.layers.map(layer => layer.altitude)
+            .filter(altitude => altitude > bottom && altitude < top));
+        return heights.map(altitude => ({ altitude: altitude, ...this.at(altitude) }))
+            .reduce((max, wind) => wind.speed > max.speed ? wind : max);
+    }
+}